@@ -0,0 +1,498 @@
+/**
+ * VIB34D AUDIO ANALYZER
+ *
+ * Turns real audio into the audioLevels (bass / mid / high) that drive the
+ * u_audioBass, u_audioMid and u_audioHigh uniforms. Live input goes through an
+ * AnalyserNode on a media element, a microphone stream or an AudioBuffer;
+ * analyzeBuffer() runs the same band, smoothing and beat pipeline over a decoded
+ * AudioBuffer offline, with its own FFT, so it works without audio hardware.
+ */
+
+// ============================================================================
+// 🎧 AUDIO CONFIGURATION
+// ============================================================================
+
+const AUDIO_BANDS = ['bass', 'mid', 'high'];
+
+const DEFAULT_AUDIO_OPTIONS = {
+    fftSize: 2048,
+    crossovers: [250, 2000],    // Hz: bass below the first, mid between, high above the second
+    minFrequency: 20,
+    maxFrequency: 16000,
+    minDecibels: -100,          // Spectrum floor / ceiling mapped to 0..1, as AnalyserNode's byte data
+    maxDecibels: -30,
+    gain: 1.0,
+    smoothing: 0.6,             // Share of the previous level kept per 60fps frame; 0 = raw
+    beatBand: 'bass',
+    beatSensitivity: 1.5,       // Standard deviations above the recent mean flux that count as a beat
+    beatWindow: 1.0,            // Seconds of flux history the beat threshold adapts to
+    minBeatInterval: 0.25,      // Seconds
+    minBeatFlux: 0.02
+};
+
+// The browser allows one MediaElementSource per element, ever, and it belongs to the
+// context that made it: analyzers reading the same element share { context, source }
+const MEDIA_ELEMENT_SOURCES = new WeakMap();
+
+// ============================================================================
+// 🎛️ VIB34D AUDIO ANALYZER
+// ============================================================================
+
+class VIB34DAudioAnalyzer {
+    /**
+     * @param {Object} [options] - See DEFAULT_AUDIO_OPTIONS, plus:
+     * @param {AudioContext} [options.audioContext] - Shared context; one is created on first connect otherwise
+     * @param {HypercubeCore[]} [options.targets] - Cores that receive audioLevels every frame
+     * @param {function(Object)} [options.onUpdate] - Every analysed frame
+     * @param {function(Object)} [options.onBeat] - Frames where a beat/onset was detected
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_AUDIO_OPTIONS, ...options };
+        VIB34DAudioAnalyzer._validateOptions(this.options);
+
+        this.audioContext = options.audioContext || null;
+        this._ownsContext = false;
+        this.analyser = null;
+        this.source = null;
+        this.sourceType = null;
+        this.stream = null;     // Microphone stream opened by connectMicrophone(), stopped on disconnect
+        this.targets = new Set(options.targets || []);
+        this.isRunning = false;
+        this.levels = { bass: 0, mid: 0, high: 0, level: 0, flux: 0, beat: false, time: 0 };
+        this.spectrum = null;   // Last live spectrum, normalized 0..1 per bin
+
+        this._state = null;
+        this._frequencyData = null;
+        this._frameId = null;
+        this._tick = this._tick.bind(this);
+    }
+
+    // ========================================================================
+    // 🔌 LIVE INPUT
+    // ========================================================================
+
+    /** Analyse an <audio>/<video> element; it keeps playing through the speakers. */
+    async connectMediaElement(element) {
+        const context = await this._ensureContext();
+        let entry = MEDIA_ELEMENT_SOURCES.get(element);
+        if (entry && entry.context !== context) {
+            throw new Error('This media element is already connected to another AudioContext; '
+                + 'pass the same options.audioContext to every analyzer that reads it');
+        }
+        if (!entry) {
+            entry = { context, source: context.createMediaElementSource(element) };
+            MEDIA_ELEMENT_SOURCES.set(element, entry);
+        }
+        return this._connect(entry.source, 'media-element', true);
+    }
+
+    /** Analyse a MediaStream (getUserMedia microphone); not routed to the speakers to avoid feedback. */
+    async connectStream(stream) {
+        const context = await this._ensureContext();
+        return this._connect(context.createMediaStreamSource(stream), 'stream', false);
+    }
+
+    /**
+     * Microphone shortcut: asks for permission and connects the stream. The
+     * analyzer owns this stream: disconnect() stops its tracks, which turns the
+     * browser's recording indicator off.
+     */
+    async connectMicrophone(constraints = { audio: true }) {
+        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        try {
+            await this.connectStream(stream);
+        } catch (error) {
+            stream.getTracks().forEach(track => track.stop());
+            throw error;
+        }
+        this.stream = stream;
+        return this;
+    }
+
+    /** Play and analyse a decoded AudioBuffer. */
+    async connectBuffer(buffer, { loop = false } = {}) {
+        const context = await this._ensureContext();
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = loop;
+        source.onended = () => {
+            if (this.source === source) this.stop();
+        };
+        await this._connect(source, 'buffer', true);
+        source.start();
+        return this;
+    }
+
+    /** Detach the current source. Media elements stay routed to the speakers; a microphone is released. */
+    disconnect() {
+        this.stop();
+        if (this.source) {
+            if (this.sourceType === 'buffer') {
+                this.source.onended = null;
+                try { this.source.stop(); } catch (error) { /* never started or already ended */ }
+            }
+            this.source.disconnect();
+            if (this.sourceType === 'media-element') this.source.connect(this.audioContext.destination);
+        }
+        this.analyser?.disconnect();
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.source = null;
+        this.sourceType = null;
+        this.analyser = null;
+        return this;
+    }
+
+    start() {
+        if (this.isRunning || !this.analyser) return this;
+        this.isRunning = true;
+        this._frameId = requestAnimationFrame(this._tick);
+        return this;
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+        return this;
+    }
+
+    dispose() {
+        this.disconnect();
+        this.targets.clear();
+        if (this._ownsContext) this.audioContext.close();
+        this.audioContext = null;
+        this._ownsContext = false;
+    }
+
+    addTarget(core) {
+        this.targets.add(core);
+        return this;
+    }
+
+    removeTarget(core) {
+        this.targets.delete(core);
+        return this;
+    }
+
+    getLevels() {
+        return { ...this.levels };
+    }
+
+    /**
+     * Live spectrum folded into `count` log-spaced bars (0..1) between
+     * minFrequency and maxFrequency, for spectrum displays.
+     */
+    getBars(count) {
+        const bars = new Array(count).fill(0);
+        if (!this.spectrum) return bars;
+        const { minFrequency, maxFrequency } = this.options;
+        const binWidth = this.audioContext.sampleRate / this.options.fftSize;
+        for (let i = 0; i < count; i++) {
+            const low = minFrequency * Math.pow(maxFrequency / minFrequency, i / count);
+            const high = minFrequency * Math.pow(maxFrequency / minFrequency, (i + 1) / count);
+            bars[i] = VIB34DAudioAnalyzer._average(this.spectrum, Math.floor(low / binWidth), Math.ceil(high / binWidth));
+        }
+        return bars;
+    }
+
+    async _ensureContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) throw new Error('Web Audio is not available in this browser');
+            this.audioContext = new AudioContextClass();
+            this._ownsContext = true;
+        }
+        // Autoplay policy: contexts start suspended until a user gesture
+        if (this.audioContext.state === 'suspended') await this.audioContext.resume();
+        return this.audioContext;
+    }
+
+    _connect(source, type, toSpeakers) {
+        this.disconnect();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = this.options.fftSize;
+        // Smoothing happens on band levels, the same way analyzeBuffer() does it
+        analyser.smoothingTimeConstant = 0;
+        analyser.minDecibels = this.options.minDecibels;
+        analyser.maxDecibels = this.options.maxDecibels;
+
+        source.disconnect();
+        source.connect(analyser);
+        if (toSpeakers) source.connect(this.audioContext.destination);
+
+        this.source = source;
+        this.sourceType = type;
+        this.analyser = analyser;
+        this._frequencyData = new Float32Array(analyser.frequencyBinCount);
+        this._state = this._createState(this.audioContext.sampleRate);
+        console.log(`🎧 Audio analyzer connected to ${type} (${this.audioContext.sampleRate}Hz, fft ${this.options.fftSize})`);
+        return this.start();
+    }
+
+    _tick() {
+        this._frameId = null;
+        if (!this.isRunning || !this.analyser) return;
+        this.analyser.getFloatFrequencyData(this._frequencyData);
+        const frame = this._analyseFrame(this._state, this._frequencyData, this.audioContext.currentTime);
+        this.spectrum = this._state.previous;
+        this.levels = frame;
+
+        this.targets.forEach(core => {
+            if (core.isDisposed) this.targets.delete(core);
+            else core.updateParameters({ audioLevels: { bass: frame.bass, mid: frame.mid, high: frame.high } });
+        });
+        this.options.onUpdate?.(frame);
+        if (frame.beat) this.options.onBeat?.(frame);
+
+        if (this.isRunning) this._frameId = requestAnimationFrame(this._tick);
+    }
+
+    // ========================================================================
+    // 🧪 OFFLINE ANALYSIS
+    // ========================================================================
+
+    /**
+     * Run the live pipeline over a decoded AudioBuffer (channels mixed to mono)
+     * at a fixed frame rate. Each frame looks at the fftSize samples ending at
+     * its time, like an AnalyserNode read at that moment.
+     * @param {AudioBuffer} buffer - Or anything with sampleRate, length, numberOfChannels, getChannelData()
+     * @param {Object} [options]
+     * @param {number} [options.frameRate=60]
+     * @returns {{sampleRate: number, frameRate: number, duration: number,
+     *            frames: Array<{time: number, bass: number, mid: number, high: number, level: number, flux: number, beat: boolean}>,
+     *            beats: number[]}}
+     */
+    analyzeBuffer(buffer, { frameRate = 60 } = {}) {
+        if (!(frameRate > 0)) throw new Error('analyzeBuffer: frameRate must be > 0');
+        const { fftSize } = this.options;
+        const sampleRate = buffer.sampleRate;
+        const samples = VIB34DAudioAnalyzer._mixToMono(buffer);
+        const duration = samples.length / sampleRate;
+        const state = this._createState(sampleRate);
+        const weights = VIB34DAudioAnalyzer._blackmanWindow(fftSize);
+        const block = new Float32Array(fftSize);
+        const decibels = new Float32Array(fftSize / 2);
+        const fft = VIB34DAudioAnalyzer._createFFT(fftSize);
+
+        const frames = [];
+        const frameCount = Math.ceil(duration * frameRate);
+        for (let i = 1; i <= frameCount; i++) {
+            const time = Math.min(duration, i / frameRate);
+            const end = Math.round(time * sampleRate);
+            for (let s = 0; s < fftSize; s++) {
+                const index = end - fftSize + s;
+                block[s] = index >= 0 ? samples[index] * weights[s] : 0;
+            }
+            fft(block, decibels);
+            frames.push(this._analyseFrame(state, decibels, time));
+        }
+        return {
+            sampleRate,
+            frameRate,
+            duration,
+            frames,
+            beats: frames.filter(frame => frame.beat).map(frame => frame.time)
+        };
+    }
+
+    // ========================================================================
+    // 📊 SHARED PIPELINE
+    // ========================================================================
+
+    _createState(sampleRate) {
+        const { fftSize, crossovers, minFrequency, maxFrequency } = this.options;
+        const binWidth = sampleRate / fftSize;
+        const nyquistBin = fftSize / 2;
+        const bin = frequency => Math.min(nyquistBin, Math.max(0, Math.round(frequency / binWidth)));
+        const top = Math.min(maxFrequency, sampleRate / 2);
+        const bands = {
+            bass: [bin(minFrequency), bin(crossovers[0])],
+            mid: [bin(crossovers[0]), bin(crossovers[1])],
+            high: [bin(crossovers[1]), bin(top)]
+        };
+        // A band narrower than one bin still reads its nearest bin
+        Object.values(bands).forEach(range => { range[1] = Math.max(range[1], range[0] + 1); });
+        return {
+            bands,
+            all: [bands.bass[0], bands.high[1]],
+            previous: new Float32Array(nyquistBin),
+            current: new Float32Array(nyquistBin),
+            levels: { bass: 0, mid: 0, high: 0, level: 0 },
+            fluxHistory: [],
+            lastBeat: -Infinity,
+            lastTime: null
+        };
+    }
+
+    // One spectrum (dB per bin) → smoothed band levels plus beat detection
+    _analyseFrame(state, decibels, time) {
+        const { minDecibels, maxDecibels, gain, smoothing, beatBand } = this.options;
+        const range = maxDecibels - minDecibels;
+        const current = state.current;
+        for (let k = 0; k < current.length; k++) {
+            current[k] = Math.min(1, Math.max(0, (decibels[k] - minDecibels) / range));
+        }
+
+        // Spectral flux: how much louder the beat band got since the last frame
+        const [fluxStart, fluxEnd] = state.bands[beatBand];
+        let flux = 0;
+        for (let k = fluxStart; k < fluxEnd; k++) flux += Math.max(0, current[k] - state.previous[k]);
+        flux /= fluxEnd - fluxStart;
+
+        const dt = state.lastTime === null ? 1 / 60 : Math.max(0, time - state.lastTime);
+        // Frame-rate independent: `smoothing` is tuned per 60fps frame
+        const keep = Math.pow(smoothing, dt * 60);
+        const raw = {
+            bass: VIB34DAudioAnalyzer._average(current, ...state.bands.bass),
+            mid: VIB34DAudioAnalyzer._average(current, ...state.bands.mid),
+            high: VIB34DAudioAnalyzer._average(current, ...state.bands.high),
+            level: VIB34DAudioAnalyzer._average(current, ...state.all)
+        };
+        Object.keys(raw).forEach(band => {
+            const target = Math.min(1, raw[band] * gain);
+            state.levels[band] = state.levels[band] * keep + target * (1 - keep);
+        });
+
+        const beat = this._detectBeat(state, flux, time);
+        state.previous.set(current);
+        state.lastTime = time;
+        return { time, ...state.levels, flux, beat };
+    }
+
+    _detectBeat(state, flux, time) {
+        const { beatSensitivity, beatWindow, minBeatInterval, minBeatFlux } = this.options;
+        const history = state.fluxHistory;
+        while (history.length > 0 && history[0].time < time - beatWindow) history.shift();
+
+        // Adaptive threshold; with no history yet any flux above minBeatFlux is an onset
+        let threshold = 0;
+        if (history.length > 0) {
+            const mean = history.reduce((sum, entry) => sum + entry.flux, 0) / history.length;
+            const variance = history.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / history.length;
+            threshold = mean + beatSensitivity * Math.sqrt(variance);
+        }
+        const beat = flux > threshold && flux >= minBeatFlux && time - state.lastBeat >= minBeatInterval;
+        if (beat) state.lastBeat = time;
+        history.push({ time, flux });
+        return beat;
+    }
+
+    // ========================================================================
+    // 🧰 HELPERS
+    // ========================================================================
+
+    static _validateOptions(options) {
+        const { fftSize, crossovers, minFrequency, maxFrequency } = options;
+        if (!Number.isInteger(Math.log2(fftSize)) || fftSize < 32 || fftSize > 32768) {
+            throw new Error(`fftSize must be a power of two between 32 and 32768, got ${fftSize}`);
+        }
+        if (!Array.isArray(crossovers) || crossovers.length !== 2 || !(crossovers[0] > minFrequency)
+            || !(crossovers[1] > crossovers[0]) || !(maxFrequency > crossovers[1])) {
+            throw new Error(`crossovers must be two ascending frequencies between minFrequency and maxFrequency, got ${JSON.stringify(crossovers)}`);
+        }
+        if (!AUDIO_BANDS.includes(options.beatBand)) {
+            throw new Error(`Unknown beatBand '${options.beatBand}'. Use one of: ${AUDIO_BANDS.join(', ')}`);
+        }
+        if (!(options.smoothing >= 0 && options.smoothing < 1)) {
+            throw new Error(`smoothing must be in [0, 1), got ${options.smoothing}`);
+        }
+        if (!(options.maxDecibels > options.minDecibels)) {
+            throw new Error('maxDecibels must be above minDecibels');
+        }
+    }
+
+    static _average(values, start, end) {
+        const last = Math.min(end, values.length);
+        if (last <= start) return 0;
+        let sum = 0;
+        for (let k = start; k < last; k++) sum += values[k];
+        return sum / (last - start);
+    }
+
+    static _mixToMono(buffer) {
+        const mono = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < mono.length; i++) mono[i] += data[i] / buffer.numberOfChannels;
+        }
+        return mono;
+    }
+
+    // Same window AnalyserNode applies before its FFT
+    static _blackmanWindow(size) {
+        const weights = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const x = (2 * Math.PI * i) / size;
+            weights[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+        }
+        return weights;
+    }
+
+    /**
+     * Radix-2 FFT for one block size. The returned function writes
+     * AnalyserNode-style decibels (20·log10(|X[k]| / N)) for the first N/2 bins.
+     */
+    static _createFFT(size) {
+        const cos = new Float32Array(size / 2);
+        const sin = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cos[i] = Math.cos((-2 * Math.PI * i) / size);
+            sin[i] = Math.sin((-2 * Math.PI * i) / size);
+        }
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+
+        return (input, decibels) => {
+            re.set(input);
+            im.fill(0);
+            for (let i = 1, j = 0; i < size; i++) {
+                let bit = size >> 1;
+                for (; j & bit; bit >>= 1) j ^= bit;
+                j ^= bit;
+                if (i < j) {
+                    const swap = re[i];
+                    re[i] = re[j];
+                    re[j] = swap;
+                }
+            }
+            for (let length = 2; length <= size; length <<= 1) {
+                const half = length >> 1;
+                const stride = size / length;
+                for (let start = 0; start < size; start += length) {
+                    for (let k = 0; k < half; k++) {
+                        const a = start + k;
+                        const b = a + half;
+                        const tr = re[b] * cos[k * stride] - im[b] * sin[k * stride];
+                        const ti = re[b] * sin[k * stride] + im[b] * cos[k * stride];
+                        re[b] = re[a] - tr;
+                        im[b] = im[a] - ti;
+                        re[a] += tr;
+                        im[a] += ti;
+                    }
+                }
+            }
+            for (let k = 0; k < size / 2; k++) {
+                const magnitude = Math.hypot(re[k], im[k]) / size;
+                decibels[k] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+            }
+        };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VIB34DAudioAnalyzer,
+        AUDIO_BANDS,
+        DEFAULT_AUDIO_OPTIONS
+    };
+}
+
+// 🌐 Export to window for browser use
+if (typeof window !== 'undefined') {
+    window.VIB34DAudioAnalyzer = VIB34DAudioAnalyzer;
+    console.log('🎧 VIB34D Audio Analyzer loaded and exported to window');
+}
@@ -0,0 +1,239 @@
+/**
+ * VIB34D Audio Analyzer Test
+ *
+ * Headless harness for VIB34DAudioAnalyzer. Offline analysis runs on generated
+ * buffers; the live paths run against a fake AudioContext and getUserMedia, so
+ * nothing needs audio hardware or a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SAMPLE_RATE = 44100;
+
+// ============================================================================
+// 🧪 FAKE WEB AUDIO ENVIRONMENT
+// ============================================================================
+
+class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.connections = [];
+    }
+    connect(node) { this.connections.push(node); }
+    disconnect() { this.connections = []; }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = SAMPLE_RATE;
+        this.state = 'running';
+        this.currentTime = 0;
+        this.destination = new FakeAudioNode(this);
+        this.mediaElementSources = 0;
+    }
+    async resume() { this.state = 'running'; }
+    close() { this.state = 'closed'; }
+    createAnalyser() {
+        const analyser = new FakeAudioNode(this);
+        analyser.frequencyBinCount = 1024;
+        analyser.getFloatFrequencyData = data => data.fill(-100);
+        return analyser;
+    }
+    createMediaElementSource(element) {
+        // Browsers throw for an element that already has a source, in any context
+        if (element.hasSource) throw new Error('InvalidStateError: element already connected');
+        element.hasSource = true;
+        this.mediaElementSources++;
+        return new FakeAudioNode(this);
+    }
+    createMediaStreamSource() { return new FakeAudioNode(this); }
+}
+
+function createStream() {
+    const tracks = [{ kind: 'audio', stopped: false, stop() { this.stopped = true; } }];
+    return { tracks, getTracks: () => tracks.slice() };
+}
+
+function createSandbox() {
+    const sandbox = {
+        console: { log() {}, warn() {}, error() {} },
+        requestAnimationFrame: () => 1,
+        cancelAnimationFrame: () => {},
+        navigator: {
+            mediaDevices: {
+                streams: [],
+                getUserMedia: async () => {
+                    const stream = createStream();
+                    sandbox.navigator.mediaDevices.streams.push(stream);
+                    return stream;
+                }
+            }
+        },
+        AudioContext: FakeAudioContext
+    };
+    sandbox.window = sandbox;
+
+    vm.createContext(sandbox);
+    const source = fs.readFileSync(path.join(__dirname, 'VIB34D_AUDIO_ANALYZER.js'), 'utf8');
+    vm.runInContext(source, sandbox, { filename: 'VIB34D_AUDIO_ANALYZER.js' });
+    return sandbox;
+}
+
+// Mono AudioBuffer stand-in built from a sample function
+function createBuffer(seconds, sample) {
+    const data = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < data.length; i++) data[i] = sample(i / SAMPLE_RATE);
+    return { sampleRate: SAMPLE_RATE, length: data.length, numberOfChannels: 1, getChannelData: () => data };
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+// ============================================================================
+// 🎧 AUDIO ANALYZER TEST SUITE
+// ============================================================================
+
+class VIB34DAudioAnalyzerTest {
+    constructor() {
+        this.results = {
+            timestamp: new Date().toISOString(),
+            tests: [],
+            summary: { total: 0, passed: 0, failed: 0 }
+        };
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\n🧪 Testing: ${name}`);
+        try {
+            await testFn();
+            this.results.tests.push({ name, status: 'passed' });
+            this.results.summary.passed++;
+            console.log(`✅ PASSED`);
+        } catch (error) {
+            this.results.tests.push({ name, status: 'failed', error: error.message });
+            this.results.summary.failed++;
+            console.log(`❌ FAILED: ${error.message}`);
+        }
+        this.results.summary.total++;
+    }
+
+    // Test 1: A tone lights up its own band and leaves the others dark
+    async testBandLevels() {
+        const { VIB34DAudioAnalyzer } = createSandbox();
+        const expected = { 100: 'bass', 1000: 'mid', 6000: 'high' };
+
+        Object.entries(expected).forEach(([frequency, band]) => {
+            const buffer = createBuffer(1, t => 0.5 * Math.sin(2 * Math.PI * frequency * t));
+            const { frames } = new VIB34DAudioAnalyzer().analyzeBuffer(buffer);
+            const last = frames[frames.length - 1];
+            assert(last[band] > 0.01, `${frequency}Hz: ${band} level ${last[band].toFixed(3)} too low`);
+            ['bass', 'mid', 'high'].filter(other => other !== band).forEach(other => {
+                assert(last[other] < 0.005, `${frequency}Hz leaked into ${other} (${last[other].toFixed(3)})`);
+            });
+        });
+    }
+
+    // Test 2: A 2Hz kick drum is found on every hit, and nowhere else
+    async testBeatTimes() {
+        const { VIB34DAudioAnalyzer } = createSandbox();
+        const buffer = createBuffer(4, t => {
+            const sinceHit = t % 0.5;
+            const kick = sinceHit < 0.12 ? Math.sin(2 * Math.PI * 60 * t) * Math.exp(-sinceHit * 25) : 0;
+            return 0.6 * kick + 0.05 * Math.sin(2 * Math.PI * 5000 * t);
+        });
+        const result = new VIB34DAudioAnalyzer().analyzeBuffer(buffer, { frameRate: 60 });
+
+        assert(result.frames.length === 240, `expected 240 frames, got ${result.frames.length}`);
+        assert(result.beats.length === 8, `expected 8 beats, got ${result.beats.map(time => time.toFixed(2)).join(', ')}`);
+        result.beats.forEach((time, index) => {
+            // Onsets land within the first frames of each hit
+            const offset = time - index * 0.5;
+            assert(offset > 0 && offset <= 2 / 60, `beat ${index} at ${time.toFixed(3)}s`);
+        });
+        const hit = result.frames[Math.round(0.05 * 60) - 1];
+        const gap = result.frames[Math.round(0.45 * 60) - 1];
+        assert(hit.bass > gap.bass * 2, `bass at a hit (${hit.bass.toFixed(3)}) not above the gap (${gap.bass.toFixed(3)})`);
+    }
+
+    // Test 3: Turning live audio off releases the microphone
+    async testMicrophoneReleased() {
+        const sandbox = createSandbox();
+        const analyzer = new sandbox.VIB34DAudioAnalyzer();
+        await analyzer.connectMicrophone();
+        const first = sandbox.navigator.mediaDevices.streams[0];
+        assert(first.tracks.every(track => !track.stopped), 'microphone stopped while connected');
+
+        analyzer.disconnect();
+        assert(first.tracks.every(track => track.stopped), 'disconnect() left the microphone capturing');
+
+        await analyzer.connectMicrophone();
+        const second = sandbox.navigator.mediaDevices.streams[1];
+        analyzer.dispose();
+        assert(second.tracks.every(track => track.stopped), 'dispose() left the microphone capturing');
+
+        // A stream the caller opened is the caller's to stop
+        const own = createStream();
+        const other = new sandbox.VIB34DAudioAnalyzer();
+        await other.connectStream(own);
+        other.dispose();
+        assert(own.tracks.every(track => !track.stopped), 'disconnect() stopped a stream it did not open');
+    }
+
+    // Test 4: Media element sources stay with the context that made them
+    async testMediaElementContexts() {
+        const sandbox = createSandbox();
+        const element = {};
+        const shared = new FakeAudioContext();
+
+        const first = new sandbox.VIB34DAudioAnalyzer({ audioContext: shared });
+        const second = new sandbox.VIB34DAudioAnalyzer({ audioContext: shared });
+        await first.connectMediaElement(element);
+        await second.connectMediaElement(element);
+        assert(shared.mediaElementSources === 1, `expected one shared source, got ${shared.mediaElementSources}`);
+        assert(first.source === second.source, 'analyzers on one context did not share the source');
+
+        const separate = new sandbox.VIB34DAudioAnalyzer({ audioContext: new FakeAudioContext() });
+        let message = null;
+        try {
+            await separate.connectMediaElement(element);
+        } catch (error) {
+            message = error.message;
+        }
+        assert(message && message.includes('another AudioContext'), `expected a shared-context error, got ${message}`);
+    }
+
+    generateReport() {
+        const { total, passed, failed } = this.results.summary;
+        console.log('\n' + '='.repeat(50));
+        console.log('VIB34D AUDIO ANALYZER TEST RESULTS');
+        console.log('='.repeat(50));
+        console.log(`Total: ${total}  Passed: ${passed}  Failed: ${failed}`);
+        console.log('='.repeat(50));
+        return failed === 0;
+    }
+
+    async runAllTests() {
+        console.log('🚀 Starting VIB34D Audio Analyzer Tests...');
+
+        await this.runTest('Offline band levels', () => this.testBandLevels());
+        await this.runTest('Offline beat times', () => this.testBeatTimes());
+        await this.runTest('Microphone released on disconnect', () => this.testMicrophoneReleased());
+        await this.runTest('Media element sources per context', () => this.testMediaElementContexts());
+
+        if (!this.generateReport()) {
+            process.exit(1);
+        }
+    }
+}
+
+if (require.main === module) {
+    new VIB34DAudioAnalyzerTest().runAllTests().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { VIB34DAudioAnalyzerTest, FakeAudioContext, createBuffer };
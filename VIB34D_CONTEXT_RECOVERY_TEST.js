@@ -0,0 +1,574 @@
+/**
+ * VIB34D Context Recovery Test
+ *
+ * Headless harness for HypercubeCore context-loss handling, offscreen capture,
+ * shader plugin validation and the shared multi-viewport renderer.
+ * Loads the working core into a sandbox with a fake WebGL context, so loss and
+ * restore can be simulated without a browser or GPU.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================================================
+// 🧪 FAKE WEBGL / DOM ENVIRONMENT
+// ============================================================================
+
+class FakeWebGLContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.lost = false;
+        this.currentProgram = null;
+        this.nextId = 1;
+        this.live = { shaders: new Set(), programs: new Set(), buffers: new Set(), textures: new Set(), framebuffers: new Set() };
+        this.uniformUploads = [];
+        this.uniformValues = {};
+        this.enabledAttributes = new Set();
+        this.draws = 0;
+        // Viewport, scissor box and resolution each draw ran with
+        this.drawLog = [];
+        this.viewportBox = [0, 0, canvas.width, canvas.height];
+        this.scissorBox = [0, 0, canvas.width, canvas.height];
+        this.scissorTest = false;
+
+        Object.assign(this, {
+            VERTEX_SHADER: 0x8B31, FRAGMENT_SHADER: 0x8B30, COMPILE_STATUS: 0x8B81, LINK_STATUS: 0x8B82,
+            CURRENT_PROGRAM: 0x8B8D, ARRAY_BUFFER: 0x8892, STATIC_DRAW: 0x88E4, BLEND: 0x0BE2,
+            SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303, DEPTH_TEST: 0x0B71, SCISSOR_TEST: 0x0C11,
+            COLOR_BUFFER_BIT: 0x4000, DEPTH_BUFFER_BIT: 0x0100, TRIANGLE_STRIP: 0x0005, FLOAT: 0x1406,
+            MAX_VIEWPORT_DIMS: 0x0D3A, MAX_TEXTURE_SIZE: 0x0D33, TEXTURE_2D: 0x0DE1, RGBA: 0x1908,
+            UNSIGNED_BYTE: 0x1401, TEXTURE_MIN_FILTER: 0x2801, TEXTURE_MAG_FILTER: 0x2800, NEAREST: 0x2600,
+            FRAMEBUFFER: 0x8D40, COLOR_ATTACHMENT0: 0x8CE0, FRAMEBUFFER_COMPLETE: 0x8CD5
+        });
+    }
+
+    // Simulates the driver dropping the context: every object dies with it
+    loseContext() {
+        this.lost = true;
+        Object.values(this.live).forEach(objects => objects.clear());
+        this.enabledAttributes.clear();
+        this.currentProgram = null;
+        this.canvas.dispatch('webglcontextlost', { preventDefault: () => { this.canvas.defaultPrevented = true; } });
+    }
+
+    restoreContext() {
+        if (!this.lost) return;
+        this.lost = false;
+        this.canvas.dispatch('webglcontextrestored', {});
+    }
+
+    isContextLost() { return this.lost; }
+
+    getExtension(name) {
+        if (name !== 'WEBGL_lose_context') return null;
+        return {
+            loseContext: () => this.loseContext(),
+            restoreContext: () => { this.restoreRequests = (this.restoreRequests || 0) + 1; }
+        };
+    }
+
+    getParameter(pname) {
+        if (pname === this.CURRENT_PROGRAM) return this.currentProgram;
+        if (pname === this.MAX_VIEWPORT_DIMS) return [4096, 4096];
+        if (pname === this.MAX_TEXTURE_SIZE) return 4096;
+        return null;
+    }
+
+    _object(kind) {
+        if (this.lost) return null;
+        const object = { id: this.nextId++, kind };
+        this.live[kind].add(object);
+        return object;
+    }
+
+    createShader() { return this._object('shaders'); }
+    createProgram() { const p = this._object('programs'); if (p) p.attached = []; return p; }
+    createBuffer() { return this._object('buffers'); }
+    createTexture() { return this._object('textures'); }
+    createFramebuffer() { return this._object('framebuffers'); }
+    deleteShader(s) { this.live.shaders.delete(s); }
+    deleteProgram(p) { this.live.programs.delete(p); }
+    deleteBuffer(b) { this.live.buffers.delete(b); }
+    deleteTexture(t) { this.live.textures.delete(t); }
+    deleteFramebuffer(f) { this.live.framebuffers.delete(f); }
+    checkFramebufferStatus() { return this.FRAMEBUFFER_COMPLETE; }
+    shaderSource(shader, source) { if (shader) shader.source = source; }
+    compileShader() {}
+    getShaderParameter(shader) { return !this.lost && this.live.shaders.has(shader); }
+    getShaderInfoLog() { return 'ERROR: 0:1: context lost'; }
+    attachShader(program, shader) { program.attached.push(shader); }
+    detachShader(program, shader) { program.attached = program.attached.filter(s => s !== shader); }
+    getAttachedShaders(program) { return program ? program.attached.slice() : null; }
+    linkProgram() {}
+    getProgramParameter(program) { return !this.lost && this.live.programs.has(program); }
+    getProgramInfoLog() { return ''; }
+    useProgram(program) { this.currentProgram = program; }
+    getUniformLocation(program, name) { return (!this.lost && this.live.programs.has(program)) ? { program, name } : null; }
+    getAttribLocation(program) { return this.live.programs.has(program) ? 0 : -1; }
+    enableVertexAttribArray(index) { this.enabledAttributes.add(index); }
+    uniform1f(loc, value) { this.uniformUploads.push(loc.name); this.uniformValues[loc.name] = value; }
+    uniform2fv(loc, value) { this.uniformUploads.push(loc.name); this.uniformValues[loc.name] = Array.from(value); }
+    uniform3fv(loc, value) { this.uniformUploads.push(loc.name); this.uniformValues[loc.name] = Array.from(value); }
+    uniformMatrix4fv(loc, transpose, value) { this.uniformUploads.push(loc.name); this.uniformValues[loc.name] = Array.from(value); }
+    viewport(x, y, width, height) { this.viewportBox = [x, y, width, height]; }
+    scissor(x, y, width, height) { this.scissorBox = [x, y, width, height]; }
+    enable(cap) { if (cap === this.SCISSOR_TEST) this.scissorTest = true; }
+    disable(cap) { if (cap === this.SCISSOR_TEST) this.scissorTest = false; }
+    drawArrays() {
+        if (this.lost) return;
+        this.draws++;
+        this.drawLog.push({
+            viewport: this.viewportBox.join(),
+            scissor: this.scissorTest ? this.scissorBox.join() : null,
+            resolution: this.uniformValues.u_resolution?.join('x')
+        });
+    }
+
+    // GL rows run bottom-up: every byte of row r reads r, so a flip is visible
+    readPixels(x, y, width, height, format, type, pixels) {
+        for (let row = 0; row < height; row++) {
+            pixels.fill(row, row * width * 4, (row + 1) * width * 4);
+        }
+    }
+}
+
+['bindBuffer', 'bufferData', 'bindTexture', 'texImage2D', 'texParameteri', 'bindFramebuffer', 'framebufferTexture2D', 'clearColor', 'blendFunc',
+ 'clear', 'vertexAttribPointer'].forEach(name => { FakeWebGLContext.prototype[name] = function() {}; });
+
+// Output canvas of a shared-mode core: records what the renderer copies into it
+class FakeCanvas2DContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.clears = 0;
+        this.copies = [];
+    }
+
+    clearRect() { this.clears++; }
+
+    // atlasDraws is how many draws the atlas had seen, so a copy can be placed in the frame
+    drawImage(source, ...rect) {
+        this.copies.push({ source, rect: rect.join(), atlasDraws: source.context.draws });
+    }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.canvas2D=false] - Give canvases a 2D context, so cores in
+ *        'auto' mode attach to a SharedWebGLRenderer instead of opening their own context
+ */
+function createSandbox(options = {}) {
+    const frames = new Map();
+    const timers = [];
+    let nextFrameId = 1;
+
+    class HTMLCanvasElement {
+        constructor(id) {
+            this.id = id;
+            this.width = this.clientWidth = 320;
+            this.height = this.clientHeight = 200;
+            this.listeners = {};
+            this.context = null;
+        }
+        getContext(type) {
+            // Like a real canvas, one context type per canvas
+            if (type === '2d') {
+                if (!options.canvas2D) return null; // keep every core on its own (direct) context
+                if (!this.context) this.context = new FakeCanvas2DContext(this);
+                return this.context instanceof FakeCanvas2DContext ? this.context : null;
+            }
+            if (!this.context) this.context = new FakeWebGLContext(this);
+            return this.context instanceof FakeWebGLContext ? this.context : null;
+        }
+        addEventListener(type, fn) {
+            this.listeners[type] = this.listeners[type] || [];
+            if (!this.listeners[type].includes(fn)) this.listeners[type].push(fn);
+        }
+        removeEventListener(type, fn) {
+            this.listeners[type] = (this.listeners[type] || []).filter(f => f !== fn);
+        }
+        dispatch(type, event) {
+            (this.listeners[type] || []).slice().forEach(fn => fn(event));
+        }
+    }
+
+    const sandbox = {
+        console: { log() {}, warn() {}, error() {} },
+        HTMLCanvasElement,
+        document: { createElement: () => new HTMLCanvasElement('offscreen') },
+        performance: { now: () => sandbox.now },
+        now: 0,
+        requestAnimationFrame: (fn) => { frames.set(nextFrameId, fn); return nextFrameId++; },
+        cancelAnimationFrame: (id) => frames.delete(id),
+        setTimeout: (fn, delay) => { timers.push({ fn, delay }); return timers.length; },
+        clearTimeout: (id) => { if (timers[id - 1]) timers[id - 1].fn = null; },
+        frames,
+        timers
+    };
+    sandbox.window = sandbox;
+
+    vm.createContext(sandbox);
+    const source = fs.readFileSync(path.join(__dirname, 'VIB34D_WORKING_CORE_ARCHITECTURE.js'), 'utf8');
+    vm.runInContext(source, sandbox, { filename: 'VIB34D_WORKING_CORE_ARCHITECTURE.js' });
+
+    sandbox.step = (count = 1) => {
+        for (let i = 0; i < count; i++) {
+            sandbox.now += 16;
+            const pending = [...frames.values()];
+            frames.clear();
+            pending.forEach(fn => fn(sandbox.now));
+        }
+    };
+    sandbox.runTimers = () => {
+        const pending = timers.filter(t => t.fn).map(t => ({ ...t }));
+        timers.forEach(t => { t.fn = null; });
+        pending.forEach(t => t.fn());
+        return pending.map(t => t.delay);
+    };
+    return sandbox;
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+// ============================================================================
+// 🛟 CONTEXT RECOVERY TEST SUITE
+// ============================================================================
+
+class VIB34DContextRecoveryTest {
+    constructor() {
+        this.results = {
+            timestamp: new Date().toISOString(),
+            tests: [],
+            summary: { total: 0, passed: 0, failed: 0 }
+        };
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\n🧪 Testing: ${name}`);
+        try {
+            await testFn();
+            this.results.tests.push({ name, status: 'passed' });
+            this.results.summary.passed++;
+            console.log(`✅ PASSED`);
+        } catch (error) {
+            this.results.tests.push({ name, status: 'failed', error: error.message });
+            this.results.summary.failed++;
+            console.log(`❌ FAILED: ${error.message}`);
+        }
+        this.results.summary.total++;
+    }
+
+    createCore(sandbox, options = {}) {
+        const canvas = new sandbox.HTMLCanvasElement('visualizer');
+        const events = { lost: 0, restored: 0, errors: [] };
+        const core = new sandbox.VIB34D_WorkingCore.HypercubeCore(canvas, {
+            ...options,
+            callbacks: {
+                onContextLost: () => events.lost++,
+                onContextRestored: () => events.restored++,
+                onError: (error) => events.errors.push(error.message)
+            }
+        });
+        return { core, canvas, gl: canvas.context, events };
+    }
+
+    // Test 1: Loss/restore events rebuild programs, buffers and attributes
+    async testEventDrivenRecovery() {
+        const sandbox = createSandbox();
+        const { core, gl, canvas, events } = this.createCore(sandbox);
+        core.start();
+        sandbox.step(2);
+
+        gl.loseContext();
+        assert(canvas.defaultPrevented, 'webglcontextlost default was not prevented');
+        assert(events.lost === 1, 'onContextLost not emitted');
+        assert(!core.state.isRendering, 'core kept rendering on a lost context');
+
+        gl.restoreContext();
+        assert(events.restored === 1, 'onContextRestored not emitted');
+        assert(gl.live.programs.size === 1, `expected 1 rebuilt program, got ${gl.live.programs.size}`);
+        assert(gl.live.buffers.has(core.quadBuffer), 'quad buffer not rebuilt');
+        assert(gl.enabledAttributes.has(core.aPositionLoc), 'a_position not re-enabled');
+        assert(core.state.isRendering, 'render loop not resumed');
+
+        gl.uniformUploads = [];
+        const drawsBefore = gl.draws;
+        sandbox.step();
+        assert(gl.draws === drawsBefore + 1, 'no frame drawn after recovery');
+        ['u_resolution', 'u_dimension', 'u_primaryColor', 'u_audioBass'].forEach(name => {
+            assert(gl.uniformUploads.includes(name), `${name} not re-uploaded after recovery`);
+        });
+    }
+
+    // Test 2: In-loop detection shares the same path and backs off between attempts
+    async testRenderLoopDetectionWithBackoff() {
+        const sandbox = createSandbox();
+        const { core, gl, events } = this.createCore(sandbox, {
+            contextRecovery: { maxAttempts: 3, initialDelay: 100, backoffFactor: 3, maxDelay: 1000 }
+        });
+        core.start();
+        sandbox.step();
+
+        // Lose without dispatching the event: only the render loop can notice
+        gl.lost = true;
+        sandbox.step();
+        assert(events.lost === 1, 'render loop did not report the loss');
+
+        const delays = [];
+        delays.push(...sandbox.runTimers());
+        delays.push(...sandbox.runTimers());
+        assert(delays.join(',') === '100,300', `unexpected backoff delays: ${delays.join(',')}`);
+        assert(gl.restoreRequests === 2, 'restoreContext not requested on each attempt');
+
+        // Late event must not run a second rebuild after the poll has recovered
+        gl.lost = false;
+        sandbox.runTimers();
+        gl.canvas.dispatch('webglcontextrestored', {});
+        assert(events.restored === 1, `expected one restore, got ${events.restored}`);
+        assert(core.getStatus().contextRestores === 1, 'status does not count the restore');
+    }
+
+    // Test 3: Exhausted attempts surface a permanent failure
+    async testPermanentLoss() {
+        const sandbox = createSandbox();
+        const { core, gl, events } = this.createCore(sandbox, {
+            contextRecovery: { maxAttempts: 2, initialDelay: 10 }
+        });
+        core.start();
+        gl.loseContext();
+        sandbox.runTimers();
+        sandbox.runTimers();
+        sandbox.runTimers();
+        assert(events.errors.includes('WebGL context permanently lost'), 'permanent loss not reported');
+        assert(sandbox.timers.every(t => !t.fn), 'recovery kept scheduling after giving up');
+        assert(core.getStatus().contextLost, 'status does not report the lost context');
+    }
+
+    // Test 4: Disposing mid-recovery cancels pending attempts
+    async testDisposeDuringRecovery() {
+        const sandbox = createSandbox();
+        const { core, gl, events } = this.createCore(sandbox);
+        core.start();
+        gl.loseContext();
+        core.dispose();
+        gl.lost = false;
+        sandbox.runTimers();
+        assert(events.restored === 0, 'disposed core was restored');
+        assert(sandbox.frames.size === 0 && !core.state.isRendering, 'disposed core resumed rendering');
+    }
+
+    // Test 5: Create/dispose cycles release every GL object the core made
+    async testDisposeReleasesEverything() {
+        const sandbox = createSandbox();
+        const canvas = new sandbox.HTMLCanvasElement('visualizer');
+        for (let cycle = 0; cycle < 3; cycle++) {
+            const core = new sandbox.VIB34D_WorkingCore.HypercubeCore(canvas);
+            const gl = canvas.context;
+            core.start();
+            sandbox.step();
+            // A few variants in the cache, not just the starting one
+            ['torus', 'klein', 'hypersphere'].forEach(geometryType => {
+                core.updateParameters({ geometryType });
+                sandbox.step();
+            });
+            const alive = { programs: gl.live.programs.size, shaders: gl.live.shaders.size, buffers: gl.live.buffers.size };
+            assert(alive.programs === 4, `cycle ${cycle}: expected 4 cached programs, got ${alive.programs}`);
+
+            const released = core.dispose();
+            assert(released.programs === alive.programs, `cycle ${cycle}: released ${released.programs} of ${alive.programs} programs`);
+            assert(released.shaders === alive.shaders, `cycle ${cycle}: released ${released.shaders} of ${alive.shaders} shaders`);
+            assert(released.buffers === alive.buffers, `cycle ${cycle}: released ${released.buffers} of ${alive.buffers} buffers`);
+            assert(released.listeners === 2 && released.animationFrames === 1,
+                `cycle ${cycle}: released ${released.listeners} listeners and ${released.animationFrames} frames`);
+
+            const leaked = Object.entries(gl.live).filter(([, objects]) => objects.size > 0).map(([kind, objects]) => `${objects.size} ${kind}`);
+            assert(leaked.length === 0, `cycle ${cycle}: still alive after dispose: ${leaked.join(', ')}`);
+            ['webglcontextlost', 'webglcontextrestored'].forEach(type => {
+                assert((canvas.listeners[type] || []).length === 0, `cycle ${cycle}: ${type} listener left on the canvas`);
+            });
+            assert(sandbox.frames.size === 0, `cycle ${cycle}: animation frame left pending`);
+            assert(!sandbox.VIB34D_WorkingCore.HypercubeCore.getLiveCores().includes(core), `cycle ${cycle}: disposed core still listed as live`);
+        }
+    }
+
+    // Test 6: renderFrame draws one frame at a fixed time and returns it top-down
+    async testRenderFrame() {
+        const sandbox = createSandbox();
+        const { core, gl } = this.createCore(sandbox);
+        core.start();
+        sandbox.step(3);
+        const liveTime = core.state.time;
+        const liveResolution = core.state.resolution;
+        const drawsBefore = gl.draws;
+
+        const pose = { xy: 0, xz: 0, yz: 0, xw: 0, yw: 0, zw: 0 };
+        const frame = core.renderFrame({ width: 64, height: 48, time: 2.5, rotation4D: pose });
+        assert(frame.width === 64 && frame.height === 48, `frame is ${frame.width}x${frame.height}`);
+        assert(frame.pixels.length === 64 * 48 * 4, `expected ${64 * 48 * 4} bytes, got ${frame.pixels.length}`);
+        assert(gl.draws === drawsBefore + 1, 'renderFrame did not draw exactly once');
+        assert(gl.uniformValues.u_time === 2.5, `u_time was ${gl.uniformValues.u_time}, not the requested 2.5`);
+        assert(gl.uniformValues.u_resolution.join('x') === '64x48', `u_resolution was ${gl.uniformValues.u_resolution}`);
+        // The top image row is the last row GL read back
+        assert(frame.pixels[0] === 47 && frame.pixels[frame.pixels.length - 1] === 0, 'pixels not flipped to top-down rows');
+        const rotation = gl.uniformValues.u_rotation4D.join();
+
+        assert(core.state.time === liveTime && core.state.resolution === liveResolution, 'live time or resolution not restored');
+        assert(gl.live.textures.size === 0 && gl.live.framebuffers.size === 0, 'offscreen target left alive');
+
+        // The same pose and time give the same uniforms, whatever the live loop has done since
+        sandbox.step(5);
+        core.renderFrame({ width: 64, height: 48, time: 2.5, rotation4D: pose });
+        assert(gl.uniformValues.u_time === 2.5, 'second capture at the same time used a different u_time');
+        assert(gl.uniformValues.u_rotation4D.join() === rotation, 'second capture at the same time used a different rotation');
+    }
+
+    // Test 7: The plugin validator accepts a well-formed geometry and names what is wrong with broken ones
+    async testPluginValidation() {
+        const sandbox = createSandbox();
+        const { BaseGeometry, BaseProjection, ShaderPluginValidator } = sandbox.VIB34D_WorkingCore;
+        const geometry = (glsl, manifest = {}) => new (class extends BaseGeometry {
+            getShaderCode() { return glsl; }
+            getManifest() {
+                return { name: 'test', requiredUniforms: ['u_time', 'u_gridDensity'], uniforms: {
+                    u_ripple: { type: 'float', min: 0, max: 1, default: 0.5 }
+                }, ...manifest };
+            }
+        })();
+
+        const valid = ShaderPluginValidator.validate(geometry(`
+            float ring(vec3 p) { return sin(length(p) * u_gridDensity - u_time); }
+            float calculateLattice(vec3 p) {
+                float wave = ring(p) * u_ripple;
+                return clamp(abs(wave), 0.0, 1.0);
+            }`));
+        assert(valid.valid, `well-formed geometry rejected: ${valid.errors.join('; ')}`);
+        assert(valid.warnings.length === 0, `unexpected warnings: ${valid.warnings.join('; ')}`);
+
+        const builtins = Object.entries(sandbox.VIB34D_WorkingCore)
+            .filter(([name, Plugin]) => /(Geometry|Projection)$/.test(name) && Plugin !== BaseGeometry && Plugin !== BaseProjection);
+        builtins.forEach(([name, Plugin]) => {
+            const report = ShaderPluginValidator.validate(new Plugin(), name.endsWith('Projection') ? 'projection' : 'geometry');
+            assert(report.valid, `built-in ${name} rejected: ${report.errors.join('; ')}`);
+        });
+
+        const missingEntry = ShaderPluginValidator.validate(geometry(`
+            float lattice(vec3 p) { return fract(length(p) * u_gridDensity - u_time); }`));
+        assert(!missingEntry.valid, 'geometry without calculateLattice accepted');
+        assert(missingEntry.errors.some(error => error.includes('float calculateLattice(vec3 p)')),
+            `missing entry point not reported: ${missingEntry.errors.join('; ')}`);
+
+        const unknown = ShaderPluginValidator.validate(geometry(`
+            float calculateLattice(vec3 p) {
+                float local = noise3(p) * u_gridDensity;
+                return local + u_swirl + u_time;
+            }`));
+        assert(!unknown.valid, 'geometry with unknown identifiers accepted');
+        const error = unknown.errors.find(message => message.startsWith('Unknown identifiers:')) || '';
+        assert(error.includes('noise3') && error.includes('u_swirl'), `unknown identifiers not named: ${unknown.errors.join('; ')}`);
+        assert(!/\b(local|p|u_gridDensity|u_time)\b/.test(error.slice('Unknown identifiers:'.length)),
+            `declared or base identifiers reported as unknown: ${error}`);
+
+        // The same checks guard registration on a core
+        const { core } = this.createCore(sandbox);
+        const rejected = core.registerGeometry('broken', geometry('float calculateLattice(vec3 p) { return u_swirl; }'));
+        assert(!rejected.valid && !core.geometryManager.getGeometryTypes().includes('broken'), 'core registered an invalid geometry');
+        const accepted = core.registerGeometry('rippled', geometry('float calculateLattice(vec3 p) { return u_ripple * u_time * u_gridDensity; }'));
+        assert(accepted.valid && core.geometryManager.getGeometryTypes().includes('rippled'), `core refused a valid geometry: ${accepted.errors.join('; ')}`);
+    }
+
+    // Test 8: A shared renderer shelf-packs cores into one atlas, flushing when it fills
+    async testSharedRendererAtlas() {
+        const sandbox = createSandbox({ canvas2D: true });
+        const renderer = new sandbox.VIB34D_WorkingCore.SharedWebGLRenderer({ maxAtlasSize: 512 });
+        const gl = renderer.gl;
+        // The first four fill two shelves of a 512px atlas; the fifth doesn't fit under them
+        const sizes = [[320, 200], [160, 120], [200, 100], [300, 300], [300, 300]];
+        const cores = sizes.map(([width, height], i) => {
+            const canvas = new sandbox.HTMLCanvasElement(`slot${i}`);
+            canvas.width = canvas.clientWidth = width;
+            canvas.height = canvas.clientHeight = height;
+            return new sandbox.VIB34D_WorkingCore.HypercubeCore(canvas, { sharedRenderer: renderer });
+        });
+        cores.forEach((core, i) => {
+            assert(core.renderMode === 'shared' && core.gl === gl, `core ${i} did not attach to the shared renderer`);
+            core.start();
+        });
+        assert(renderer.cores.size === 5, `renderer has ${renderer.cores.size} cores`);
+
+        gl.drawLog = [];
+        sandbox.step();
+        const slots = [[0, 0], [321, 0], [0, 201], [201, 201], [0, 0]];
+        const atlasHeight = 502;
+        assert(renderer.canvas.width === 502 && renderer.canvas.height === atlasHeight,
+            `atlas is ${renderer.canvas.width}x${renderer.canvas.height}, expected 502x502`);
+        assert(gl.drawLog.length === 5, `expected 5 draws, got ${gl.drawLog.length}`);
+        gl.drawLog.forEach((draw, i) => {
+            const [width, height] = sizes[i];
+            const [x, y] = slots[i];
+            const box = [x, atlasHeight - y - height, width, height].join();
+            assert(draw.viewport === box, `core ${i} drew into viewport ${draw.viewport}, expected ${box}`);
+            assert(draw.scissor === box, `core ${i} drew with scissor ${draw.scissor}, expected ${box}`);
+            assert(draw.resolution === `${width}x${height}`, `core ${i} drew at u_resolution ${draw.resolution}`);
+        });
+
+        cores.forEach((core, i) => {
+            const [width, height] = sizes[i];
+            const [x, y] = slots[i];
+            const copies = core.outputContext.copies;
+            assert(copies.length === 1 && core.outputContext.clears === 1, `core ${i} got ${copies.length} copies`);
+            assert(copies[0].source === renderer.canvas, `core ${i} copied from something other than the atlas`);
+            assert(copies[0].rect === [x, y, width, height, 0, 0, width, height].join(), `core ${i} copied ${copies[0].rect}`);
+        });
+        // The full atlas was copied out before the fifth core reused its top-left slot
+        assert(cores.slice(0, 4).every(core => core.outputContext.copies[0].atlasDraws === 4) &&
+            cores[4].outputContext.copies[0].atlasDraws === 5, 'atlas not flushed before it was reused');
+
+        // Unregistered cores leave the atlas; the last one out stops the frame loop
+        cores[1].dispose();
+        gl.drawLog = [];
+        sandbox.step();
+        assert(renderer.cores.size === 4 && gl.drawLog.length === 4, `expected 4 draws after dispose, got ${gl.drawLog.length}`);
+        assert(cores[1].outputContext === null, 'disposed core kept its output context');
+        assert(cores[0].outputContext.copies.length === 2, 'remaining core not copied on the next frame');
+        [0, 2, 3, 4].forEach(i => cores[i].dispose());
+        assert(renderer.cores.size === 0 && sandbox.frames.size === 0, 'renderer kept a frame scheduled with no cores');
+    }
+
+    generateReport() {
+        const { total, passed, failed } = this.results.summary;
+        console.log('\n' + '='.repeat(50));
+        console.log('VIB34D CONTEXT RECOVERY TEST RESULTS');
+        console.log('='.repeat(50));
+        console.log(`Total: ${total}  Passed: ${passed}  Failed: ${failed}`);
+        console.log('='.repeat(50));
+        return failed === 0;
+    }
+
+    async runAllTests() {
+        console.log('🚀 Starting VIB34D Context Recovery Tests...');
+
+        await this.runTest('Event-driven loss and restore', () => this.testEventDrivenRecovery());
+        await this.runTest('Render-loop detection with backoff', () => this.testRenderLoopDetectionWithBackoff());
+        await this.runTest('Permanent context loss', () => this.testPermanentLoss());
+        await this.runTest('Dispose during recovery', () => this.testDisposeDuringRecovery());
+        await this.runTest('Dispose releases every GL object', () => this.testDisposeReleasesEverything());
+        await this.runTest('renderFrame at a fixed time', () => this.testRenderFrame());
+        await this.runTest('Shader plugin validation', () => this.testPluginValidation());
+        await this.runTest('Shared renderer atlas packing', () => this.testSharedRendererAtlas());
+
+        if (!this.generateReport()) {
+            process.exit(1);
+        }
+    }
+}
+
+if (require.main === module) {
+    new VIB34DContextRecoveryTest().runAllTests().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { VIB34DContextRecoveryTest, FakeWebGLContext, FakeCanvas2DContext, createSandbox };
@@ -10,6 +10,7 @@ class VIB34DEditorDashboard {
         this.nextElementId = 1;
         this.relationships = new Map();
         this.isPreviewMode = false;
+        this.activeExport = null;
         
         // Initialize integrated system bridge
         this.systemBridge = null;
@@ -129,7 +130,9 @@ class VIB34DEditorDashboard {
                 rotationSpeed: 0.5,
                 hoverIntensity: 1.0,
                 clickResponse: 1.2,
-                scrollSensitivity: 0.8
+                scrollSensitivity: 0.8,
+                moireEffect: null,      // null: the bridge's default for the element type
+                moireIntensity: 1.0
             },
             relationships: {
                 type: 'none',
@@ -160,35 +163,15 @@ class VIB34DEditorDashboard {
             if (window.VIB34D_WorkingCore) {
                 console.log(`🚀 Creating WebGL visualizer for ${elementData.id}`);
                 
-                // Select appropriate geometry class
-                let GeometryClass;
-                switch(elementData.geometry) {
-                    case 'hypercube': GeometryClass = window.VIB34D_WorkingCore.HypercubeGeometry; break;
-                    case 'sphere': GeometryClass = window.VIB34D_WorkingCore.HypersphereGeometry; break;
-                    case 'torus': GeometryClass = window.VIB34D_WorkingCore.TorusGeometry; break;
-                    case 'klein': GeometryClass = window.VIB34D_WorkingCore.KleinBottleGeometry; break;
-                    case 'mobius': GeometryClass = window.VIB34D_WorkingCore.MobiusGeometry; break;
-                    case 'lorenz': GeometryClass = window.VIB34D_WorkingCore.LorenzAttractorGeometry; break;
-                    case 'hopf': GeometryClass = window.VIB34D_WorkingCore.HopfLinkGeometry; break;
-                    case 'tesseract': GeometryClass = window.VIB34D_WorkingCore.TesseractGeometry; break;
-                    default: GeometryClass = window.VIB34D_WorkingCore.HypercubeGeometry;
-                }
-                
-                // Create the core with proper geometry
+                // Library names ('sphere', 'klein', 'hopf'...) go through the core's shared name table
+                const geometryType = window.VIB34D_WorkingCore.resolveGeometryName(elementData.geometry);
                 const core = new window.VIB34D_WorkingCore.HypercubeCore(canvas, {
-                    geometry: new GeometryClass(),
-                    initialUniforms: {
-                        u_dimension: elementData.properties.dimension,
-                        u_morphFactor: elementData.properties.morphFactor,
-                        u_gridDensity: elementData.properties.gridDensity,
-                        u_rotationSpeed: elementData.properties.rotationSpeed
-                    }
+                    geometryType,
+                    projectionMethod: 'perspective'
                 });
                 
                 // Configure based on element properties
                 core.updateParameters({
-                    geometryType: elementData.geometry,
-                    projectionMethod: 'perspective',
                     dimension: elementData.properties.dimension,
                     morphFactor: elementData.properties.morphFactor,
                     gridDensity: elementData.properties.gridDensity,
@@ -203,7 +186,7 @@ class VIB34DEditorDashboard {
                 
                 // Store reference
                 elementData.visualizer = core;
-                element.classList.add('has-visualizer');
+                canvas.parentElement?.classList.add('has-visualizer');
                 
                 console.log(`✅ WebGL visualizer created for ${elementData.id}`);
                 
@@ -286,6 +269,11 @@ class VIB34DEditorDashboard {
         document.getElementById('scroll-sensitivity').value = elementData.properties.scrollSensitivity;
         document.getElementById('scroll-sensitivity-value').textContent = elementData.properties.scrollSensitivity.toFixed(1);
         
+        // Update moiré settings
+        document.getElementById('moire-effect').value = this.getElementMoireEffect(elementId);
+        document.getElementById('moire-intensity').value = elementData.properties.moireIntensity;
+        document.getElementById('moire-intensity-value').textContent = elementData.properties.moireIntensity.toFixed(1);
+        
         // Update relationships
         document.getElementById('relationship-type').value = elementData.relationships.type;
         document.getElementById('relationship-strength').value = elementData.relationships.strength;
@@ -313,6 +301,10 @@ const ${elementId}Config = {
         click: ${elementData.properties.clickResponse},
         scroll: ${elementData.properties.scrollSensitivity}
     },
+    moire: {
+        effect: "${this.getElementMoireEffect(elementId)}",
+        intensity: ${elementData.properties.moireIntensity}
+    },
     relationships: {
         type: "${elementData.relationships.type}",
         strength: ${elementData.relationships.strength}
@@ -364,6 +356,29 @@ applyVIB34DConfig('${elementId}', ${elementId}Config);
                 });
             }
         });
+        
+        // Setup moiré controls
+        const moireEffect = document.getElementById('moire-effect');
+        if (moireEffect) {
+            moireEffect.addEventListener('change', () => {
+                if (this.selectedElement) {
+                    this.updateElementMoireEffect(this.selectedElement, moireEffect.value);
+                }
+            });
+        }
+        
+        const moireIntensity = document.getElementById('moire-intensity');
+        const moireIntensityValue = document.getElementById('moire-intensity-value');
+        if (moireIntensity && moireIntensityValue) {
+            moireIntensity.addEventListener('input', () => {
+                const value = parseFloat(moireIntensity.value);
+                moireIntensityValue.textContent = value.toFixed(1);
+                
+                if (this.selectedElement) {
+                    this.updateElementMoireIntensity(this.selectedElement, value);
+                }
+            });
+        }
     }
     
     setupCanvasInteraction() {
@@ -426,6 +441,42 @@ applyVIB34DConfig('${elementId}', ${elementId}Config);
         }
     }
     
+    updateElementMoireEffect(elementId, effectType) {
+        const elementData = this.elements.get(elementId);
+        if (!elementData) return;
+        
+        elementData.properties.moireEffect = effectType;
+        if (this.systemBridge) {
+            this.systemBridge.setElementMoireEffect(elementId, effectType);
+        }
+        
+        // Regenerate code preview
+        this.generateCodePreview(elementId);
+    }
+    
+    updateElementMoireIntensity(elementId, value) {
+        const elementData = this.elements.get(elementId);
+        if (!elementData) return;
+        
+        elementData.properties.moireIntensity = value;
+        if (this.systemBridge) {
+            this.systemBridge.setElementMoireSettings(elementId, { intensity: value });
+        }
+        
+        // Regenerate code preview
+        this.generateCodePreview(elementId);
+    }
+    
+    /**
+     * The effect the element shows: picked in the editor, else the bridge's default for its type
+     */
+    getElementMoireEffect(elementId) {
+        const elementData = this.elements.get(elementId);
+        return elementData?.properties.moireEffect
+            || this.systemBridge?.getElementMoireEffect(elementId)
+            || 'cardBorder';
+    }
+    
     deleteElement(elementId) {
         if (confirm(`Delete element ${this.selectedElement}?`)) {
             const elementData = this.elements.get(elementId);
@@ -466,7 +517,8 @@ applyVIB34DConfig('${elementId}', ${elementId}Config);
                 }
                 
                 if (typeof elementData.visualizer.dispose === 'function') {
-                    elementData.visualizer.dispose();
+                    const released = elementData.visualizer.dispose({ loseContext: true });
+                    console.log(`🧹 Released GL resources for ${elementId}:`, released);
                 }
                 
                 // Clear canvas
@@ -495,6 +547,36 @@ applyVIB34DConfig('${elementId}', ${elementId}Config);
         }
     }
     
+    /**
+     * Export an element's visualizer as a clip through VIB34DFrameExporter.
+     * Progress and cancellation are forwarded so the Export button can show them.
+     * @param {string} elementId
+     * @param {Object} options - VIB34DFrameExporter.export() options (format, fps, loop, onProgress, onCancel...)
+     * @returns {Promise<Object>} Export result
+     */
+    async exportElementAnimation(elementId, options = {}) {
+        const elementData = this.elements.get(elementId);
+        if (!elementData || !elementData.visualizer) {
+            throw new Error(`No visualizer to export for ${elementId}`);
+        }
+        if (!window.VIB34DFrameExporter) {
+            throw new Error('VIB34DFrameExporter not loaded');
+        }
+        
+        this.activeExport = new window.VIB34DFrameExporter(elementData.visualizer);
+        try {
+            const result = await this.activeExport.export(options);
+            console.log(`✅ Exported ${elementId} as ${result.format} (${result.frameCount} frames)`);
+            return result;
+        } finally {
+            this.activeExport = null;
+        }
+    }
+    
+    cancelExport() {
+        if (this.activeExport) this.activeExport.cancel();
+    }
+    
     disposeAllElements() {
         console.log('🧹 Disposing all elements...');
         
@@ -0,0 +1,413 @@
+/**
+ * VIB34D FRAME EXPORTER
+ *
+ * Renders a HypercubeCore configuration frame-by-frame at a fixed FPS using
+ * the deterministic HypercubeCore.renderFrame() path, then encodes the frames
+ * to WebM (MediaRecorder), animated PNG, or a numbered PNG sequence.
+ */
+
+// ============================================================================
+// 🎞️ EXPORT CONFIGURATION
+// ============================================================================
+
+const EXPORT_FORMATS = ['webm', 'apng', 'png-sequence'];
+
+const DEFAULT_EXPORT_OPTIONS = {
+    format: 'webm',
+    fps: 30,
+    duration: 4,            // Seconds; ignored when `frames` is set or `loop` picks the period
+    startTime: 0,
+    loop: false,
+    minLoopDuration: 2,
+    maxLoopDuration: 30,
+    loopCrossfade: 0.5,     // Seconds blended across the seam to hide non-periodic u_time motion
+    videoBitsPerSecond: 8000000
+};
+
+const TWO_PI = Math.PI * 2;
+
+// ============================================================================
+// 🎬 VIB34D FRAME EXPORTER
+// ============================================================================
+
+class VIB34DFrameExporter {
+    constructor(core) {
+        if (!core || typeof core.renderFrame !== 'function') {
+            throw new Error('VIB34DFrameExporter needs a HypercubeCore with renderFrame().');
+        }
+        this.core = core;
+        this.isExporting = false;
+        this.cancelRequested = false;
+    }
+
+    /**
+     * Loop period for the core's current rotation. The fastest 4D plane makes
+     * whole turns, every other plane is snapped to whole turns in the same
+     * period, so the rotation returns exactly to its starting pose.
+     * @returns {{duration: number, frames: number, velocity: Object}}
+     */
+    static planLoop(core, fps, options = {}) {
+        const minDuration = options.minLoopDuration ?? DEFAULT_EXPORT_OPTIONS.minLoopDuration;
+        const maxDuration = options.maxLoopDuration ?? DEFAULT_EXPORT_OPTIONS.maxLoopDuration;
+        const speed = core.getRotationRate();
+        const velocity = core.state.rotation4DVelocity;
+        const planes = Object.keys(velocity);
+        const fastest = Math.max(0, ...planes.map(plane => Math.abs(velocity[plane] * speed)));
+
+        // Nothing rotates: any period loops, so use the shortest allowed
+        const natural = fastest > 0 ? TWO_PI / fastest : minDuration;
+        const frames = Math.max(1, Math.round(Math.min(maxDuration, Math.max(minDuration, natural)) * fps));
+        const duration = frames / fps;
+
+        const snapped = {};
+        planes.forEach(plane => {
+            const perSecond = velocity[plane] * speed;
+            let turns = Math.round(perSecond * duration / TWO_PI);
+            if (turns === 0 && Math.abs(perSecond) === fastest && fastest > 0) turns = Math.sign(perSecond);
+            // renderFrame scales velocities by the core's rotation rate, so undo that here
+            snapped[plane] = speed !== 0 ? (turns * TWO_PI / duration) / speed : 0;
+        });
+        return { duration, frames, velocity: snapped };
+    }
+
+    /**
+     * Render and encode a clip.
+     * @param {Object} [options]
+     * @param {'webm'|'apng'|'png-sequence'} [options.format='webm']
+     * @param {number} [options.fps=30]
+     * @param {number} [options.duration=4] - Seconds
+     * @param {number} [options.frames] - Frame count; overrides duration
+     * @param {number} [options.width] - Defaults to the core's canvas size
+     * @param {number} [options.height]
+     * @param {boolean} [options.loop=false] - Pick a seamless loop period from rotationSpeed
+     * @param {function({phase: string, frame: number, totalFrames: number, progress: number})} [options.onProgress]
+     * @param {function({frame: number, totalFrames: number})} [options.onCancel]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Object>} { format, fps, frameCount, duration, mimeType, blob } or { ..., files } for sequences.
+     *          Rejects with an AbortError when cancelled.
+     */
+    async export(options = {}) {
+        if (this.isExporting) throw new Error('An export is already running on this core.');
+        const config = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+        if (!EXPORT_FORMATS.includes(config.format)) {
+            throw new Error(`Unknown export format '${config.format}'. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const plan = this._plan(config);
+        const encoder = this._createEncoder(config.format, plan, config);
+
+        this.isExporting = true;
+        this.cancelRequested = false;
+        const onAbort = () => this.cancel();
+        config.signal?.addEventListener('abort', onAbort);
+        if (config.signal?.aborted) this.cancel();
+
+        console.log(`🎞️ Exporting ${plan.frames} frames (${plan.width}x${plan.height} @ ${plan.fps}fps) as ${config.format}`);
+        try {
+            await encoder.begin();
+            for (let frame = 0; frame < plan.frames; frame++) {
+                this._throwIfCancelled(config, frame, plan.frames);
+                await encoder.addFrame(this._renderPlannedFrame(plan, frame), frame);
+                config.onProgress?.({ phase: 'rendering', frame: frame + 1, totalFrames: plan.frames, progress: (frame + 1) / plan.frames });
+                // Yield so the page stays responsive and cancel() can land between frames
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            this._throwIfCancelled(config, plan.frames, plan.frames);
+            config.onProgress?.({ phase: 'encoding', frame: plan.frames, totalFrames: plan.frames, progress: 1 });
+            const output = await encoder.finish();
+            console.log(`✅ Export complete: ${plan.frames} frames`);
+            return { format: config.format, fps: plan.fps, frameCount: plan.frames, duration: plan.frames / plan.fps, ...output };
+        } catch (error) {
+            encoder.abort();
+            throw error;
+        } finally {
+            config.signal?.removeEventListener('abort', onAbort);
+            this.isExporting = false;
+            this.cancelRequested = false;
+        }
+    }
+
+    cancel() {
+        if (this.isExporting) this.cancelRequested = true;
+    }
+
+    _plan(config) {
+        const fps = Math.max(1, config.fps);
+        const canvas = this.core.canvas;
+        const plan = {
+            fps,
+            width: Math.max(1, Math.round(config.width || canvas.width)),
+            height: Math.max(1, Math.round(config.height || canvas.height)),
+            startTime: config.startTime,
+            rotation4D: { ...this.core.state.rotation4D },
+            velocity: null,
+            frames: config.frames || Math.max(1, Math.round(config.duration * fps)),
+            loopDuration: 0,
+            crossfadeFrames: 0
+        };
+        if (config.loop) {
+            const loop = VIB34DFrameExporter.planLoop(this.core, fps, config);
+            plan.frames = loop.frames;
+            plan.velocity = loop.velocity;
+            plan.loopDuration = loop.duration;
+            plan.crossfadeFrames = Math.min(Math.floor(loop.frames / 2), Math.round(config.loopCrossfade * fps));
+        }
+        return plan;
+    }
+
+    _renderPlannedFrame(plan, frame) {
+        const render = (time) => this.core.renderFrame({
+            time,
+            width: plan.width,
+            height: plan.height,
+            rotation4D: plan.rotation4D,
+            rotation4DVelocity: plan.velocity || undefined
+        }).pixels;
+
+        const time = plan.startTime + frame / plan.fps;
+        const pixels = render(time);
+        const fadeStart = plan.frames - plan.crossfadeFrames;
+        if (frame < fadeStart) return pixels;
+
+        // Blend toward the frames just before the loop start so the last frame leads into the first
+        const weight = (frame - fadeStart + 1) / (plan.crossfadeFrames + 1);
+        const wrapped = render(time - plan.loopDuration);
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = Math.round(pixels[i] * (1 - weight) + wrapped[i] * weight);
+        }
+        return pixels;
+    }
+
+    _throwIfCancelled(config, frame, totalFrames) {
+        if (!this.cancelRequested) return;
+        console.log(`🛑 Export cancelled at frame ${frame}/${totalFrames}`);
+        config.onCancel?.({ frame, totalFrames });
+        const error = new Error('Export cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+
+    _createEncoder(format, plan, config) {
+        switch (format) {
+            case 'webm': return new WebMFrameEncoder(plan, config);
+            case 'apng': return new APNGFrameEncoder(plan);
+            case 'png-sequence': return new PNGSequenceEncoder(plan);
+        }
+        return null;
+    }
+}
+
+// ============================================================================
+// 📼 ENCODERS
+// ============================================================================
+
+function createPixelCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        throw new Error('This export format needs a DOM canvas.');
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return { canvas, ctx: canvas.getContext('2d') };
+}
+
+function putPixels(ctx, width, height, pixels) {
+    const image = ctx.createImageData(width, height);
+    image.data.set(pixels);
+    ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Records a captureStream(0) canvas with MediaRecorder. Frames are paced in
+ * real time so the recorder timestamps them at the requested FPS.
+ */
+class WebMFrameEncoder {
+    constructor(plan, config) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('WebM export needs MediaRecorder support.');
+        }
+        this.plan = plan;
+        this.mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!this.mimeType) throw new Error('This browser cannot record WebM.');
+        this.videoBitsPerSecond = config.videoBitsPerSecond;
+        this.chunks = [];
+        this.recorder = null;
+    }
+
+    async begin() {
+        const { canvas, ctx } = createPixelCanvas(this.plan.width, this.plan.height);
+        this.ctx = ctx;
+        this.stream = canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        this.recorder = new MediaRecorder(this.stream, { mimeType: this.mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+        this.recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.stopped = new Promise(resolve => { this.recorder.onstop = resolve; });
+        this.recorder.start();
+        this.lastFrameAt = performance.now();
+    }
+
+    async addFrame(pixels) {
+        putPixels(this.ctx, this.plan.width, this.plan.height, pixels);
+        this.track.requestFrame?.();
+        const wait = 1000 / this.plan.fps - (performance.now() - this.lastFrameAt);
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        this.lastFrameAt = performance.now();
+    }
+
+    async finish() {
+        this.recorder.stop();
+        await this.stopped;
+        this.stream.getTracks().forEach(track => track.stop());
+        return { mimeType: this.mimeType, blob: new Blob(this.chunks, { type: this.mimeType }) };
+    }
+
+    abort() {
+        if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.chunks = [];
+    }
+}
+
+/**
+ * Animated PNG: full RGBA frames, deflated with CompressionStream, infinite loop.
+ */
+class APNGFrameEncoder {
+    constructor(plan) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('APNG export needs CompressionStream support.');
+        }
+        this.plan = plan;
+        this.frames = [];
+    }
+
+    async begin() {}
+
+    async addFrame(pixels) {
+        const { width, height } = this.plan;
+        // Filter type 0 (None) prefix on every scanline
+        const raw = new Uint8Array((width * 4 + 1) * height);
+        for (let row = 0; row < height; row++) {
+            raw.set(pixels.subarray(row * width * 4, (row + 1) * width * 4), row * (width * 4 + 1) + 1);
+        }
+        const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+        this.frames.push(new Uint8Array(await new Response(stream).arrayBuffer()));
+    }
+
+    async finish() {
+        const { width, height, fps } = this.plan;
+        const chunks = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10])];
+        const header = new DataView(new ArrayBuffer(13));
+        header.setUint32(0, width);
+        header.setUint32(4, height);
+        header.setUint8(8, 8);   // Bit depth
+        header.setUint8(9, 6);   // RGBA
+        chunks.push(APNGFrameEncoder.chunk('IHDR', new Uint8Array(header.buffer)));
+
+        const animation = new DataView(new ArrayBuffer(8));
+        animation.setUint32(0, this.frames.length);
+        animation.setUint32(4, 0); // Loop forever
+        chunks.push(APNGFrameEncoder.chunk('acTL', new Uint8Array(animation.buffer)));
+
+        let sequence = 0;
+        this.frames.forEach((data, index) => {
+            const control = new DataView(new ArrayBuffer(26));
+            control.setUint32(0, sequence++);
+            control.setUint32(4, width);
+            control.setUint32(8, height);
+            control.setUint16(20, 1);   // Delay numerator
+            control.setUint16(22, Math.round(fps)); // Delay denominator
+            chunks.push(APNGFrameEncoder.chunk('fcTL', new Uint8Array(control.buffer)));
+            if (index === 0) {
+                chunks.push(APNGFrameEncoder.chunk('IDAT', data));
+            } else {
+                const frameData = new Uint8Array(data.length + 4);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(data, 4);
+                chunks.push(APNGFrameEncoder.chunk('fdAT', frameData));
+            }
+        });
+        chunks.push(APNGFrameEncoder.chunk('IEND', new Uint8Array(0)));
+        return { mimeType: 'image/apng', blob: new Blob(chunks, { type: 'image/apng' }) };
+    }
+
+    abort() {
+        this.frames = [];
+    }
+
+    static chunk(type, data) {
+        const out = new Uint8Array(data.length + 12);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+        out.set(data, 8);
+        view.setUint32(data.length + 8, APNGFrameEncoder.crc32(out.subarray(4, data.length + 8)));
+        return out;
+    }
+
+    static crc32(bytes) {
+        if (!APNGFrameEncoder.crcTable) {
+            APNGFrameEncoder.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                APNGFrameEncoder.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = APNGFrameEncoder.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+/**
+ * Numbered PNG stills (frame_0001.png ...) as data URLs.
+ */
+class PNGSequenceEncoder {
+    constructor(plan) {
+        this.plan = plan;
+        this.files = [];
+        this.digits = Math.max(4, String(plan.frames).length);
+    }
+
+    async begin() {
+        this.target = createPixelCanvas(this.plan.width, this.plan.height);
+    }
+
+    async addFrame(pixels, index) {
+        putPixels(this.target.ctx, this.plan.width, this.plan.height, pixels);
+        this.files.push({
+            name: `frame_${String(index + 1).padStart(this.digits, '0')}.png`,
+            dataURL: this.target.canvas.toDataURL('image/png')
+        });
+    }
+
+    async finish() {
+        return { mimeType: 'image/png', files: this.files };
+    }
+
+    abort() {
+        this.files = [];
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VIB34DFrameExporter,
+        WebMFrameEncoder,
+        APNGFrameEncoder,
+        PNGSequenceEncoder,
+        EXPORT_FORMATS
+    };
+}
+
+// 🌐 Export to window for browser use
+if (typeof window !== 'undefined') {
+    window.VIB34DFrameExporter = VIB34DFrameExporter;
+    console.log('🎞️ VIB34D Frame Exporter loaded and exported to window');
+}
@@ -0,0 +1,214 @@
+/**
+ * VIB34D Frame Exporter Test
+ *
+ * Headless harness for VIB34DFrameExporter. The exporter drives a real
+ * HypercubeCore on the context recovery test's fake WebGL context, and frames
+ * go to a recording encoder, so no browser, GPU or MediaRecorder is involved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const recoveryHarness = require('./VIB34D_CONTEXT_RECOVERY_TEST.js');
+
+// ============================================================================
+// 🧪 FAKE WEBGL SANDBOX / RECORDING ENCODER
+// ============================================================================
+
+function createSandbox() {
+    const sandbox = recoveryHarness.createSandbox();
+    const source = fs.readFileSync(path.join(__dirname, 'VIB34D_FRAME_EXPORTER.js'), 'utf8');
+    vm.runInContext(source, sandbox, { filename: 'VIB34D_FRAME_EXPORTER.js' });
+
+    // The exporter yields to setTimeout between frames: keep running the fake timers until it settles
+    sandbox.settle = async (promise) => {
+        let settled = false;
+        promise.then(() => { settled = true; }, () => { settled = true; });
+        for (let i = 0; !settled && i < 10000; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+            sandbox.runTimers();
+        }
+        assert(settled, 'export never settled');
+        return promise;
+    };
+    return sandbox;
+}
+
+// Stands in for the WebM/APNG/PNG encoders and records what it was given
+class RecordingEncoder {
+    constructor() {
+        this.frames = [];
+        this.began = false;
+        this.finished = false;
+        this.aborted = false;
+    }
+
+    async begin() { this.began = true; }
+    async addFrame(pixels, index) { this.frames.push({ index, bytes: pixels.length }); }
+    async finish() { this.finished = true; return { mimeType: 'test/frames' }; }
+    abort() { this.aborted = true; }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+// ============================================================================
+// 🎞️ FRAME EXPORTER TEST SUITE
+// ============================================================================
+
+class VIB34DFrameExporterTest {
+    constructor() {
+        this.results = {
+            timestamp: new Date().toISOString(),
+            tests: [],
+            summary: { total: 0, passed: 0, failed: 0 }
+        };
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\n🧪 Testing: ${name}`);
+        try {
+            await testFn();
+            this.results.tests.push({ name, status: 'passed' });
+            this.results.summary.passed++;
+            console.log(`✅ PASSED`);
+        } catch (error) {
+            this.results.tests.push({ name, status: 'failed', error: error.message });
+            this.results.summary.failed++;
+            console.log(`❌ FAILED: ${error.message}`);
+        }
+        this.results.summary.total++;
+    }
+
+    createExporter(sandbox, options = {}) {
+        const canvas = new sandbox.HTMLCanvasElement('visualizer');
+        const core = new sandbox.VIB34D_WorkingCore.HypercubeCore(canvas, options);
+        core.start();
+        sandbox.step(2);
+        const exporter = new sandbox.VIB34DFrameExporter(core);
+        const encoder = new RecordingEncoder();
+        exporter._createEncoder = () => encoder;
+        return { core, gl: canvas.context, exporter, encoder };
+    }
+
+    // u_rotation4D the core uploads for one captured frame
+    captureRotation(core, gl, time, pose, velocity) {
+        core.renderFrame({ width: 8, height: 8, time, rotation4D: pose, rotation4DVelocity: velocity });
+        return gl.uniformValues.u_rotation4D.slice();
+    }
+
+    // Test 1: planLoop's snapped velocities bring every plane back to the starting pose
+    async testPlanLoopReturnsToStart() {
+        const sandbox = createSandbox();
+        const { VIB34DFrameExporter } = sandbox;
+        const { core, gl } = this.createExporter(sandbox);
+        const pose = { xy: 0.4, xz: -0.2, yz: 1.1, xw: 0.7, yw: -1.3, zw: 2.0 };
+
+        // Each geometry scales the plane velocities by its own manifest rotationScale
+        [['hypercube', 1], ['hypersphere', 0.35], ['hypertetrahedron', 2.6]].forEach(([geometryType, rotationSpeed]) => {
+            core.updateParameters({ geometryType, rotationSpeed });
+            const fps = 24;
+            const plan = VIB34DFrameExporter.planLoop(core, fps);
+            assert(plan.frames === Math.round(plan.duration * fps), `${geometryType} at ${rotationSpeed}: ${plan.frames} frames for ${plan.duration}s`);
+            assert(plan.duration >= 2 && plan.duration <= 30, `${geometryType} at ${rotationSpeed}: loop of ${plan.duration}s outside 2-30s`);
+
+            const start = this.captureRotation(core, gl, 0, pose, plan.velocity);
+            const middle = this.captureRotation(core, gl, plan.duration / 3, pose, plan.velocity);
+            const end = this.captureRotation(core, gl, plan.duration, pose, plan.velocity);
+            const drift = Math.max(...start.map((value, i) => Math.abs(value - end[i])));
+            assert(drift < 1e-6, `${geometryType} at ${rotationSpeed}: pose drifted by ${drift} over the loop`);
+            assert(start.some((value, i) => Math.abs(value - middle[i]) > 1e-3), `${geometryType} at ${rotationSpeed}: rotation did not move during the loop`);
+        });
+
+        // Nothing rotating loops at the shortest allowed period
+        core.updateParameters({ rotationSpeed: 0 });
+        const still = VIB34DFrameExporter.planLoop(core, 30, { minLoopDuration: 3 });
+        assert(still.duration === 3 && still.frames === 90, `still loop is ${still.duration}s / ${still.frames} frames`);
+        assert(Object.values(still.velocity).every(value => value === 0), 'still loop was given a velocity');
+    }
+
+    // Test 2: A loop export renders exactly the planned frames at the requested size
+    async testLoopExport() {
+        const sandbox = createSandbox();
+        const { core, exporter, encoder } = this.createExporter(sandbox);
+        const progress = [];
+        const plan = sandbox.VIB34DFrameExporter.planLoop(core, 6);
+
+        const result = await sandbox.settle(exporter.export({
+            format: 'webm', fps: 6, loop: true, width: 16, height: 12,
+            onProgress: ({ phase, frame }) => progress.push(`${phase}:${frame}`)
+        }));
+        assert(result.frameCount === plan.frames && encoder.frames.length === plan.frames,
+            `rendered ${encoder.frames.length} frames, planned ${plan.frames}`);
+        assert(encoder.frames.every((frame, i) => frame.index === i && frame.bytes === 16 * 12 * 4), 'frames out of order or the wrong size');
+        assert(encoder.began && encoder.finished && !encoder.aborted, 'encoder not begun and finished');
+        assert(progress.length === plan.frames + 1 && progress[plan.frames] === `encoding:${plan.frames}`,
+            `progress reported ${progress.length} times, last ${progress[progress.length - 1]}`);
+        assert(!exporter.isExporting, 'exporter still busy after finishing');
+    }
+
+    // Test 3: cancel() and an aborted signal reject with an AbortError and abort the encoder
+    async testCancel() {
+        const sandbox = createSandbox();
+        const { exporter, encoder } = this.createExporter(sandbox);
+        const cancelled = [];
+
+        const running = exporter.export({
+            frames: 50, width: 8, height: 8,
+            onProgress: ({ frame }) => { if (frame === 3) exporter.cancel(); },
+            onCancel: ({ frame }) => cancelled.push(frame)
+        });
+        const error = await sandbox.settle(running).then(() => null, caught => caught);
+        assert(error && error.name === 'AbortError', `cancel resolved or rejected with ${error && error.name}`);
+        assert(encoder.frames.length === 3 && encoder.aborted && !encoder.finished, `encoder got ${encoder.frames.length} frames and was not aborted`);
+        assert(cancelled.join() === '3', `onCancel reported frame ${cancelled.join()}`);
+        assert(!exporter.isExporting && !exporter.cancelRequested, 'exporter left busy after cancelling');
+
+        // A signal aborted up front stops before the first frame, and the exporter is free again
+        const controller = new AbortController();
+        controller.abort();
+        const second = new RecordingEncoder();
+        exporter._createEncoder = () => second;
+        const aborted = await sandbox.settle(exporter.export({ frames: 5, width: 8, height: 8, signal: controller.signal }))
+            .then(() => null, caught => caught);
+        assert(aborted && aborted.name === 'AbortError', 'aborted signal did not reject with an AbortError');
+        assert(second.frames.length === 0 && second.aborted, `aborted export rendered ${second.frames.length} frames`);
+
+        const third = new RecordingEncoder();
+        exporter._createEncoder = () => third;
+        await sandbox.settle(exporter.export({ frames: 2, width: 8, height: 8 }));
+        assert(third.frames.length === 2 && third.finished, 'exporter unusable after a cancelled export');
+    }
+
+    generateReport() {
+        const { total, passed, failed } = this.results.summary;
+        console.log('\n' + '='.repeat(50));
+        console.log('VIB34D FRAME EXPORTER TEST RESULTS');
+        console.log('='.repeat(50));
+        console.log(`Total: ${total}  Passed: ${passed}  Failed: ${failed}`);
+        console.log('='.repeat(50));
+        return failed === 0;
+    }
+
+    async runAllTests() {
+        console.log('🚀 Starting VIB34D Frame Exporter Tests...');
+
+        await this.runTest('planLoop returns to the starting pose', () => this.testPlanLoopReturnsToStart());
+        await this.runTest('Loop export renders the planned frames', () => this.testLoopExport());
+        await this.runTest('Cancel rejects with an AbortError', () => this.testCancel());
+
+        if (!this.generateReport()) {
+            process.exit(1);
+        }
+    }
+}
+
+if (require.main === module) {
+    new VIB34DFrameExporterTest().runAllTests().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { VIB34DFrameExporterTest, RecordingEncoder, createSandbox };
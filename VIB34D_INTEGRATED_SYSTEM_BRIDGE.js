@@ -161,8 +161,8 @@ class VIB34DIntegratedSystemBridge {
             const originalUpdateParams = this.moireEngine.updateMoireParameters?.bind(this.moireEngine);
             
             if (originalUpdateParams) {
-                this.moireEngine.updateMoireParameters = () => {
-                    originalUpdateParams();
+                this.moireEngine.updateMoireParameters = (...args) => {
+                    originalUpdateParams(...args);
                     
                     // Sync moiré energy with our master state
                     this.masterState.globalEnergy = Math.max(
@@ -211,6 +211,9 @@ class VIB34DIntegratedSystemBridge {
             // Energy decay
             this.applyEnergyDecay();
             
+            // Feed element energy to their moiré effects
+            this.updateElementMoire();
+            
             // Continue loop
             requestAnimationFrame(coordinationLoop);
         };
@@ -259,6 +262,8 @@ class VIB34DIntegratedSystemBridge {
         
         element.addEventListener('mouseleave', () => {
             this.triggerElementInteraction(elementId, 'hover', 0);
+            // Negative is the shader's "no pointer", so the lens leaves with the pointer
+            elementData.visualizer?.updateParameters({ u_mouse: [-1, -1] });
         });
         
         // Click interactions
@@ -281,7 +286,10 @@ class VIB34DIntegratedSystemBridge {
      */
     setupElementMoire(elementId) {
         const elementData = this.elements.get(elementId);
-        const effectType = this.config.moireEffectTypes[elementData.type] || 'cardBorder';
+        // An effect picked in the editor wins over the element type's default
+        const effectType = elementData.properties?.moireEffect
+            || this.config.moireEffectTypes[elementData.type] || 'cardBorder';
+        elementData.moireEffect = effectType;
         
         // Apply appropriate moiré effect based on element type
         switch (effectType) {
@@ -297,11 +305,58 @@ class VIB34DIntegratedSystemBridge {
                 this.applyFullMoireEffect(elementId);
                 break;
                 
+            case 'waveDistortion':
+            case 'subtleMoire':
+            case 'intenseMoire':
+            case 'pulseMoire':
+                this.applyParametricMoireEffect(elementId, effectType);
+                break;
+                
             default:
                 this.applyBasicMoireEffect(elementId);
         }
     }
     
+    /**
+     * Switch an element to another moiré effect, removing the current one
+     */
+    setElementMoireEffect(elementId, effectType) {
+        const elementData = this.elements.get(elementId);
+        if (!elementData) return;
+        
+        const element = document.getElementById(elementId);
+        if (element) {
+            this.moireEngine?.detach?.(element);
+            if (elementData.moireEffect === 'fullMoire') {
+                element.style.background = '';
+            }
+            element.style.borderImage = '';
+        }
+        
+        elementData.properties.moireEffect = effectType;
+        this.setupElementMoire(elementId);
+    }
+    
+    /**
+     * Change an element's moiré intensity (0-2) and/or palette (three CSS colours)
+     */
+    setElementMoireSettings(elementId, settings = {}) {
+        const elementData = this.elements.get(elementId);
+        if (!elementData) return;
+        
+        if (settings.intensity !== undefined) elementData.properties.moireIntensity = settings.intensity;
+        if (settings.palette !== undefined) elementData.properties.moirePalette = settings.palette;
+        
+        const element = document.getElementById(elementId);
+        if (element) {
+            this.moireEngine?.setEffectParameters?.(element, settings);
+        }
+    }
+    
+    getElementMoireEffect(elementId) {
+        return this.elements.get(elementId)?.moireEffect || null;
+    }
+    
     /**
      * Trigger element interaction
      */
@@ -309,8 +364,9 @@ class VIB34DIntegratedSystemBridge {
         const elementData = this.elements.get(elementId);
         if (!elementData) return;
         
-        // Update element energy
-        elementData.currentEnergy = Math.max(elementData.currentEnergy, intensity);
+        // Update element energy ('mouse' passes a position, which carries none)
+        const energy = typeof intensity === 'number' ? intensity : 0;
+        elementData.currentEnergy = Math.max(elementData.currentEnergy, energy);
         elementData.lastUpdate = Date.now();
         
         // Add to active elements
@@ -319,7 +375,7 @@ class VIB34DIntegratedSystemBridge {
         // Update master global energy
         this.masterState.globalEnergy = Math.max(
             this.masterState.globalEnergy,
-            intensity * 0.5
+            energy * 0.5
         );
         
         // Apply to visualizer if available
@@ -352,7 +408,8 @@ class VIB34DIntegratedSystemBridge {
             case 'click':
                 updates.u_audioMid = intensity * 0.8;
                 updates.morphFactor = elementData.properties.morphFactor + intensity * 0.3;
-                updates.glitchIntensity = 0.02 + intensity * 0.05;
+                // Past the base shader's 0.08 RGB-split threshold, so a click visibly tears
+                updates.glitchIntensity = 0.1 + intensity * 0.1;
                 break;
                 
             case 'mouse':
@@ -467,9 +524,8 @@ class VIB34DIntegratedSystemBridge {
         const element = document.getElementById(elementId);
         if (!element || !this.moireEngine) return;
         
-        // Add element to moiré system if it has the method
-        if (this.moireEngine.setupCardBorders) {
-            element.classList.add('blog-card'); // Add class that moiré system looks for
+        if (this.moireEngine.attach) {
+            this.moireEngine.attach(element, { type: 'border' });
         }
     }
     
@@ -477,6 +533,12 @@ class VIB34DIntegratedSystemBridge {
         const element = document.getElementById(elementId);
         if (!element) return;
         
+        // The engine draws it with WebGL when it can and removes it with the element
+        if (this.moireEngine?.attach) {
+            this.moireEngine.attach(element, { type: 'overlay' });
+            return;
+        }
+        
         // Create grid overlay
         const overlay = document.createElement('div');
         overlay.className = 'moire-grid-overlay';
@@ -517,6 +579,23 @@ class VIB34DIntegratedSystemBridge {
         `;
     }
     
+    applyParametricMoireEffect(elementId, effectType) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        
+        if (!this.moireEngine?.attach) {
+            this.applyBasicMoireEffect(elementId);
+            return;
+        }
+        
+        const properties = this.elements.get(elementId).properties || {};
+        this.moireEngine.attach(element, {
+            type: effectType,
+            intensity: properties.moireIntensity,
+            palette: properties.moirePalette
+        });
+    }
+    
     applyBasicMoireEffect(elementId) {
         const element = document.getElementById(elementId);
         if (!element) return;
@@ -603,6 +682,20 @@ class VIB34DIntegratedSystemBridge {
         });
     }
     
+    /**
+     * Drive each element's moiré effect from its currentEnergy
+     */
+    updateElementMoire() {
+        if (!this.moireEngine?.setEffectParameters) return;
+        
+        this.elements.forEach((elementData, elementId) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                this.moireEngine.setEffectParameters(element, { energy: elementData.currentEnergy });
+            }
+        });
+    }
+    
     /**
      * Broadcast parameter update to all systems
      */
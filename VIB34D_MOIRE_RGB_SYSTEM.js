@@ -9,11 +9,43 @@
 // 🌈 VIB34D MOIRÉ RGB INTERFERENCE ENGINE
 // ============================================================================
 
+// Initialized engines; the shared style tag goes when the last one is destroyed
+const LIVE_MOIRE_ENGINES = new Set();
+
+const MOIRE_CSS_PROPERTIES = ['--moire-energy', '--moire-scroll', '--moire-click', '--moire-mouse-x', '--moire-mouse-y'];
+
+// Per-element effects: a CSS layer styled by .moire-effect-<name> and driven
+// by the element's own --moire-intensity, --moire-energy and --moire-c1..c3.
+// energyResponse scales the energy the element reports before it reaches CSS.
+const MOIRE_EFFECTS = {
+    waveDistortion: { palette: ['#ff00ff', '#00ffff', '#ffff00'], spacing: 14, energyResponse: 1.0 },
+    subtleMoire: { palette: ['#8080ff', '#80ffff', '#ff80ff'], spacing: 10, energyResponse: 0.5 },
+    intenseMoire: { palette: ['#ff0040', '#00ff80', '#4000ff'], spacing: 6, energyResponse: 1.5 },
+    pulseMoire: { palette: ['#ff00ff', '#00ffff', '#ffffff'], spacing: 18, energyResponse: 2.0 }
+};
+
 class VIB34DMoireRGBEngine {
     constructor() {
         this.isInitialized = false;
-        this.moireInstances = new Map();
+        this.moireInstances = new Map();     // id → instance
+        this.elementInstances = new Map();   // attached element → instance
         this.activeEffects = new Set();
+        this.corePasses = new Set();  // HypercubeCores drawing the moiré as their own pass
+        this.mutationObserver = null;
+        this.nextInstanceId = 0;
+        this.nextLayerId = 0;
+        this.corePassRetry = null;  // timer while a visualizer canvas waits for its core
+        
+        // One rAF loop applies the input gathered since the last frame
+        this.isRunning = false;
+        this.isEnabled = true;
+        this.animationFrameId = null;
+        this.lastFrameTime = null;
+        this.pendingInput = { scroll: 0.0, click: false, mouse: null };
+        this.listeners = [];        // window listeners, removed by destroy()
+        this.timers = new Set();
+        this.cssProperties = {};    // last value written per custom property
+        this.frame = this.frame.bind(this);
         
         // Moiré configuration parameters
         this.config = {
@@ -41,11 +73,18 @@ class VIB34DMoireRGBEngine {
             interferenceIntensity: 0.8,
             colorSeparation: 0.3,
             borderThickness: 2.0,
+            borderGlowWidth: 8.0,      // px of the WebGL border frame
             
             // Card-specific settings
             cardBorderIntensity: 1.2,
             cardHoverMultiplier: 1.8,
-            cardFocusGlow: 0.5
+            cardFocusGlow: 0.5,
+            
+            // Element discovery
+            cardSelector: '.blog-card, .content-card, .card',
+            visualizerSelector: 'canvas[id*="visualizer"]',
+            corePassRetryDelay: 250,    // ms between looks for a visualizer's HypercubeCore
+            corePassRetries: 8          // looks before a canvas without one gets the grid overlay
         };
         
         // Interaction tracking
@@ -63,13 +102,18 @@ class VIB34DMoireRGBEngine {
      * Initialize the Moiré RGB system
      */
     initialize() {
+        if (this.isInitialized) return;
+        LIVE_MOIRE_ENGINES.add(this);
         this.setupMoireShaders();
+        this.setupRenderer();
         this.setupCardBorders();
         this.setupInteractionTracking();
         this.setupReactiveElements();
+        this.observeElements();
         
         this.isInitialized = true;
-        console.log('🌈 Moiré RGB system fully initialized');
+        this.start();
+        console.log(`🌈 Moiré RGB system fully initialized (${this.renderer ? 'WebGL' : 'CSS fallback'})`);
     }
     
     /**
@@ -92,6 +136,7 @@ class VIB34DMoireRGBEngine {
             uniform float u_interferenceIntensity;
             uniform float u_colorSeparation;
             uniform float u_interactionEnergy;
+            uniform float u_borderWidth; // px; 0 fills the whole layer
             
             // Multi-layer grid function with RGB offset
             float moireGrid(vec2 uv, float density, vec2 offset, float phase) {
@@ -152,122 +197,377 @@ class VIB34DMoireRGBEngine {
                 vec3 moireColor = calculateMoireRGB(uv);
                 
                 // Final color enhancement
-                moireColor = pow(moireColor, vec3(0.8)); // Gamma correction
+                moireColor = pow(max(moireColor, 0.0), vec3(0.8)); // Gamma correction
                 moireColor *= (1.0 + u_interactionEnergy * 0.5); // Energy boost
                 
-                gl_FragColor = vec4(moireColor, 0.7 + u_interactionEnergy * 0.3);
+                float alpha = 0.7 + u_interactionEnergy * 0.3;
+                if (u_borderWidth > 0.0) {
+                    // Fade out towards the inside so only a frame around the card remains
+                    vec2 edge = min(gl_FragCoord.xy, u_resolution.xy - gl_FragCoord.xy);
+                    alpha *= 1.0 - smoothstep(u_borderWidth * 0.5, u_borderWidth, min(edge.x, edge.y));
+                }
+                
+                gl_FragColor = vec4(moireColor, alpha);
             }
         `;
     }
     
     /**
-     * Setup reactive card borders with Moiré effects
+     * Compile the moiré shader. Without WebGL (or if it fails to compile) the
+     * layers fall back to the CSS gradients.
+     */
+    setupRenderer() {
+        this.renderer = null;
+        try {
+            this.renderer = new VIB34DMoireRenderer(this.moireFragmentShader, {
+                getUniforms: () => this.getMoireUniforms(),
+                getMouse: () => this.interactionData.mouse,
+                // Frames stop being requested while nothing draws, so wake the loop
+                onRestored: () => this.requestFrame()
+            });
+        } catch (error) {
+            console.warn('🌈 WebGL moiré unavailable, using CSS gradients:', error.message);
+        }
+    }
+    
+    /**
+     * Setup reactive card borders with Moiré effects on the cards already on
+     * the page; observeElements() picks up the ones added later
      */
     setupCardBorders() {
-        const cards = document.querySelectorAll('.blog-card, .content-card, .card');
+        document.querySelectorAll(this.config.cardSelector).forEach(card => this.discover(card));
         
-        cards.forEach((card, index) => {
-            const moireBorder = document.createElement('div');
-            moireBorder.className = 'moire-border';
-            moireBorder.id = `moire-border-${index}`;
-            
-            // Position border around card
-            moireBorder.style.cssText = `
-                position: absolute;
-                top: -${this.config.borderThickness}px;
-                left: -${this.config.borderThickness}px;
-                right: -${this.config.borderThickness}px;
-                bottom: -${this.config.borderThickness}px;
-                pointer-events: none;
-                z-index: 1;
-                opacity: 0;
-                transition: opacity 0.3s ease;
-                background: linear-gradient(45deg, 
-                    rgba(255, 0, 255, 0.3) 0%,
-                    rgba(0, 255, 255, 0.3) 25%,
-                    rgba(255, 255, 0, 0.3) 50%,
-                    rgba(255, 0, 255, 0.3) 75%,
-                    rgba(0, 255, 255, 0.3) 100%);
-                background-size: 200% 200%;
-                animation: moireShift 3s linear infinite;
-                border-radius: inherit;
-                filter: blur(1px) contrast(1.2);
-            `;
-            
-            // Ensure card is positioned relatively
-            if (getComputedStyle(card).position === 'static') {
-                card.style.position = 'relative';
+        // Add CSS animations
+        this.addMoireCSS();
+    }
+    
+    /**
+     * Give an element a moiré effect until detach() or its removal from the page.
+     * Attaching an element twice returns the existing instance.
+     * @param {Element} element
+     * @param {Object} [options]
+     * @param {string} [options.type] - 'border' for cards, 'overlay' (or a HypercubeCore pass)
+     *   otherwise, or one of the MOIRE_EFFECTS names
+     * @param {string} [options.id] - Stable id; defaults to data-moire-id, then the element id
+     * @param {number} [options.intensity] - Effects only, 0-2 (default 1)
+     * @param {string[]} [options.palette] - Effects only, three CSS colours
+     * @returns {Object|null} the instance
+     */
+    attach(element, options = {}) {
+        if (!element) return null;
+        const existing = this.elementInstances.get(element);
+        if (existing) return existing;
+        
+        const type = options.type || (element.matches?.(this.config.cardSelector) ? 'border' : 'overlay');
+        if (type !== 'border' && type !== 'overlay' && !MOIRE_EFFECTS[type]) {
+            throw new Error(`Unknown moiré type '${type}'`);
+        }
+        const instance = {
+            id: this.createInstanceId(element, options.id),
+            type: type,
+            target: element,
+            element: null,        // the border or overlay node, if any
+            corePass: null,       // the HypercubeCore drawing it instead
+            listeners: [],
+            discovered: false,    // attached by selector match rather than attach()
+            intensity: 0.0,
+            targetIntensity: 0.0,
+            isHovered: false,
+            isFocused: false,
+            effect: null          // { intensity, palette, energy, css } for MOIRE_EFFECTS types
+        };
+        
+        if (type === 'border') {
+            this.createBorder(instance);
+        } else if (type === 'overlay') {
+            this.createOverlay(instance);
+        } else {
+            this.createEffect(instance, options);
+        }
+        
+        this.moireInstances.set(instance.id, instance);
+        this.elementInstances.set(element, instance);
+        this.requestFrame();
+        return instance;
+    }
+    
+    /**
+     * Remove an element's moiré: its border or overlay node, its listeners and
+     * any core pass
+     * @param {Element|string} elementOrId
+     * @returns {boolean} false when nothing was attached
+     */
+    detach(elementOrId) {
+        const instance = this.resolveInstance(elementOrId);
+        if (!instance) return false;
+        
+        instance.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        instance.listeners = [];
+        
+        if (instance.element) {
+            this.renderer?.removeLayer(instance.element);
+            instance.element.remove();
+        }
+        if (instance.corePass) {
+            if (!instance.corePass.isDisposed) instance.corePass.updateParameters({ moire: false });
+            this.corePasses.delete(instance.corePass);
+        }
+        
+        this.activeEffects.delete(instance);
+        
+        this.moireInstances.delete(instance.id);
+        this.elementInstances.delete(instance.target);
+        return true;
+    }
+    
+    resolveInstance(elementOrId) {
+        return typeof elementOrId === 'string'
+            ? this.moireInstances.get(elementOrId)
+            : this.elementInstances.get(elementOrId);
+    }
+    
+    /**
+     * Ids survive re-insertion: the first one given to an element is kept in data-moire-id
+     */
+    createInstanceId(element, requestedId) {
+        let id = requestedId || element.dataset?.moireId || element.id || `moire-${++this.nextInstanceId}`;
+        while (this.moireInstances.has(id)) {
+            id = `${id}-${++this.nextInstanceId}`;
+        }
+        if (element.dataset) element.dataset.moireId = id;
+        return id;
+    }
+    
+    /**
+     * Build the border node around a card
+     */
+    createBorder(instance) {
+        const card = instance.target;
+        const moireBorder = document.createElement(this.renderer ? 'canvas' : 'div');
+        moireBorder.className = this.renderer ? 'moire-border moire-webgl' : 'moire-border';
+        this.markLayer(moireBorder, instance, 'border');
+        
+        // Position border around card
+        const position = `
+            position: absolute;
+            top: -${this.config.borderThickness}px;
+            left: -${this.config.borderThickness}px;
+            width: calc(100% + ${this.config.borderThickness * 2}px);
+            height: calc(100% + ${this.config.borderThickness * 2}px);
+            pointer-events: none;
+            z-index: 1;
+            opacity: 0;
+            transition: opacity 0.3s ease;
+            border-radius: inherit;
+        `;
+        moireBorder.style.cssText = this.renderer ? position : position + `
+            background: linear-gradient(45deg, 
+                rgba(255, 0, 255, 0.3) 0%,
+                rgba(0, 255, 255, 0.3) 25%,
+                rgba(255, 255, 0, 0.3) 50%,
+                rgba(255, 0, 255, 0.3) 75%,
+                rgba(0, 255, 255, 0.3) 100%);
+            background-size: 200% 200%;
+            animation: moireShift 3s linear infinite;
+            filter: blur(1px) contrast(1.2);
+        `;
+        
+        // Ensure card is positioned relatively
+        if (getComputedStyle(card).position === 'static') {
+            card.style.position = 'relative';
+        }
+        
+        card.appendChild(moireBorder);
+        this.renderer?.addLayer(moireBorder, { borderWidth: this.config.borderGlowWidth });
+        instance.element = moireBorder;
+        
+        // Setup interaction handlers
+        this.setupCardInteractions(instance);
+    }
+    
+    /**
+     * Grid overlay for anything that isn't a card. Canvases drawn by a
+     * HypercubeCore get the core's own moiré pass instead.
+     */
+    createOverlay(instance) {
+        const element = instance.target;
+        
+        // Pages often build the core after inserting its canvas: keep looking for
+        // it a while before treating the canvas as someone else's (2D, another library)
+        if (element.tagName === 'CANVAS' && typeof HypercubeCore !== 'undefined') {
+            instance.corePass = this.attachCorePass(element);
+            if (!instance.corePass) {
+                instance.corePassLooks = 1;
+                this.scheduleCorePassRetry();
             }
-            
-            card.appendChild(moireBorder);
-            
-            // Setup interaction handlers
-            this.setupCardInteractions(card, moireBorder, index);
-            
-            this.moireInstances.set(`card-${index}`, {
-                element: moireBorder,
-                card: card,
-                intensity: 0.0,
-                targetIntensity: 0.0,
-                isHovered: false,
-                isFocused: false
+            return;
+        }
+        
+        this.fallBackToGridOverlay(instance);
+    }
+    
+    fallBackToGridOverlay(instance) {
+        const element = instance.target;
+        const container = element.tagName === 'CANVAS' ? element.parentElement : element;
+        if (container) {
+            instance.element = this.createGridOverlay(container, instance);
+        }
+    }
+    
+    scheduleCorePassRetry() {
+        if (this.corePassRetry !== null) return;
+        
+        this.corePassRetry = setTimeout(() => {
+            this.corePassRetry = null;
+            let waiting = false;
+            this.moireInstances.forEach(instance => {
+                if (instance.type !== 'overlay' || instance.corePass || instance.element) return;
+                instance.corePass = this.attachCorePass(instance.target);
+                if (instance.corePass) return;
+                if (++instance.corePassLooks >= this.config.corePassRetries) {
+                    this.fallBackToGridOverlay(instance);
+                } else {
+                    waiting = true;
+                }
             });
+            if (waiting) this.scheduleCorePassRetry();
+        }, this.config.corePassRetryDelay);
+    }
+    
+    /**
+     * Tag a node the engine created. Its id is a plain counter so it can never
+     * match the discovery selectors; data-moire-for names the instance.
+     */
+    markLayer(node, instance, kind) {
+        node.id = `moire-${kind}-${++this.nextLayerId}`;
+        node.dataset.moireLayer = kind;
+        node.dataset.moireFor = instance.id;
+    }
+    
+    isEngineNode(element) {
+        if (element.dataset?.moireLayer !== undefined) return true;
+        return Array.from(element.classList || []).some(name => name.startsWith('moire-'));
+    }
+    
+    /**
+     * Build the layer for one of the MOIRE_EFFECTS. Motion is CSS; the
+     * engine only writes the element's custom properties.
+     */
+    createEffect(instance, options) {
+        const target = instance.target;
+        const preset = MOIRE_EFFECTS[instance.type];
+        const layer = document.createElement('div');
+        layer.className = `moire-effect moire-effect-${instance.type}`;
+        this.markLayer(layer, instance, 'effect');
+        layer.style.setProperty('--moire-spacing', `${preset.spacing}px`);
+        
+        if (getComputedStyle(target).position === 'static') {
+            target.style.position = 'relative';
+        }
+        
+        target.appendChild(layer);
+        instance.element = layer;
+        instance.effect = { intensity: 1.0, palette: preset.palette, energy: 0.0, css: {} };
+        this.activeEffects.add(instance);
+        
+        this.applyEffectParameters(instance, {
+            intensity: options.intensity,
+            palette: options.palette
         });
+    }
+    
+    /**
+     * Update an effect's intensity, palette or energy. Energy is the element's
+     * own (the bridge feeds currentEnergy every frame), scaled by the effect's
+     * energyResponse; only changed properties are written.
+     * @param {Element|string} elementOrId
+     * @param {{intensity?: number, palette?: string[], energy?: number}} params
+     * @returns {boolean} false when the element has no effect attached
+     */
+    setEffectParameters(elementOrId, params = {}) {
+        const instance = this.resolveInstance(elementOrId);
+        if (!instance?.effect) return false;
+        this.applyEffectParameters(instance, params);
+        return true;
+    }
+    
+    applyEffectParameters(instance, params) {
+        const effect = instance.effect;
+        const preset = MOIRE_EFFECTS[instance.type];
         
-        // Add CSS animations
-        this.addMoireCSS();
+        if (Number.isFinite(params.intensity)) {
+            effect.intensity = Math.max(0.0, Math.min(params.intensity, 2.0));
+        }
+        if (Array.isArray(params.palette)) {
+            effect.palette = preset.palette.map((color, index) => params.palette[index] || color);
+        }
+        if (params.energy !== undefined) {
+            effect.energy = Number.isFinite(params.energy) ? Math.max(0.0, params.energy) : 0.0;
+        }
+        
+        const values = {
+            '--moire-intensity': effect.intensity.toFixed(3),
+            '--moire-energy': Math.min(effect.energy * preset.energyResponse, 2.0).toFixed(3),
+            '--moire-c1': effect.palette[0],
+            '--moire-c2': effect.palette[1],
+            '--moire-c3': effect.palette[2]
+        };
+        Object.entries(values).forEach(([name, value]) => {
+            if (effect.css[name] === value) return;
+            effect.css[name] = value;
+            instance.element.style.setProperty(name, value);
+        });
     }
     
     /**
      * Setup card interaction handlers
      */
-    setupCardInteractions(card, moireBorder, index) {
+    setupCardInteractions(instance) {
+        const card = instance.target;
+        const moireBorder = instance.element;
+        const listen = (type, callback) => {
+            const handler = (event) => {
+                callback(event);
+                this.requestFrame();
+            };
+            card.addEventListener(type, handler);
+            instance.listeners.push({ target: card, type, handler });
+        };
+        
         // Hover effects
-        card.addEventListener('mouseenter', () => {
-            const instance = this.moireInstances.get(`card-${index}`);
-            if (instance) {
-                instance.isHovered = true;
-                instance.targetIntensity = this.config.cardBorderIntensity;
-                moireBorder.style.opacity = '1';
-                moireBorder.style.animationDuration = '1.5s';
-            }
+        listen('mouseenter', () => {
+            instance.isHovered = true;
+            instance.targetIntensity = this.config.cardBorderIntensity;
+            moireBorder.style.opacity = '1';
+            moireBorder.style.animationDuration = '1.5s';
         });
         
-        card.addEventListener('mouseleave', () => {
-            const instance = this.moireInstances.get(`card-${index}`);
-            if (instance) {
-                instance.isHovered = false;
-                instance.targetIntensity = instance.isFocused ? 0.5 : 0.0;
-                if (!instance.isFocused) {
-                    moireBorder.style.opacity = '0';
-                }
-                moireBorder.style.animationDuration = '3s';
+        listen('mouseleave', () => {
+            instance.isHovered = false;
+            instance.targetIntensity = instance.isFocused ? 0.5 : 0.0;
+            if (!instance.isFocused) {
+                moireBorder.style.opacity = '0';
             }
+            moireBorder.style.animationDuration = '3s';
         });
         
         // Focus effects
-        card.addEventListener('focus', () => {
-            const instance = this.moireInstances.get(`card-${index}`);
-            if (instance) {
-                instance.isFocused = true;
-                instance.targetIntensity = this.config.cardFocusGlow;
-                moireBorder.style.opacity = '0.8';
-            }
+        listen('focus', () => {
+            instance.isFocused = true;
+            instance.targetIntensity = this.config.cardFocusGlow;
+            moireBorder.style.opacity = '0.8';
         });
         
-        card.addEventListener('blur', () => {
-            const instance = this.moireInstances.get(`card-${index}`);
-            if (instance) {
-                instance.isFocused = false;
-                instance.targetIntensity = instance.isHovered ? this.config.cardBorderIntensity : 0.0;
-                if (!instance.isHovered) {
-                    moireBorder.style.opacity = '0';
-                }
+        listen('blur', () => {
+            instance.isFocused = false;
+            instance.targetIntensity = instance.isHovered ? this.config.cardBorderIntensity : 0.0;
+            if (!instance.isHovered) {
+                moireBorder.style.opacity = '0';
             }
         });
         
         // Click effects
-        card.addEventListener('click', () => {
+        listen('click', () => {
             this.triggerMoireFlash(moireBorder);
         });
     }
@@ -326,6 +626,11 @@ class VIB34DMoireRGBEngine {
                 animation: moireFlash 0.3s ease-out, moireShift 3s linear infinite;
             }
             
+            /* WebGL layers draw the pattern themselves */
+            .moire-border.moire-webgl.flash {
+                animation: moireFlash 0.3s ease-out;
+            }
+            
             /* Enhanced grid overlay for visualizers */
             .moire-grid-overlay {
                 position: absolute;
@@ -360,6 +665,11 @@ class VIB34DMoireRGBEngine {
                 animation: moireGridShift 4s linear infinite;
             }
             
+            .moire-grid-overlay.moire-webgl {
+                background-image: none;
+                animation: none;
+            }
+            
             @keyframes moireGridShift {
                 0% { transform: translate(0px, 0px) rotate(0deg); }
                 25% { transform: translate(1px, -1px) rotate(0.5deg); }
@@ -367,47 +677,180 @@ class VIB34DMoireRGBEngine {
                 75% { transform: translate(0px, 1px) rotate(0.25deg); }
                 100% { transform: translate(0px, 0px) rotate(0deg); }
             }
+            
+            /* Per-element effects (MOIRE_EFFECTS) */
+            .moire-effect {
+                --moire-intensity: 1;
+                --moire-energy: 0;
+                --moire-spacing: 12px;
+                --moire-c1: #ff00ff;
+                --moire-c2: #00ffff;
+                --moire-c3: #ffff00;
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                pointer-events: none;
+                border-radius: inherit;
+                transition: opacity 0.2s ease;
+            }
+            
+            /* Two line sets 4deg apart, bent back and forth; energy deepens the bend */
+            .moire-effect-waveDistortion {
+                opacity: min(1, calc(var(--moire-intensity) * 0.35 + var(--moire-energy) * 0.4));
+                background-image:
+                    repeating-linear-gradient(0deg, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c1) calc(var(--moire-spacing) - 2px) var(--moire-spacing)),
+                    repeating-linear-gradient(4deg, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c2) calc(var(--moire-spacing) - 2px) var(--moire-spacing));
+                animation: moireWave 4s ease-in-out infinite;
+            }
+            
+            @keyframes moireWave {
+                0%, 100% {
+                    transform: skewY(calc(-1deg - var(--moire-energy) * 3deg));
+                    background-position: 0 0, 0 0;
+                }
+                50% {
+                    transform: skewY(calc(1deg + var(--moire-energy) * 3deg));
+                    background-position: 0 calc(var(--moire-spacing) / 2), 0 0;
+                }
+            }
+            
+            /* Faint fine grids a degree and a half apart */
+            .moire-effect-subtleMoire {
+                opacity: min(0.5, calc(var(--moire-intensity) * 0.2 + var(--moire-energy) * 0.15));
+                background-image:
+                    repeating-linear-gradient(0deg, transparent 0 calc(var(--moire-spacing) - 1px), var(--moire-c1) calc(var(--moire-spacing) - 1px) var(--moire-spacing)),
+                    repeating-linear-gradient(90deg, transparent 0 calc(var(--moire-spacing) - 1px), var(--moire-c2) calc(var(--moire-spacing) - 1px) var(--moire-spacing)),
+                    repeating-linear-gradient(1.5deg, transparent 0 calc(var(--moire-spacing) - 1px), var(--moire-c3) calc(var(--moire-spacing) - 1px) var(--moire-spacing));
+                animation: moireGridShift 8s linear infinite;
+            }
+            
+            /* Three colour grids that pull apart as energy rises */
+            .moire-effect-intenseMoire {
+                opacity: min(1, calc(var(--moire-intensity) * 0.5 + var(--moire-energy) * 0.5));
+                mix-blend-mode: screen;
+                background-image:
+                    repeating-linear-gradient(45deg, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c1) calc(var(--moire-spacing) - 2px) var(--moire-spacing)),
+                    repeating-linear-gradient(47deg, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c2) calc(var(--moire-spacing) - 2px) var(--moire-spacing)),
+                    repeating-linear-gradient(43deg, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c3) calc(var(--moire-spacing) - 2px) var(--moire-spacing));
+                background-position: 0 0, calc(var(--moire-energy) * 4px) 0, calc(var(--moire-energy) * -4px) 0;
+                filter: contrast(calc(1.2 + var(--moire-energy) * 0.8));
+                animation: moireGridShift 2s linear infinite;
+            }
+            
+            /* Offset ring sets swelling from the centre; energy widens the swell */
+            .moire-effect-pulseMoire {
+                opacity: min(1, calc(var(--moire-intensity) * 0.3 + var(--moire-energy) * 0.35));
+                background-image:
+                    repeating-radial-gradient(circle at 50% 50%, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c1) calc(var(--moire-spacing) - 2px) var(--moire-spacing)),
+                    repeating-radial-gradient(circle at 52% 48%, transparent 0 calc(var(--moire-spacing) - 2px), var(--moire-c2) calc(var(--moire-spacing) - 2px) var(--moire-spacing));
+                animation: moirePulse 2s ease-in-out infinite;
+            }
+            
+            @keyframes moirePulse {
+                0%, 100% { transform: scale(1); }
+                50% { transform: scale(calc(1.02 + var(--moire-energy) * 0.08)); }
+            }
         `;
         
         document.head.appendChild(style);
     }
     
     /**
-     * Setup interaction tracking for Moiré effects
+     * Setup interaction tracking for Moiré effects. Handlers only record the
+     * input; the next frame folds it into the parameters once.
      */
     setupInteractionTracking() {
         // Scroll tracking
-        window.addEventListener('wheel', (e) => {
-            const scrollIntensity = Math.min(Math.abs(e.deltaY) / 100, 1.0);
-            this.interactionData.scroll = Math.min(1.0, this.interactionData.scroll + scrollIntensity * 0.3);
-            this.updateMoireParameters();
+        this.listen(window, 'wheel', (e) => {
+            this.pendingInput.scroll += Math.min(Math.abs(e.deltaY) / 100, 1.0) * 0.3;
+            this.requestFrame();
         }, { passive: true });
         
         // Mouse tracking
-        window.addEventListener('mousemove', (e) => {
-            this.interactionData.mouse.x = e.clientX / window.innerWidth;
-            this.interactionData.mouse.y = e.clientY / window.innerHeight;
-            this.updateMoireParameters();
-        });
+        this.listen(window, 'mousemove', (e) => {
+            this.pendingInput.mouse = { x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight };
+            this.requestFrame();
+        }, { passive: true });
         
         // Click tracking
-        window.addEventListener('click', (e) => {
-            this.interactionData.click = 1.0;
-            this.updateMoireParameters();
-            
-            // Decay click intensity
-            setTimeout(() => {
-                this.interactionData.click *= 0.5;
-                this.updateMoireParameters();
-            }, 200);
+        this.listen(window, 'click', () => {
+            this.pendingInput.click = true;
+            this.requestFrame();
         });
+    }
+    
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    
+    /**
+     * Start the animation loop (initialize() does this)
+     */
+    start() {
+        if (this.isRunning || !this.isInitialized || !this.isEnabled) return;
+        this.isRunning = true;
+        this.requestFrame();
+    }
+    
+    stop() {
+        this.isRunning = false;
+        this.lastFrameTime = null;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+    
+    /**
+     * Make sure a frame is coming; the loop sleeps once nothing moves
+     */
+    requestFrame() {
+        if (this.isRunning && this.animationFrameId === null) {
+            this.animationFrameId = requestAnimationFrame(this.frame);
+        }
+    }
+    
+    frame(now) {
+        this.animationFrameId = null;
+        if (!this.isRunning) return;
+        const dt = this.lastFrameTime === null ? 16.7 : Math.min(now - this.lastFrameTime, 250);
+        this.lastFrameTime = now;
         
-        // Energy decay
-        setInterval(() => {
-            this.interactionData.scroll *= 0.95;
-            this.interactionData.click *= 0.9;
-            this.updateMoireParameters();
-        }, 50);
+        this.applyInput(dt);
+        this.updateMoireParameters(dt);
+        const drawn = this.renderer ? this.renderer.render() : 0;
+        
+        // WebGL layers animate with time; borders only until they reach their target
+        const settling = this.interactionData.scroll > 0.001 || this.interactionData.click > 0.001
+            || [...this.moireInstances.values()].some(instance =>
+                instance.type === 'border' && Math.abs(instance.targetIntensity - instance.intensity) > 0.001);
+        if (drawn > 0 || settling) {
+            this.requestFrame();
+        } else {
+            this.lastFrameTime = null;
+        }
+    }
+    
+    /**
+     * Fold the input gathered since the last frame into interactionData
+     */
+    applyInput(dt) {
+        const data = this.interactionData;
+        const input = this.pendingInput;
+        
+        // Energy decay at the rates of the old 50ms interval, whatever the frame rate
+        const steps = dt / 50;
+        data.scroll = Math.min(1.0, data.scroll * Math.pow(0.95, steps) + input.scroll);
+        data.click = input.click ? 1.0 : data.click * Math.pow(0.9, steps);
+        if (input.mouse) {
+            data.mouse.x = input.mouse.x;
+            data.mouse.y = input.mouse.y;
+        }
+        
+        this.pendingInput = { scroll: 0.0, click: false, mouse: null };
     }
     
     /**
@@ -415,28 +858,124 @@ class VIB34DMoireRGBEngine {
      */
     setupReactiveElements() {
         // Add Moiré overlays to visualizers
-        const visualizers = document.querySelectorAll('canvas[id*="visualizer"]');
+        document.querySelectorAll(this.config.visualizerSelector).forEach(visualizer => this.discover(visualizer));
+    }
+    
+    /**
+     * Watch the page so cards and visualizers get their moiré when they are
+     * added, and lose it when they are removed or stop matching the selectors
+     */
+    observeElements() {
+        if (typeof MutationObserver === 'undefined' || !document.body || this.mutationObserver) return;
         
-        visualizers.forEach((visualizer, index) => {
-            const overlay = document.createElement('div');
-            overlay.className = 'moire-grid-overlay';
-            overlay.id = `moire-overlay-${index}`;
-            
-            const container = visualizer.parentElement;
-            if (container && getComputedStyle(container).position === 'static') {
-                container.style.position = 'relative';
+        this.mutationObserver = new MutationObserver(records => this.handleMutations(records));
+        this.mutationObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class', 'id']
+        });
+    }
+    
+    handleMutations(records) {
+        const selector = `${this.config.cardSelector}, ${this.config.visualizerSelector}`;
+        
+        records.forEach(record => {
+            if (record.type === 'attributes') {
+                this.discover(record.target);
+                return;
             }
             
-            if (container) {
-                container.appendChild(overlay);
-            }
+            record.removedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                // A moved element is removed and re-added in one batch: keep it
+                this.elementInstances.forEach((instance, element) => {
+                    if (!element.isConnected && (element === node || node.contains(element))) {
+                        this.detach(element);
+                    }
+                });
+            });
+            
+            record.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                this.discover(node);
+                node.querySelectorAll(selector).forEach(element => this.discover(element));
+            });
         });
     }
     
+    /**
+     * Attach to an element that matches the selectors, or detach one that was
+     * attached by matching and no longer does. attach()ed elements are left alone.
+     */
+    discover(element) {
+        // The engine's own borders and overlays are never candidates
+        if (this.isEngineNode(element)) return;
+        const selector = `${this.config.cardSelector}, ${this.config.visualizerSelector}`;
+        const instance = this.elementInstances.get(element);
+        const matches = element.isConnected !== false && !!element.matches?.(selector);
+        
+        if (matches && !instance) {
+            const created = this.attach(element);
+            if (created) created.discovered = true;
+        } else if (!matches && instance?.discovered) {
+            this.detach(element);
+        }
+    }
+    
+    /**
+     * Visualizers rendered by a HypercubeCore get the moiré inside the core's
+     * pipeline, where the grids interfere with the lattice itself
+     * @returns {HypercubeCore|null} null when no core draws into this canvas
+     */
+    attachCorePass(canvas) {
+        if (typeof HypercubeCore === 'undefined') return null;
+        const core = HypercubeCore.getLiveCores().find(candidate => candidate.canvas === canvas);
+        if (!core) return null;
+        
+        this.corePasses.add(core);
+        core.updateParameters({ moire: { enabled: this.isEnabled, ...this.getCorePassSettings() } });
+        return core;
+    }
+    
+    /**
+     * Settings for HypercubeCore's moiré block, from this engine's config
+     */
+    getCorePassSettings() {
+        return {
+            baseGridDensity: this.config.baseGridDensity,
+            offsetGridDensity: this.config.offsetGridDensity,
+            tertiaryGridDensity: this.config.tertiaryGridDensity,
+            redOffset: [this.config.redOffset.x, this.config.redOffset.y],
+            greenOffset: [this.config.greenOffset.x, this.config.greenOffset.y],
+            blueOffset: [this.config.blueOffset.x, this.config.blueOffset.y],
+            interferenceIntensity: this.config.interferenceIntensity,
+            colorSeparation: this.config.colorSeparation
+        };
+    }
+    
+    /**
+     * Add a full-size moiré grid overlay to a container: a WebGL layer when the
+     * renderer is available, the CSS gradient grid otherwise
+     */
+    createGridOverlay(container, instance) {
+        const overlay = document.createElement(this.renderer ? 'canvas' : 'div');
+        overlay.className = this.renderer ? 'moire-grid-overlay moire-webgl' : 'moire-grid-overlay';
+        this.markLayer(overlay, instance, 'overlay');
+        
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        
+        container.appendChild(overlay);
+        this.renderer?.addLayer(overlay);
+        return overlay;
+    }
+    
     /**
      * Update Moiré parameters based on interactions
      */
-    updateMoireParameters() {
+    updateMoireParameters(dt = 50) {
         // Calculate total energy
         this.interactionData.energy = (
             this.interactionData.scroll * this.config.scrollMultiplier +
@@ -444,25 +983,56 @@ class VIB34DMoireRGBEngine {
             (this.interactionData.mouse.x + this.interactionData.mouse.y) * this.config.mouseMultiplier * 0.5
         ) / 3.0;
         
-        // Update CSS custom properties for real-time effects
-        document.documentElement.style.setProperty('--moire-energy', this.interactionData.energy);
-        document.documentElement.style.setProperty('--moire-scroll', this.interactionData.scroll);
-        document.documentElement.style.setProperty('--moire-click', this.interactionData.click);
-        document.documentElement.style.setProperty('--moire-mouse-x', this.interactionData.mouse.x);
-        document.documentElement.style.setProperty('--moire-mouse-y', this.interactionData.mouse.y);
+        // Update CSS custom properties for real-time effects, writing only the ones that changed
+        const values = [
+            this.interactionData.energy,
+            this.interactionData.scroll,
+            this.interactionData.click,
+            this.interactionData.mouse.x,
+            this.interactionData.mouse.y
+        ];
+        MOIRE_CSS_PROPERTIES.forEach((name, index) => {
+            const value = values[index].toFixed(3);
+            if (this.cssProperties[name] === value) return;
+            this.cssProperties[name] = value;
+            document.documentElement.style.setProperty(name, value);
+        });
         
-        // Update all Moiré instances
-        this.moireInstances.forEach((instance, key) => {
-            this.updateInstanceIntensity(instance);
+        // Update all Moiré borders (overlays keep their CSS opacity)
+        this.moireInstances.forEach((instance) => {
+            if (instance.type === 'border') this.updateInstanceIntensity(instance, dt);
+        });
+    }
+    
+    /**
+     * Change config values. The WebGL layers read config every frame; core
+     * passes only hear about it here, so edit the moiré settings through this
+     * @param {Object} updates - Config keys to replace ({ baseGridDensity: 15, redOffset: { x, y } })
+     */
+    setConfig(updates) {
+        Object.assign(this.config, updates);
+        this.updateCorePasses({ moire: this.getCorePassSettings() });
+    }
+    
+    /**
+     * Send parameters to every core pass, dropping the ones whose core was disposed
+     */
+    updateCorePasses(parameters) {
+        this.corePasses.forEach(core => {
+            if (core.isDisposed) {
+                this.corePasses.delete(core);
+            } else {
+                core.updateParameters(parameters);
+            }
         });
     }
     
     /**
      * Update individual Moiré instance intensity
      */
-    updateInstanceIntensity(instance) {
-        // Smooth interpolation towards target
-        const lerpSpeed = 0.1;
+    updateInstanceIntensity(instance, dt = 50) {
+        // Smooth interpolation towards target (10% per 50ms)
+        const lerpSpeed = 1.0 - Math.pow(0.9, dt / 50);
         instance.intensity += (instance.targetIntensity - instance.intensity) * lerpSpeed;
         
         // Apply energy influence
@@ -484,9 +1054,11 @@ class VIB34DMoireRGBEngine {
      */
     triggerMoireFlash(element) {
         element.classList.add('flash');
-        setTimeout(() => {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
             element.classList.remove('flash');
         }, 300);
+        this.timers.add(timer);
     }
     
     /**
@@ -520,6 +1092,53 @@ class VIB34DMoireRGBEngine {
         overlays.forEach(overlay => {
             overlay.style.display = enabled ? 'block' : 'none';
         });
+        
+        this.updateCorePasses({ moire: enabled });
+        
+        this.isEnabled = enabled;
+        if (enabled) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+    
+    /**
+     * Undo initialize(): stop the loop and remove every listener, timer,
+     * observer, border, overlay and core pass. The shared style tag and CSS
+     * properties go with the last engine. initialize() may be called again.
+     */
+    destroy() {
+        if (!this.isInitialized) return;
+        this.stop();
+        
+        this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        if (this.corePassRetry !== null) {
+            clearTimeout(this.corePassRetry);
+            this.corePassRetry = null;
+        }
+        this.mutationObserver?.disconnect();
+        this.mutationObserver = null;
+        
+        [...this.moireInstances.keys()].forEach(id => this.detach(id));
+        this.corePasses.forEach(core => {
+            if (!core.isDisposed) core.updateParameters({ moire: false });
+        });
+        this.corePasses.clear();
+        this.renderer?.dispose();
+        this.renderer = null;
+        
+        LIVE_MOIRE_ENGINES.delete(this);
+        if (LIVE_MOIRE_ENGINES.size === 0) {
+            document.getElementById('moire-rgb-styles')?.remove();
+            MOIRE_CSS_PROPERTIES.forEach(name => document.documentElement.style.removeProperty(name));
+        }
+        this.cssProperties = {};
+        this.isInitialized = false;
+        console.log('🌈 Moiré RGB engine destroyed');
     }
     
     /**
@@ -531,11 +1150,231 @@ class VIB34DMoireRGBEngine {
             instances: this.moireInstances.size,
             energy: this.interactionData.energy,
             activeEffects: this.activeEffects.size,
+            running: this.isRunning,
+            renderer: this.renderer ? this.renderer.getStatus() : { mode: 'css' },
+            corePasses: this.corePasses.size,
+            awaitingCores: this.corePassRetry !== null,
             config: this.config
         };
     }
 }
 
+// ============================================================================
+// 🖥️ MOIRÉ WEBGL RENDERER
+// ============================================================================
+
+const MOIRE_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    void main() {
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+/**
+ * Draws the moiré fragment shader into any number of overlay canvases from a
+ * single offscreen WebGL context: each layer is rendered in turn and copied
+ * into its canvas' 2D context, so a page full of cards costs one context
+ * instead of one per card. The engine's frame loop calls render().
+ */
+class VIB34DMoireRenderer {
+    /**
+     * @param {string} fragmentShader
+     * @param {Object} options
+     * @param {function(): Object} options.getUniforms - shared uniforms, read every frame
+     * @param {function(): {x: number, y: number}} [options.getMouse] - pointer in viewport 0..1 coordinates
+     * @param {function(): void} [options.onRestored] - called once a lost context has been rebuilt
+     * @param {number} [options.maxPixelRatio=2]
+     */
+    constructor(fragmentShader, options = {}) {
+        this.fragmentShader = fragmentShader;
+        this.options = { maxPixelRatio: 2, ...options };
+        this.layers = new Map();  // canvas → { context, borderWidth }
+        this.contextLost = false;
+        this.startTime = performance.now();
+        this.stats = { frames: 0, layersDrawn: 0 };
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1;
+        this.canvas.height = 1;
+        this.gl = this.canvas.getContext('webgl', {
+            alpha: true,
+            premultipliedAlpha: false,
+            antialias: false,
+            depth: false,
+            stencil: false,
+            preserveDrawingBuffer: false
+        });
+        if (!this.gl) {
+            throw new Error('WebGL is not available');
+        }
+        this._initGL();
+
+        this.canvas.addEventListener('webglcontextlost', (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+            console.warn('🌈 Moiré WebGL context lost');
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            try {
+                this._initGL();
+                this.contextLost = false;
+                console.log('🌈 Moiré WebGL context restored');
+                this.options.onRestored?.();
+            } catch (error) {
+                console.error('🌈 Moiré shader rebuild failed:', error);
+            }
+        });
+    }
+
+    _initGL() {
+        const gl = this.gl;
+        const vertex = this._compile(gl.VERTEX_SHADER, MOIRE_VERTEX_SHADER);
+        const fragment = this._compile(gl.FRAGMENT_SHADER, this.fragmentShader);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+        gl.deleteShader(vertex);
+        gl.deleteShader(fragment);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(`Moiré program link failed: ${log}`);
+        }
+        this.program = program;
+        this.uniformLocations = {};
+
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        this.positionLocation = gl.getAttribLocation(program, 'a_position');
+    }
+
+    _compile(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`Moiré shader compile failed: ${log}`);
+        }
+        return shader;
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas - sized by CSS; the drawing buffer follows it
+     * @param {{borderWidth?: number}} [options] - borderWidth > 0 draws only a frame that wide (CSS px)
+     */
+    addLayer(canvas, options = {}) {
+        const context = canvas.getContext('2d');
+        if (!context) return false;
+        this.layers.set(canvas, { context, borderWidth: options.borderWidth || 0 });
+        return true;
+    }
+
+    removeLayer(canvas) {
+        return this.layers.delete(canvas);
+    }
+
+    /**
+     * Draw every visible layer once with the current uniforms.
+     * @returns {number} layers drawn
+     */
+    render() {
+        if (this.contextLost || this.gl.isContextLost()) return 0;
+        const gl = this.gl;
+        const uniforms = this.options.getUniforms();
+        const mouse = this.options.getMouse?.() || { x: 0.5, y: 0.5 };
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, this.options.maxPixelRatio);
+        const time = performance.now() - this.startTime;  // ms: the shader scales by 0.001
+
+        gl.useProgram(this.program);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(this.positionLocation);
+        gl.vertexAttribPointer(this.positionLocation, 2, gl.FLOAT, false, 0, 0);
+        Object.entries(uniforms).forEach(([name, value]) => this._setUniform(name, value));
+        this._setUniform('u_time', time);
+
+        let drawn = 0;
+        this.layers.forEach((layer, canvas) => {
+            if (canvas.isConnected === false) {
+                this.layers.delete(canvas);
+                return;
+            }
+            // Hidden borders (opacity 0 until hovered) and disabled layers cost nothing
+            if (canvas.style.display === 'none' || parseFloat(canvas.style.opacity) === 0) return;
+            const width = Math.round(canvas.clientWidth * pixelRatio);
+            const height = Math.round(canvas.clientHeight * pixelRatio);
+            if (width === 0 || height === 0) return;
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+            // Grow only, so steady-state frames never reallocate the drawing buffer
+            if (this.canvas.width < width) this.canvas.width = width;
+            if (this.canvas.height < height) this.canvas.height = height;
+
+            // Pointer in this layer's uv space (GL y points up)
+            const rect = canvas.getBoundingClientRect();
+            this._setUniform('u_mouse', [
+                (mouse.x * window.innerWidth - rect.left) / Math.max(1, rect.width),
+                1.0 - (mouse.y * window.innerHeight - rect.top) / Math.max(1, rect.height)
+            ]);
+            this._setUniform('u_resolution', [width, height]);
+            this._setUniform('u_borderWidth', layer.borderWidth * pixelRatio);
+
+            gl.viewport(0, 0, width, height);
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+            // The viewport sits at the bottom-left of the shared buffer
+            layer.context.clearRect(0, 0, width, height);
+            layer.context.drawImage(this.canvas, 0, this.canvas.height - height, width, height, 0, 0, width, height);
+            drawn++;
+        });
+
+        this.stats.frames++;
+        this.stats.layersDrawn = drawn;
+        return drawn;
+    }
+
+    _setUniform(name, value) {
+        if (!(name in this.uniformLocations)) {
+            this.uniformLocations[name] = this.gl.getUniformLocation(this.program, name);
+        }
+        const location = this.uniformLocations[name];
+        if (!location) return;
+        if (Array.isArray(value)) {
+            this.gl.uniform2fv(location, value);
+        } else {
+            this.gl.uniform1f(location, value);
+        }
+    }
+
+    getStatus() {
+        return {
+            mode: 'webgl',
+            contextLost: this.contextLost,
+            layers: this.layers.size,
+            layersDrawn: this.stats.layersDrawn,
+            frames: this.stats.frames
+        };
+    }
+
+    dispose() {
+        this.layers.clear();
+        const gl = this.gl;
+        if (!gl.isContextLost()) {
+            gl.deleteBuffer(this.quadBuffer);
+            gl.deleteProgram(this.program);
+        }
+        this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+    }
+}
+
 // ============================================================================
 // 🧪 MOIRÉ RGB SYSTEM TESTER
 // ============================================================================
@@ -577,6 +1416,18 @@ class VIB34DMoireRGBTester {
         // Test 8: Performance Impact
         await this.testPerformanceImpact();
         
+        // Test 9: Dynamic Element Discovery
+        await this.testElementDiscovery();
+        
+        // Test 10: Teardown
+        await this.testTeardown();
+        
+        // Test 11: Element Effect Types
+        await this.testEffectTypes();
+        
+        // Test 12: Engine nodes are never discovered
+        await this.testNoSelfDiscovery();
+        
         // Display results
         this.displayResults();
     }
@@ -678,12 +1529,20 @@ class VIB34DMoireRGBTester {
             moireEngine.initialize();
             
             const uniforms = moireEngine.getMoireUniforms();
-            if (uniforms.u_gridDensity && uniforms.u_interferenceIntensity) {
-                this.recordTest('WebGL Shader Integration', true);
-            } else {
+            if (!uniforms.u_gridDensity || !uniforms.u_interferenceIntensity) {
                 throw new Error('Shader uniforms not properly generated');
             }
             
+            // With WebGL the shader must have compiled and drawn the layers
+            if (moireEngine.renderer) {
+                moireEngine.renderer.render();
+                if (!moireEngine.renderer.program) {
+                    throw new Error('Moiré shader not compiled');
+                }
+            }
+            moireEngine.renderer?.dispose();
+            this.recordTest('WebGL Shader Integration', true);
+            
         } catch (error) {
             this.recordTest('WebGL Shader Integration', false, error.message);
         }
@@ -698,7 +1557,7 @@ class VIB34DMoireRGBTester {
             
             // Change config and update
             const oldDensity = moireEngine.config.baseGridDensity;
-            moireEngine.config.baseGridDensity = 15.0;
+            moireEngine.setConfig({ baseGridDensity: 15.0 });
             moireEngine.updateMoireParameters();
             
             if (moireEngine.config.baseGridDensity === 15.0) {
@@ -758,6 +1617,168 @@ class VIB34DMoireRGBTester {
         }
     }
     
+    async testElementDiscovery() {
+        console.log('Test 9: Dynamic Element Discovery');
+        
+        try {
+            const moireEngine = new VIB34DMoireRGBEngine();
+            moireEngine.initialize();
+            
+            // Cards added after initialize() are picked up by the MutationObserver
+            const lateCard = document.createElement('div');
+            lateCard.className = 'content-card';
+            document.body.appendChild(lateCard);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (!lateCard.querySelector('.moire-border')) {
+                throw new Error('Card added after initialize() has no border');
+            }
+            
+            const id = moireEngine.attach(lateCard).id;
+            document.body.removeChild(lateCard);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (moireEngine.moireInstances.has(id) || lateCard.querySelector('.moire-border')) {
+                throw new Error('Removed card was not detached');
+            }
+            
+            // Explicit attach/detach keeps a stable id
+            const panel = document.createElement('div');
+            document.body.appendChild(panel);
+            const first = moireEngine.attach(panel, { type: 'border' }).id;
+            moireEngine.detach(panel);
+            const second = moireEngine.attach(panel, { type: 'border' }).id;
+            moireEngine.detach(panel);
+            document.body.removeChild(panel);
+            
+            if (first === second) {
+                this.recordTest('Dynamic Element Discovery', true);
+            } else {
+                throw new Error(`Instance id changed from ${first} to ${second}`);
+            }
+            
+        } catch (error) {
+            this.recordTest('Dynamic Element Discovery', false, error.message);
+        }
+    }
+    
+    async testTeardown() {
+        console.log('Test 10: Teardown');
+        
+        try {
+            const card = document.createElement('div');
+            card.className = 'content-card';
+            document.body.appendChild(card);
+            
+            const moireEngine = new VIB34DMoireRGBEngine();
+            moireEngine.initialize();
+            const other = new VIB34DMoireRGBEngine();
+            other.initialize();
+            
+            moireEngine.destroy();
+            if (moireEngine.listeners.length > 0 || moireEngine.isRunning || moireEngine.moireInstances.size > 0) {
+                throw new Error('Listeners, loop or instances survived destroy()');
+            }
+            if (!document.getElementById('moire-rgb-styles')) {
+                throw new Error('Shared styles removed while another engine is live');
+            }
+            
+            other.destroy();
+            document.body.removeChild(card);
+            if (card.querySelector('.moire-border')) {
+                throw new Error('Border left behind after destroy()');
+            }
+            
+            // Engines created by the earlier tests may still own the styles
+            if (LIVE_MOIRE_ENGINES.size === 0 && document.getElementById('moire-rgb-styles')) {
+                throw new Error('Styles left behind by the last engine');
+            }
+            this.recordTest('Teardown', true);
+            
+        } catch (error) {
+            this.recordTest('Teardown', false, error.message);
+        }
+    }
+    
+    async testEffectTypes() {
+        console.log('Test 11: Element Effect Types');
+        
+        try {
+            const moireEngine = new VIB34DMoireRGBEngine();
+            moireEngine.initialize();
+            
+            const section = document.createElement('div');
+            document.body.appendChild(section);
+            const types = ['waveDistortion', 'subtleMoire', 'intenseMoire', 'pulseMoire'];
+            types.forEach(type => {
+                moireEngine.detach(section);
+                moireEngine.attach(section, { type, intensity: 0.5, palette: ['#ff0000'] });
+                if (!section.querySelector(`.moire-effect-${type}`)) {
+                    throw new Error(`No layer for ${type}`);
+                }
+            });
+            
+            // pulseMoire doubles the energy it is given
+            moireEngine.setEffectParameters(section, { energy: 0.4 });
+            const effect = moireEngine.elementInstances.get(section).effect;
+            moireEngine.destroy();
+            document.body.removeChild(section);
+            
+            if (effect.css['--moire-energy'] === '0.800' && effect.css['--moire-c1'] === '#ff0000'
+                && effect.css['--moire-intensity'] === '0.500' && !section.querySelector('.moire-effect')) {
+                this.recordTest('Element Effect Types', true);
+            } else {
+                throw new Error(`Unexpected effect properties ${JSON.stringify(effect.css)}`);
+            }
+            
+        } catch (error) {
+            this.recordTest('Element Effect Types', false, error.message);
+        }
+    }
+    
+    async testNoSelfDiscovery() {
+        console.log('Test 12: No Self-Discovery');
+        
+        try {
+            const moireEngine = new VIB34DMoireRGBEngine();
+            moireEngine.initialize();
+            // A stub renderer makes overlays canvases, the case that used to feed back
+            moireEngine.renderer = {
+                addLayer: () => true,
+                removeLayer: () => true,
+                render: () => 0,
+                getStatus: () => ({ mode: 'stub' }),
+                dispose: () => {}
+            };
+            
+            // Inserted before any core draws into it
+            const holder = document.createElement('div');
+            const canvas = document.createElement('canvas');
+            canvas.id = 'visualizer-self-discovery';
+            holder.appendChild(canvas);
+            document.body.appendChild(holder);
+            for (let i = 0; i < 3; i++) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            
+            const instances = Array.from(moireEngine.elementInstances.keys())
+                .filter(element => holder.contains(element)).length;
+            const discoveredLayers = Array.from(moireEngine.elementInstances.keys())
+                .filter(element => moireEngine.isEngineNode(element)).length;
+            const selfMatches = Array.from(document.querySelectorAll(moireEngine.config.visualizerSelector))
+                .filter(node => moireEngine.isEngineNode(node)).length;
+            moireEngine.destroy();
+            document.body.removeChild(holder);
+            
+            if (instances === 1 && discoveredLayers === 0 && selfMatches === 0) {
+                this.recordTest('No Self-Discovery', true);
+            } else {
+                throw new Error(`${instances} instances, ${discoveredLayers} discovered layers, ${selfMatches} engine nodes matching the selector`);
+            }
+            
+        } catch (error) {
+            this.recordTest('No Self-Discovery', false, error.message);
+        }
+    }
+    
     recordTest(name, passed, error = null) {
         this.results.total++;
         if (passed) {
@@ -793,6 +1814,7 @@ class VIB34DMoireRGBTester {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         VIB34DMoireRGBEngine,
+        VIB34DMoireRenderer,
         VIB34DMoireRGBTester
     };
 }
@@ -800,6 +1822,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // 🌐 Export to window for browser use
 if (typeof window !== 'undefined') {
     window.VIB34DMoireRGBEngine = VIB34DMoireRGBEngine;
+    window.VIB34DMoireRenderer = VIB34DMoireRenderer;
     window.VIB34DMoireRGBTester = VIB34DMoireRGBTester;
     console.log('🌈 VIB34D Moiré RGB System loaded and exported to window');
 }
\ No newline at end of file
@@ -0,0 +1,565 @@
+/**
+ * VIB34D TIMELINE SEQUENCER
+ *
+ * Plays JSON keyframe timelines against one or more HypercubeCores: one track
+ * of keyframes per parameter, labelled cue points, looping, and a
+ * play/pause/seek/scrub transport. Load after VIB34D_WORKING_CORE_ARCHITECTURE.js
+ * (keyframe easing uses its EASING_CURVES and cubicBezierCurve).
+ *
+ * Timeline JSON (times in seconds):
+ *   {
+ *     "name": "reality-engine",
+ *     "duration": 35,                  // optional, defaults to the last keyframe or cue
+ *     "loop": true,                    // true, false, or how many passes to play
+ *     "cues": { "intro": 0, "surge": 8.75 },
+ *     "tracks": {
+ *       "dimension": [{ "time": 0, "value": 3.5, "easing": "easeInOutSine" }, { "time": 8.75, "value": 4.5 }],
+ *       "gridDensity": { "mode": "add", "loop": true, "stagger": 0.8, "keyframes": [ ... ] }
+ *     }
+ *   }
+ *
+ * Track keys are anything updateParameters accepts. A keyframe's easing shapes
+ * the segment from it to the next keyframe: an EASING_CURVES name, 'step', or
+ * cubic-bezier control points [x1, y1, x2, y2]. Track options:
+ *  - mode:    'set' writes the value; 'add' adds it to, and 'scale' multiplies,
+ *             the value each target had when the track first reached it
+ *  - loop:    repeat the track on its own period (its last keyframe time)
+ *  - stagger: seconds each further target lags behind the previous one
+ */
+
+// ============================================================================
+// 🎚️ TIMELINE CONFIGURATION
+// ============================================================================
+
+const TIMELINE_TRACK_MODES = ['set', 'add', 'scale'];
+
+// Longest step one frame may advance the playhead; a tab coming back from the
+// background resumes where it paused instead of firing every cue it slept through
+const MAX_FRAME_STEP = 0.25;
+
+// ============================================================================
+// 🎬 VIB34D TIMELINE SEQUENCER
+// ============================================================================
+
+class VIB34DTimelineSequencer {
+    /**
+     * @param {Object|string} timeline - Timeline object or its JSON text
+     * @param {Object} [options]
+     * @param {HypercubeCore[]} [options.targets]
+     * @param {number} [options.speed=1] - Playback rate
+     * @param {function({label: string, time: number, iteration: number})} [options.onCue]
+     * @param {function({iteration: number})} [options.onLoop]
+     * @param {function({time: number})} [options.onComplete]
+     * @param {function({time: number, iteration: number, values: Object})} [options.onUpdate] - Every rendered
+     *        position; values are the raw track values (before stagger and mode)
+     */
+    constructor(timeline, options = {}) {
+        this.options = options;
+        this.speed = options.speed ?? 1;
+        this.targets = [];  // { core, index, bases: Map(path → value), written: Map(path → value) }
+        this.timeline = null;
+        this.currentTime = 0;
+        this.iteration = 0;
+        this.isPlaying = false;
+        this.isComplete = false;
+        this._cuesFromInclusive = true;
+        this._frameId = null;
+        this._lastNow = 0;
+        this._tick = this._tick.bind(this);
+
+        this.load(timeline);
+        (options.targets || []).forEach(core => this.addTarget(core));
+    }
+
+    /**
+     * Check and normalize a timeline without loading it.
+     * @returns {{valid: boolean, errors: string[], warnings: string[], timeline: ?Object}}
+     */
+    static validate(timeline) {
+        const report = { valid: false, errors: [], warnings: [], timeline: null };
+        let source = timeline;
+        if (typeof source === 'string') {
+            try {
+                source = JSON.parse(source);
+            } catch (error) {
+                report.errors.push(`Timeline is not valid JSON: ${error.message}`);
+                return report;
+            }
+        }
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            report.errors.push('Timeline must be an object');
+            return report;
+        }
+
+        const tracks = Object.entries(source.tracks || {})
+            .map(([path, spec]) => VIB34DTimelineSequencer._normalizeTrack(path, spec, report))
+            .filter(Boolean);
+        if (tracks.length === 0) report.warnings.push('Timeline has no tracks');
+
+        const cues = VIB34DTimelineSequencer._normalizeCues(source.cues, report);
+        const explicitDuration = source.duration !== undefined;
+        if (explicitDuration && !(Number.isFinite(source.duration) && source.duration > 0)) {
+            report.errors.push('duration must be a number > 0');
+        }
+        const duration = explicitDuration ? source.duration
+            : Math.max(0, ...tracks.map(track => track.end), ...cues.map(cue => cue.time));
+        cues.filter(cue => cue.time > duration)
+            .forEach(cue => report.warnings.push(`Cue '${cue.label}' at ${cue.time}s is past the end (${duration}s)`));
+
+        const loop = source.loop ?? false;
+        if (typeof loop !== 'boolean' && !(Number.isInteger(loop) && loop >= 1)) {
+            report.errors.push('loop must be true, false, or a whole number of passes >= 1');
+        }
+
+        report.valid = report.errors.length === 0;
+        if (report.valid) {
+            report.timeline = { name: source.name || 'untitled', duration, explicitDuration, loop, cues, tracks };
+        }
+        return report;
+    }
+
+    /**
+     * Easing function for a keyframe's easing value, or null if it names nothing.
+     * @param {string|number[]} easing - EASING_CURVES name, 'step', or [x1, y1, x2, y2]
+     */
+    static resolveEasing(easing) {
+        if (easing === 'step') return () => 0;
+        if (Array.isArray(easing)) {
+            const valid = easing.length === 4 && easing.every(Number.isFinite)
+                && easing[0] >= 0 && easing[0] <= 1 && easing[2] >= 0 && easing[2] <= 1;
+            return valid ? cubicBezierCurve(...easing) : null;
+        }
+        return Object.hasOwnProperty.call(EASING_CURVES, easing) ? EASING_CURVES[easing] : null;
+    }
+
+    /** Value of a normalized track at `time` seconds of its own clock. */
+    static sampleTrack(track, time) {
+        const frames = track.keyframes;
+        let t = time;
+        if (track.loop && track.end > 0) t = ((t % track.end) + track.end) % track.end;
+
+        const last = frames[frames.length - 1];
+        if (t <= frames[0].time) return VIB34DTimelineSequencer._copy(frames[0].value);
+        if (t >= last.time) return VIB34DTimelineSequencer._copy(last.value);
+
+        let i = 0;
+        while (frames[i + 1].time <= t) i++;
+        const from = frames[i];
+        const to = frames[i + 1];
+        if (track.kind === 'discrete') return VIB34DTimelineSequencer._copy(from.value);
+
+        const progress = from.ease((t - from.time) / (to.time - from.time));
+        return track.kind === 'vector'
+            ? from.value.map((component, c) => component + (to.value[c] - component) * progress)
+            : from.value + (to.value - from.value) * progress;
+    }
+
+    /**
+     * Replace the timeline. Keeps the playhead (clamped to the new duration) so
+     * an editor can rewrite tracks while scrubbing. add/scale tracks that stay
+     * keep composing with the values they started from; those that go put the
+     * value back. Throws on an invalid timeline.
+     */
+    load(timeline) {
+        const report = VIB34DTimelineSequencer.validate(timeline);
+        if (!report.valid) {
+            throw new Error(`Invalid timeline:\n  ${report.errors.join('\n  ')}`);
+        }
+        report.warnings.forEach(warning => console.warn(`⚠️ Timeline '${report.timeline.name}': ${warning}`));
+        this.timeline = report.timeline;
+        this.currentTime = Math.min(this.currentTime, this.timeline.duration);
+        this.isComplete = false;
+        this.targets.forEach(target => this._releaseBases(target));
+        this._render();
+        return this;
+    }
+
+    // ========================================================================
+    // 🎯 TARGETS
+    // ========================================================================
+
+    /**
+     * Drive a core from this timeline. `index` picks its stagger slot and
+     * defaults to the order targets were added in.
+     */
+    addTarget(core, { index } = {}) {
+        if (!core || this.targets.some(target => target.core === core)) return this;
+        const target = { core, index: index ?? this.targets.length, bases: new Map(), written: new Map() };
+        this.targets.push(target);
+        if (!core.isDisposed) this._applyTo(target, this.currentTime);
+        return this;
+    }
+
+    removeTarget(core) {
+        this.targets = this.targets.filter(target => target.core !== core);
+        return this;
+    }
+
+    /** Raw track values at `time` for the target in stagger slot `index`. */
+    sample(time = this.currentTime, index = 0) {
+        const values = {};
+        this.timeline.tracks.forEach(track => {
+            values[track.path] = VIB34DTimelineSequencer.sampleTrack(track, time - track.stagger * index);
+        });
+        return values;
+    }
+
+    // ========================================================================
+    // ⏯️ TRANSPORT
+    // ========================================================================
+
+    play() {
+        if (this.isPlaying) return this;
+        if (this.isComplete) {
+            this.iteration = 0;
+            this.currentTime = 0;
+            this.isComplete = false;
+            this._cuesFromInclusive = true;
+        }
+        this.isPlaying = true;
+        this._lastNow = performance.now();
+        // Cues sitting exactly on the start position fire as playback begins
+        this._advance(0);
+        if (this.isPlaying && this._frameId === null) this._frameId = requestAnimationFrame(this._tick);
+        return this;
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+        return this;
+    }
+
+    stop() {
+        this.pause();
+        this.iteration = 0;
+        return this.seek(0);
+    }
+
+    /**
+     * Jump to a time in seconds or to a cue label. Playback state is unchanged;
+     * cues between the old and new position do not fire.
+     */
+    seek(position) {
+        this.currentTime = this._resolvePosition(position);
+        this.isComplete = false;
+        this._cuesFromInclusive = true;
+        // Rewrite every parameter even if it matches what we last wrote
+        this.targets.forEach(target => target.written.clear());
+        this._render();
+        return this;
+    }
+
+    /** Pause and seek, for dragging a playhead. */
+    scrub(position) {
+        return this.pause().seek(position);
+    }
+
+    getStatus() {
+        return {
+            name: this.timeline.name,
+            time: this.currentTime,
+            duration: this.timeline.duration,
+            iteration: this.iteration,
+            isPlaying: this.isPlaying,
+            isComplete: this.isComplete,
+            targets: this.targets.length
+        };
+    }
+
+    dispose() {
+        this.pause();
+        this.targets = [];
+    }
+
+    _resolvePosition(position) {
+        if (typeof position === 'string') {
+            const cue = this.timeline.cues.find(entry => entry.label === position);
+            if (!cue) throw new Error(`Unknown cue '${position}'`);
+            return Math.min(cue.time, this.timeline.duration);
+        }
+        if (!Number.isFinite(position)) throw new Error(`Cannot seek to '${position}'`);
+        return Math.min(this.timeline.duration, Math.max(0, position));
+    }
+
+    _tick() {
+        this._frameId = null;
+        if (!this.isPlaying) return;
+        const now = performance.now();
+        const elapsed = Math.min(MAX_FRAME_STEP, Math.max(0, (now - this._lastNow) / 1000));
+        this._lastNow = now;
+        this._advance(elapsed * this.speed);
+        if (this.isPlaying) this._frameId = requestAnimationFrame(this._tick);
+    }
+
+    _advance(step) {
+        const { duration, loop } = this.timeline;
+        const passes = loop === true ? Infinity : loop === false ? 1 : loop;
+        const events = [];
+        let from = this.currentTime;
+        let to = from + step;
+
+        while (duration > 0 && to >= duration && this.iteration + 1 < passes) {
+            this._collectCues(events, from, duration);
+            to -= duration;
+            from = 0;
+            this._cuesFromInclusive = true;
+            this.iteration++;
+            events.push({ type: 'loop', iteration: this.iteration });
+        }
+        const complete = to >= duration;
+        if (complete) to = duration;
+        this._collectCues(events, from, to);
+        this._cuesFromInclusive = false;
+
+        this.currentTime = to;
+        this._render();
+        if (complete) {
+            this.pause();
+            this.isComplete = true;
+        }
+
+        events.forEach(event => {
+            if (event.type === 'cue') this.options.onCue?.({ label: event.label, time: event.time, iteration: event.iteration });
+            else this.options.onLoop?.({ iteration: event.iteration });
+        });
+        if (complete) this.options.onComplete?.({ time: to });
+    }
+
+    _collectCues(events, from, to) {
+        this.timeline.cues.forEach(cue => {
+            const reached = this._cuesFromInclusive ? cue.time >= from : cue.time > from;
+            if (reached && cue.time <= to) events.push({ type: 'cue', label: cue.label, time: cue.time, iteration: this.iteration });
+        });
+    }
+
+    _render() {
+        this.targets = this.targets.filter(target => !target.core.isDisposed);
+        this.targets.forEach(target => this._applyTo(target, this.currentTime));
+        this.options.onUpdate?.({ time: this.currentTime, iteration: this.iteration, values: this.sample() });
+    }
+
+    // The core's state carries the offsets of add/scale tracks, so re-reading it
+    // as a base would stack them again: bases only go when their track does
+    _releaseBases(target) {
+        const { core } = target;
+        target.written.clear();
+        if (core.isDisposed) return;
+        const composed = new Set(this.timeline.tracks
+            .filter(track => track.mode !== 'set')
+            .map(track => core.parameterResolver.resolveKey(track.path, core.state)));
+        const restore = {};
+        target.bases.forEach((value, path) => {
+            if (composed.has(path)) return;
+            restore[path] = value;
+            target.bases.delete(path);
+        });
+        if (Object.keys(restore).length > 0) core.updateParameters(restore);
+    }
+
+    _applyTo(target, time) {
+        const { core } = target;
+        const updates = {};
+        let changed = false;
+        this.timeline.tracks.forEach(track => {
+            // Resolved per frame: plugin uniforms come and go with the geometry
+            const path = core.parameterResolver.resolveKey(track.path, core.state);
+            if (!path) return;
+            let value = VIB34DTimelineSequencer.sampleTrack(track, time - track.stagger * target.index);
+            if (track.mode !== 'set') {
+                if (!target.bases.has(path)) target.bases.set(path, VIB34DTimelineSequencer._read(core, path));
+                value = VIB34DTimelineSequencer._compose(target.bases.get(path), value, track.mode);
+                if (value === null) return;
+            }
+            if (target.written.has(path) && VIB34DTimelineSequencer._equal(target.written.get(path), value)) return;
+            target.written.set(path, value);
+            updates[path] = value;
+            changed = true;
+        });
+        if (changed) core.updateParameters(updates);
+    }
+
+    // ========================================================================
+    // ✏️ AUTHORING
+    // ========================================================================
+
+    /** Add or replace the keyframe at `time` on `path`'s track, creating the track if needed. */
+    setKeyframe(path, time, value, easing) {
+        const source = this.toJSON();
+        const track = source.tracks[path] || (source.tracks[path] = { keyframes: [] });
+        track.keyframes = track.keyframes.filter(keyframe => keyframe.time !== time);
+        track.keyframes.push(easing === undefined ? { time, value } : { time, value, easing });
+        return this.load(source);
+    }
+
+    /** Remove the keyframe at `time`; a track left without keyframes is removed. */
+    removeKeyframe(path, time) {
+        const source = this.toJSON();
+        const track = source.tracks[path];
+        if (!track) return this;
+        track.keyframes = track.keyframes.filter(keyframe => keyframe.time !== time);
+        if (track.keyframes.length === 0) delete source.tracks[path];
+        return this.load(source);
+    }
+
+    removeTrack(path) {
+        const source = this.toJSON();
+        delete source.tracks[path];
+        return this.load(source);
+    }
+
+    setCue(label, time) {
+        const source = this.toJSON();
+        source.cues[label] = time;
+        return this.load(source);
+    }
+
+    removeCue(label) {
+        const source = this.toJSON();
+        delete source.cues[label];
+        return this.load(source);
+    }
+
+    /** Timeline JSON that load() and the constructor accept. */
+    toJSON() {
+        const { name, duration, explicitDuration, loop, cues, tracks } = this.timeline;
+        const json = { name };
+        if (explicitDuration) json.duration = duration;
+        json.loop = loop;
+        json.cues = Object.fromEntries(cues.map(cue => [cue.label, cue.time]));
+        json.tracks = Object.fromEntries(tracks.map(track => [track.path, {
+            mode: track.mode,
+            loop: track.loop,
+            stagger: track.stagger,
+            keyframes: track.keyframes.map(({ time, value, easing }) => ({ time, value: VIB34DTimelineSequencer._copy(value), easing }))
+        }]));
+        return json;
+    }
+
+    // ========================================================================
+    // 🧰 HELPERS
+    // ========================================================================
+
+    static _normalizeTrack(path, spec, report) {
+        const config = Array.isArray(spec) ? { keyframes: spec } : spec;
+        if (!config || !Array.isArray(config.keyframes) || config.keyframes.length === 0) {
+            report.errors.push(`Track '${path}' needs at least one keyframe`);
+            return null;
+        }
+        const mode = config.mode ?? 'set';
+        if (!TIMELINE_TRACK_MODES.includes(mode)) {
+            report.errors.push(`Track '${path}': unknown mode '${mode}'. Use one of: ${TIMELINE_TRACK_MODES.join(', ')}`);
+        }
+        const stagger = config.stagger ?? 0;
+        if (!Number.isFinite(stagger)) report.errors.push(`Track '${path}': stagger must be a number`);
+
+        const keyframes = [];
+        config.keyframes.forEach((keyframe, i) => {
+            const where = `Track '${path}' keyframe ${i}`;
+            if (!keyframe || !Number.isFinite(keyframe.time) || keyframe.time < 0) {
+                report.errors.push(`${where}: time must be a number >= 0`);
+                return;
+            }
+            if (keyframe.value === undefined) {
+                report.errors.push(`${where}: missing value`);
+                return;
+            }
+            const easing = keyframe.easing ?? 'linear';
+            const ease = VIB34DTimelineSequencer.resolveEasing(easing);
+            if (!ease) {
+                report.errors.push(`${where}: unknown easing ${JSON.stringify(easing)}`);
+                return;
+            }
+            keyframes.push({ time: keyframe.time, value: keyframe.value, easing, ease });
+        });
+        if (keyframes.length === 0) return null;
+        keyframes.sort((a, b) => a.time - b.time);
+
+        // Vector kinds carry their length ('vector3'), so mixed lengths count as mixed kinds
+        const kinds = new Set(keyframes.map(keyframe => VIB34DTimelineSequencer._kindOf(keyframe.value)));
+        const kind = [...kinds][0];
+        if (kinds.size > 1) {
+            report.errors.push(`Track '${path}': keyframe values must be all numbers, all vectors of one length, or all discrete values`);
+        } else if (kind === 'discrete' && mode !== 'set') {
+            report.errors.push(`Track '${path}': discrete values only work with mode 'set'`);
+        }
+
+        return {
+            path,
+            mode,
+            loop: Boolean(config.loop),
+            stagger,
+            keyframes,
+            kind: kind.startsWith('vector') ? 'vector' : kind,
+            end: keyframes[keyframes.length - 1].time
+        };
+    }
+
+    static _normalizeCues(cues = {}, report) {
+        const entries = Array.isArray(cues)
+            ? cues.map(cue => [cue?.label, cue?.time])
+            : Object.entries(cues);
+        const seen = new Set();
+        const normalized = [];
+        entries.forEach(([label, time]) => {
+            if (typeof label !== 'string' || label === '') {
+                report.errors.push('Every cue needs a label');
+            } else if (seen.has(label)) {
+                report.errors.push(`Duplicate cue '${label}'`);
+            } else if (!Number.isFinite(time) || time < 0) {
+                report.errors.push(`Cue '${label}': time must be a number >= 0`);
+            } else {
+                seen.add(label);
+                normalized.push({ label, time });
+            }
+        });
+        return normalized.sort((a, b) => a.time - b.time);
+    }
+
+    static _kindOf(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) return 'number';
+        if (Array.isArray(value) && value.length > 0 && value.every(Number.isFinite)) return `vector${value.length}`;
+        return 'discrete';
+    }
+
+    static _read(core, path) {
+        const [root, child] = path.split('.');
+        const value = child === undefined ? core.state[root] : core.state[root]?.[child];
+        return VIB34DTimelineSequencer._copy(value);
+    }
+
+    // Track value applied to the target's own base; null when the shapes don't fit
+    static _compose(base, value, mode) {
+        const apply = (a, b) => mode === 'add' ? a + b : a * b;
+        if (typeof base === 'number') return typeof value === 'number' ? apply(base, value) : null;
+        if (!Array.isArray(base)) return null;
+        if (typeof value === 'number') return mode === 'scale' ? base.map(component => component * value) : null;
+        return value.length === base.length ? base.map((component, i) => apply(component, value[i])) : null;
+    }
+
+    static _copy(value) {
+        return Array.isArray(value) ? value.slice() : value;
+    }
+
+    static _equal(a, b) {
+        if (Array.isArray(a)) return Array.isArray(b) && a.length === b.length && a.every((component, i) => component === b[i]);
+        return a === b;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VIB34DTimelineSequencer,
+        TIMELINE_TRACK_MODES
+    };
+}
+
+// 🌐 Export to window for browser use
+if (typeof window !== 'undefined') {
+    window.VIB34DTimelineSequencer = VIB34DTimelineSequencer;
+    console.log('🎚️ VIB34D Timeline Sequencer loaded and exported to window');
+}
@@ -0,0 +1,336 @@
+/**
+ * VIB34D Timeline Sequencer Test
+ *
+ * Headless harness for VIB34DTimelineSequencer. The sequencer plays against
+ * stub cores that only resolve and record parameters, on a frame clock the
+ * test advances by hand, so no browser or WebGL is involved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================================================
+// 🧪 STUB CORE / FRAME CLOCK
+// ============================================================================
+
+// Just enough HypercubeCore for the sequencer: state, key resolution and updateParameters
+function createStubCore(state) {
+    return {
+        isDisposed: false,
+        state,
+        updates: [],
+        parameterResolver: {
+            resolveKey(key, current) {
+                const [root, child] = key.split('.');
+                if (!Object.hasOwnProperty.call(current, root)) return null;
+                return child === undefined || Object.hasOwnProperty.call(current[root], child) ? key : null;
+            }
+        },
+        updateParameters(updates) {
+            this.updates.push(updates);
+            Object.entries(updates).forEach(([key, value]) => {
+                const [root, child] = key.split('.');
+                if (child === undefined) this.state[root] = value;
+                else this.state[root][child] = value;
+            });
+        }
+    };
+}
+
+function createSandbox() {
+    const frames = new Map();
+    let nextFrameId = 1;
+
+    const sandbox = {
+        console: { log() {}, warn() {}, error() {} },
+        performance: { now: () => sandbox.now },
+        now: 0,
+        requestAnimationFrame: (fn) => { frames.set(nextFrameId, fn); return nextFrameId++; },
+        cancelAnimationFrame: (id) => frames.delete(id),
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        frames
+    };
+    sandbox.window = sandbox;
+
+    vm.createContext(sandbox);
+    // The sequencer takes its easing curves from the working core
+    ['VIB34D_WORKING_CORE_ARCHITECTURE.js', 'VIB34D_TIMELINE_SEQUENCER.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(source, sandbox, { filename: file });
+    });
+
+    // Advance the clock by `ms` per frame and run whatever was scheduled
+    sandbox.step = (count = 1, ms = 16) => {
+        for (let i = 0; i < count; i++) {
+            sandbox.now += ms;
+            const pending = [...frames.values()];
+            frames.clear();
+            pending.forEach(fn => fn(sandbox.now));
+        }
+    };
+    return sandbox;
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function near(actual, expected, message) {
+    assert(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// ============================================================================
+// 🎚️ TIMELINE SEQUENCER TEST SUITE
+// ============================================================================
+
+class VIB34DTimelineSequencerTest {
+    constructor() {
+        this.results = {
+            timestamp: new Date().toISOString(),
+            tests: [],
+            summary: { total: 0, passed: 0, failed: 0 }
+        };
+    }
+
+    async runTest(name, testFn) {
+        console.log(`\n🧪 Testing: ${name}`);
+        try {
+            await testFn();
+            this.results.tests.push({ name, status: 'passed' });
+            this.results.summary.passed++;
+            console.log(`✅ PASSED`);
+        } catch (error) {
+            this.results.tests.push({ name, status: 'failed', error: error.message });
+            this.results.summary.failed++;
+            console.log(`❌ FAILED: ${error.message}`);
+        }
+        this.results.summary.total++;
+    }
+
+    createSequencer(sandbox, timeline, options = {}) {
+        const events = [];
+        const sequencer = new sandbox.VIB34DTimelineSequencer(timeline, {
+            ...options,
+            onCue: ({ label, iteration }) => events.push(`${label}@${iteration}`),
+            onLoop: ({ iteration }) => events.push(`loop${iteration}`),
+            onComplete: () => events.push('complete')
+        });
+        return { sequencer, events };
+    }
+
+    // Test 1: Every cue fires once per pass, including those on the loop boundary
+    async testCuesAcrossLoops() {
+        const sandbox = createSandbox();
+        const core = createStubCore({ morphFactor: 0 });
+        const { sequencer, events } = this.createSequencer(sandbox, {
+            duration: 2,
+            loop: 3,
+            cues: { start: 0, mid: 1, end: 2 },
+            tracks: { morphFactor: [{ time: 0, value: 0 }, { time: 2, value: 1 }] }
+        }, { targets: [core] });
+
+        sequencer.play();
+        // 70ms frames never land on a boundary, so every wrap happens mid-frame
+        sandbox.step(120, 70);
+
+        const expected = [
+            'start@0', 'mid@0', 'end@0', 'loop1',
+            'start@1', 'mid@1', 'end@1', 'loop2',
+            'start@2', 'mid@2', 'end@2', 'complete'
+        ];
+        assert(events.join(' ') === expected.join(' '), `cue order: ${events.join(' ')}`);
+        const status = sequencer.getStatus();
+        assert(status.isComplete && !status.isPlaying && status.iteration === 2, `final status ${JSON.stringify(status)}`);
+        near(core.state.morphFactor, 1, 'morphFactor at the end');
+        assert(sandbox.frames.size === 0, 'frames still scheduled after completion');
+
+        // A frame that straddles the boundary still fires the cue at 0 of the next pass
+        const straddle = this.createSequencer(sandbox, {
+            duration: 1, loop: true, cues: { zero: 0 }, tracks: { morphFactor: [{ time: 0, value: 0 }] }
+        });
+        straddle.sequencer.seek(0.9).play();
+        sandbox.step(1, 200);
+        assert(straddle.events.join(' ') === 'loop1 zero@1', `straddling frame: ${straddle.events.join(' ')}`);
+        straddle.sequencer.dispose();
+    }
+
+    // Test 2: seek and scrub move the playhead without firing the cues they skip
+    async testSeekDoesNotFireCues() {
+        const sandbox = createSandbox();
+        const core = createStubCore({ gridDensity: 0 });
+        const { sequencer, events } = this.createSequencer(sandbox, {
+            duration: 4,
+            cues: { a: 0, b: 1, c: 2, d: 3 },
+            tracks: { gridDensity: [{ time: 0, value: 0 }, { time: 4, value: 40 }] }
+        }, { targets: [core] });
+
+        sequencer.seek('c');
+        near(core.state.gridDensity, 20, 'gridDensity after seeking to cue c');
+        sequencer.scrub(3.5);
+        near(core.state.gridDensity, 35, 'gridDensity after scrubbing to 3.5');
+        sequencer.seek(0.5);
+        assert(events.length === 0, `seek/scrub fired ${events.join(' ')}`);
+        assert(!sequencer.isPlaying, 'seek started playback');
+
+        // Playing on from the new position fires only what lies ahead of it
+        sequencer.play();
+        sandbox.step(80, 50);
+        assert(events.join(' ') === 'b@0 c@0 d@0 complete', `after seeking to 0.5: ${events.join(' ')}`);
+
+        // Scrubbing while playing pauses, and a cue under the new position fires once playback resumes
+        events.length = 0;
+        sequencer.seek(0).play();
+        sandbox.step(2, 50);
+        sequencer.scrub('c');
+        assert(!sequencer.isPlaying && sandbox.frames.size === 0, 'scrub did not pause playback');
+        assert(events.join(' ') === 'a@0', `scrub fired ${events.join(' ')}`);
+        sequencer.play();
+        sandbox.step(1, 50);
+        assert(events.join(' ') === 'a@0 c@0', `resuming on cue c: ${events.join(' ')}`);
+        sequencer.dispose();
+    }
+
+    // Test 3: Stagger offsets each target by its slot
+    async testStagger() {
+        const sandbox = createSandbox();
+        const cores = [0, 1, 2].map(() => createStubCore({ morphFactor: 0 }));
+        const { sequencer } = this.createSequencer(sandbox, {
+            duration: 4,
+            tracks: { morphFactor: { stagger: 0.5, keyframes: [{ time: 0, value: 0 }, { time: 4, value: 8 }] } }
+        }, { targets: cores.slice(0, 2) });
+        sequencer.addTarget(cores[2], { index: 3 });
+
+        sequencer.seek(2);
+        near(cores[0].state.morphFactor, 4, 'slot 0 at 2s');
+        near(cores[1].state.morphFactor, 3, 'slot 1 at 2s');
+        near(cores[2].state.morphFactor, 1, 'slot 3 at 2s');
+
+        // Before a slot's start it holds the first keyframe
+        sequencer.seek(0.25);
+        near(cores[1].state.morphFactor, 0, 'slot 1 before its start');
+        near(sequencer.sample(2, 1).morphFactor, 3, 'sample() for slot 1');
+
+        // Removing a target leaves the others in their slots
+        sequencer.removeTarget(cores[1]);
+        sequencer.seek(3);
+        near(cores[1].state.morphFactor, 0, 'removed target still driven');
+        near(cores[2].state.morphFactor, 3, 'slot 3 at 3s');
+    }
+
+    // Test 4: add and scale compose with each target's own starting value, without compounding
+    async testAddAndScaleModes() {
+        const sandbox = createSandbox();
+        const first = createStubCore({ gridDensity: 10, rotationSpeed: 0.5, colorScheme: { primary: [0.2, 0.4, 0.6] } });
+        const second = createStubCore({ gridDensity: 20, rotationSpeed: 2, colorScheme: { primary: [1, 1, 1] } });
+        const { sequencer } = this.createSequencer(sandbox, {
+            duration: 2,
+            tracks: {
+                gridDensity: { mode: 'add', keyframes: [{ time: 0, value: 0 }, { time: 2, value: 4 }] },
+                rotationSpeed: { mode: 'scale', keyframes: [{ time: 0, value: 1 }, { time: 2, value: 3 }] },
+                'colorScheme.primary': { mode: 'scale', keyframes: [{ time: 0, value: 1 }, { time: 2, value: 0.5 }] }
+            }
+        }, { targets: [first, second] });
+
+        sequencer.seek(1);
+        near(first.state.gridDensity, 12, 'add on the first target');
+        near(second.state.gridDensity, 22, 'add on the second target');
+        near(first.state.rotationSpeed, 1, 'scale on the first target');
+        near(second.state.rotationSpeed, 4, 'scale on the second target');
+        const primary = first.state.colorScheme.primary.map(v => +v.toFixed(6)).join(',');
+        assert(primary === '0.15,0.3,0.45', `vector scaled by a number: ${primary}`);
+
+        // Going back and forth lands on the same values instead of stacking
+        sequencer.seek(2).seek(0).seek(2);
+        near(first.state.gridDensity, 14, 'add after seeking back and forth');
+        near(first.state.rotationSpeed, 1.5, 'scale after seeking back and forth');
+        sequencer.seek(0);
+        near(first.state.gridDensity, 10, 'add at 0 returns to the base');
+
+        // A track that leaves the timeline puts its base back
+        sequencer.seek(2);
+        sequencer.removeTrack('gridDensity');
+        near(first.state.gridDensity, 10, 'add track removed');
+        near(second.state.gridDensity, 20, 'add track removed on the second target');
+
+        // Discrete values cannot be added to or scaled
+        const report = sandbox.VIB34DTimelineSequencer.validate({
+            tracks: { geometryType: { mode: 'add', keyframes: [{ time: 0, value: 'torus' }] } }
+        });
+        assert(!report.valid && report.errors.some(error => error.includes("only work with mode 'set'")),
+            `discrete add accepted: ${report.errors.join('; ')}`);
+    }
+
+    // Test 5: Reloading mid-playback keeps add/scale tracks on their original bases
+    async testReloadKeepsBases() {
+        const sandbox = createSandbox();
+        const core = createStubCore({ gridDensity: 10, rotationSpeed: 1 });
+        const timeline = {
+            duration: 4,
+            loop: true,
+            tracks: {
+                gridDensity: { mode: 'add', keyframes: [{ time: 0, value: 3 }] },
+                rotationSpeed: { mode: 'scale', keyframes: [{ time: 0, value: 2 }] }
+            }
+        };
+        const { sequencer } = this.createSequencer(sandbox, timeline, { targets: [core] });
+        sequencer.play();
+        sandbox.step(10, 50);
+        near(core.state.gridDensity, 13, 'add while playing');
+        near(core.state.rotationSpeed, 2, 'scale while playing');
+
+        // Every authoring call reloads; none may stack the offsets again
+        sequencer.setCue('marker', 1);
+        sequencer.setKeyframe('morphFactor', 0, 0.5);
+        sequencer.removeCue('marker');
+        sequencer.load(JSON.stringify(timeline));
+        sandbox.step(10, 50);
+        near(core.state.gridDensity, 13, 'add after reloading');
+        near(core.state.rotationSpeed, 2, 'scale after reloading');
+        assert(sequencer.isPlaying, 'reload stopped playback');
+
+        // Dropping the tracks and loading them again starts from the original values
+        sequencer.removeTrack('gridDensity').removeTrack('rotationSpeed');
+        near(core.state.gridDensity, 10, 'add track removed mid-playback');
+        near(core.state.rotationSpeed, 1, 'scale track removed mid-playback');
+        sequencer.load(timeline);
+        sandbox.step(1, 50);
+        near(core.state.gridDensity, 13, 'add after loading the tracks again');
+        near(core.state.rotationSpeed, 2, 'scale after loading the tracks again');
+        sequencer.dispose();
+    }
+
+    generateReport() {
+        const { total, passed, failed } = this.results.summary;
+        console.log('\n' + '='.repeat(50));
+        console.log('VIB34D TIMELINE SEQUENCER TEST RESULTS');
+        console.log('='.repeat(50));
+        console.log(`Total: ${total}  Passed: ${passed}  Failed: ${failed}`);
+        console.log('='.repeat(50));
+        return failed === 0;
+    }
+
+    async runAllTests() {
+        console.log('🚀 Starting VIB34D Timeline Sequencer Tests...');
+
+        await this.runTest('Cues across loop boundaries', () => this.testCuesAcrossLoops());
+        await this.runTest('Seek and scrub do not fire cues', () => this.testSeekDoesNotFireCues());
+        await this.runTest('Stagger per target', () => this.testStagger());
+        await this.runTest('Add and scale modes', () => this.testAddAndScaleModes());
+        await this.runTest('Reload keeps add/scale bases', () => this.testReloadKeepsBases());
+
+        if (!this.generateReport()) {
+            process.exit(1);
+        }
+    }
+}
+
+if (require.main === module) {
+    new VIB34DTimelineSequencerTest().runAllTests().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { VIB34DTimelineSequencerTest, createStubCore, createSandbox };
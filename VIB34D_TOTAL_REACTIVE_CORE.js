@@ -42,6 +42,22 @@ class VIB34DTotalReactiveEcosystem {
         // Cross-system coordination
         this.coordinator = new EcosystemCoordinator(this);
         
+        // A device performance profile ('limited', 'standard', 'high', 'extreme') picks
+        // targetFPS through the wearable adapter unless one was passed explicitly
+        if (config.performanceProfile && typeof this.wearableAdapter.optimizeForDevice === 'function') {
+            const optimized = this.wearableAdapter.optimizeForDevice(this.config, config.performanceProfile);
+            this.config = { ...optimized, targetFPS: config.targetFPS || optimized.targetFPS };
+        }
+        
+        // Steps every HypercubeCore on the page down (and back up) through quality
+        // tiers to hold targetFPS
+        this.qualityGovernor = this.config.adaptiveQuality && typeof AdaptiveQualityGovernor !== 'undefined'
+            ? new AdaptiveQualityGovernor({
+                targetFPS: this.config.targetFPS,
+                onTierChange: event => this.config.onQualityChange?.(event)
+            }).start()
+            : null;
+        
         console.log('🌌 VIB34D Total Reactive Ecosystem initialized');
         console.log(`🎯 Targeting: ${this.config.deviceType} at ${this.config.targetFPS}fps`);
     }
@@ -60,6 +76,22 @@ class VIB34DTotalReactiveEcosystem {
             aiInterface: this.aiInterface.getStatus()
         };
     }
+    
+    getPerformanceMetrics() {
+        return {
+            targetFPS: this.config.targetFPS,
+            adaptiveQuality: !!this.qualityGovernor,
+            quality: this.qualityGovernor ? this.qualityGovernor.getStatus() : null,
+            qualityChanges: this.qualityGovernor ? this.qualityGovernor.getHistory() : []
+        };
+    }
+    
+    // Feed optimizeForDevice()'s targetFPS here when the device changes at runtime
+    setTargetFPS(fps) {
+        this.config.targetFPS = fps;
+        this.qualityGovernor?.setTargetFPS(fps);
+        return this;
+    }
 }
 
 // ============================================================================
@@ -67,41 +99,32 @@ class VIB34DTotalReactiveEcosystem {
 // ============================================================================
 
 class ExpandedGeometryLibrary {
-    constructor() {
-        this.geometries = new Map();
+    constructor(options = {}) {
+        // Backed by the working core's shared geometry registry, so the editor and
+        // every HypercubeCore see the same set
+        this.manager = new GeometryManager(options);
+        this.geometries = this.manager.geometries;
         this.registerAllGeometries();
     }
     
     registerAllGeometries() {
-        // Original 8 geometries
-        this.register('hypercube', new HypercubeGeometry());
-        this.register('hypersphere', new HypersphereGeometry());
-        this.register('tetrahedron', new TetrahedronGeometry());
-        this.register('torus', new TorusGeometry());
-        this.register('klein', new KleinBottleGeometry());
-        this.register('fractal', new FractalGeometry());
-        this.register('wave', new WaveGeometry());
-        this.register('crystal', new CrystalGeometry());
+        // The original 8 plus tetrahedron, klein_bottle, calabi_yau, hyperbolic,
+        // quaternion_julia, voronoi_foam and chromatic_interference come from GeometryManager
         
         // NEW: Advanced geometries for total feedback
         this.register('hopf_fibration', new HopfFibrationGeometry());
         this.register('penrose_tiling', new PenroseTilingGeometry());
         this.register('navier_stokes', new NavierStokesGeometry());
-        this.register('calabi_yau', new CalabiYauGeometry());
-        this.register('hyperbolic', new HyperbolicGeometry());
-        this.register('quaternion_julia', new QuaternionJuliaGeometry());
-        this.register('voronoi_foam', new VoronoiFoamGeometry());
-        this.register('chromatic_interference', new ChromaticInterferenceGeometry());
         
-        console.log(`✨ Registered ${this.geometries.size} geometries`);
+        console.log(`✨ Registered ${this.manager.getGeometryTypes().length} geometries`);
     }
     
     register(name, geometry) {
-        this.geometries.set(name, geometry);
+        return this.manager.registerGeometry(name, geometry);
     }
     
     get(name) {
-        return this.geometries.get(name);
+        return this.geometries[resolveGeometryName(name)];
     }
     
     // AI Agent helper - get best geometry for intent
@@ -113,7 +136,7 @@ class ExpandedGeometryLibrary {
     // Get all available geometries with AI metadata
     getAIMetadata() {
         const metadata = {};
-        this.geometries.forEach((geometry, name) => {
+        Object.entries(this.geometries).forEach(([name, geometry]) => {
             metadata[name] = {
                 bestFor: geometry.getAIBestFor(),
                 complexity: geometry.getComplexityRating(),
@@ -139,9 +162,28 @@ class HopfFibrationGeometry extends BaseGeometry {
         };
     }
     
+    // Interaction uniforms default to 0 and are fed through updateParameters
+    getManifest() {
+        return {
+            name: 'hopf_fibration',
+            requiredUniforms: ['u_time', 'u_rotationSpeed'],
+            uniforms: {
+                u_fiberDensity: { type: 'float', min: 1.0, max: 100.0, step: 1.0, default: 20.0 },
+                u_fiberTwist: { type: 'float', min: 0.0, max: 10.0, step: 0.1, default: 2.0 },
+                u_scroll_primary: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 },
+                u_mouse_velocity: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 }
+            },
+            complexity: 3
+        };
+    }
+    
     getShaderCode() {
         return `
             // Hopf Fibration: S³→S² fiber bundle for natural sphere-to-circle projections
+            vec4 rotateS3(vec4 q, float angle) {
+                return rotXW(angle) * rotYZ(angle * 0.5) * q;
+            }
+            
             vec2 hopfProjection(vec4 s3_point) {
                 // Stereographic projection from S³ to R³, then to S²
                 float denom = 1.0 - s3_point.w;
@@ -205,9 +247,25 @@ class PenroseTilingGeometry extends BaseGeometry {
         };
     }
     
+    getManifest() {
+        return {
+            name: 'penrose_tiling',
+            requiredUniforms: ['u_time'],
+            uniforms: {
+                u_aperiodicScale: { type: 'float', min: 0.1, max: 10.0, step: 0.1, default: 2.0 },
+                u_emergenceThreshold: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.5 },
+                u_click_intensity: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 },
+                u_mouse_proximity: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 }
+            },
+            complexity: 2
+        };
+    }
+    
     getShaderCode() {
         return `
             // Penrose Tiling: Aperiodic crystalline structures for emergent UI
+            const float PI = 3.14159265;
+            
             vec2 worldToPenrose(vec2 worldPos) {
                 // Golden ratio transformations
                 float phi = 1.618033988749;
@@ -274,6 +332,23 @@ class NavierStokesGeometry extends BaseGeometry {
         };
     }
     
+    getManifest() {
+        return {
+            name: 'navier_stokes',
+            requiredUniforms: ['u_time'],
+            uniforms: {
+                u_flowSpeed: { type: 'float', min: 0.1, max: 5.0, step: 0.1, default: 1.0 },
+                u_flowTime: { type: 'float', min: 0.1, max: 2.0, step: 0.1, default: 0.5 },
+                u_viscosity: { type: 'float', min: 0.1, max: 5.0, step: 0.1, default: 1.0 },
+                u_turbulence: { type: 'float', min: 0.0, max: 2.0, step: 0.1, default: 0.3 },
+                u_gesture_magnitude: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 },
+                u_touch_pressure: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 },
+                u_click_frequency: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.0 }
+            },
+            complexity: 5
+        };
+    }
+    
     getShaderCode() {
         return `
             // Navier-Stokes Fluid Dynamics for liquid UI behavior
@@ -570,11 +645,143 @@ class ComprehensiveEventSystem {
 // ⚡ SYSTEMATIC RESPONSE ENGINE
 // ============================================================================
 
-class SystematicResponseEngine {
+// Response curve names → progress curves (t in [0, 1])
+const RESPONSE_CURVES = {
+    linear: EASING_CURVES.linear,
+    ease_out: EASING_CURVES.easeOutCubic,
+    ease_in_out: EASING_CURVES.easeInOutCubic,
+    exponential: t => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    custom_bezier: cubicBezierCurve(0.7, -0.3, 0.25, 1.3),
+    // Eased with a damped wobble that dies out by the end
+    organic: t => EASING_CURVES.easeInOutSine(t) + Math.sin(t * Math.PI * 3) * 0.06 * (1 - t)
+};
+
+// Micro and meso responses return to rest; macro responses move to a target and
+// leave it in place (see SystematicResponseEngine.macroTarget)
+const RESPONSE_MODES = { micro: 'pulse', meso: 'pulse', macro: 'to' };
+
+// What 'all_relational' animates
+const RELATIONAL_PARAMETERS = ['morphFactor', 'gridDensity', 'rotationSpeed', 'universeModifier', 'patternIntensity', 'colorShift'];
+
+// Semantic → [category, response]
+const SEMANTIC_RESPONSES = {
+    acknowledge: ['micro', 'color_pulse'],
+    focus: ['micro', 'edge_highlight'],
+    transform: ['meso', 'geometry_morph'],
+    activate: ['meso', 'emergence_cascade'],
+    evolve: ['macro', 'dimensional_transition'],
+    reorganize: ['macro', 'ecosystem_reorganization']
+};
+
+/**
+ * Scales a response's authored intensity by the caller's intensity and context,
+ * and turns it into a per-parameter amount.
+ */
+class ResponseIntensityProcessor {
+    constructor(options = {}) {
+        this.maxIntensity = options.maxIntensity ?? 2.5;
+        // Share of a parameter's range that intensity 1.0 moves it by
+        this.rangeShare = options.rangeShare ?? 0.25;
+    }
+    
+    process(response, intensity = 1, context = {}) {
+        let scaled = response.intensity * (Number.isFinite(intensity) ? intensity : 1);
+        if (context.reducedMotion) scaled *= 0.25;
+        if (response.requires === 'high_performance' && context.lowPerformance) scaled *= 0.5;
+        return Math.min(this.maxIntensity, Math.max(0, scaled));
+    }
+    
+    // Ranged parameters move by a share of their range, others relative to their size
+    amountFor(core, key, scaledIntensity) {
+        const path = core.parameterResolver.resolveKey(key, core.state);
+        if (!path) return null;
+        const range = core.parameterResolver.ranges[path];
+        const [root, child] = path.split('.');
+        const current = child === undefined ? core.state[root] : core.state[root][child];
+        if (Array.isArray(current)) return current.map(() => scaledIntensity * this.rangeShare);
+        const span = range ? range.max - range.min : Math.max(Math.abs(current), 1);
+        return scaledIntensity * this.rangeShare * span;
+    }
+}
+
+/**
+ * Runs responses one after another. Steps are functions returning a tween
+ * handle (or null to skip); the chain handle cancels the running step and
+ * everything after it.
+ */
+class ResponseChainManager {
     constructor() {
+        this.activeChains = new Set();
+    }
+    
+    /**
+     * @param {Array<function(): ?{finished: Promise<boolean>, cancel: function(): void}>} steps
+     * @returns {{finished: Promise<boolean>, cancel: function(): void}} finished is false if any step was
+     *          cancelled and rejects if a step throws
+     */
+    run(steps) {
+        const chain = { current: null, cancelled: false };
+        this.activeChains.add(chain);
+        const finished = (async () => {
+            let completed = true;
+            try {
+                for (const step of steps) {
+                    if (chain.cancelled) break;
+                    chain.current = step();
+                    if (chain.current) completed = (await chain.current.finished) && completed;
+                }
+            } finally {
+                this.activeChains.delete(chain);
+            }
+            return completed && !chain.cancelled;
+        })();
+        return {
+            finished,
+            cancel: () => {
+                chain.cancelled = true;
+                chain.current?.cancel();
+            }
+        };
+    }
+    
+    cancelAll() {
+        [...this.activeChains].forEach(chain => {
+            chain.cancelled = true;
+            chain.current?.cancel();
+        });
+    }
+}
+
+class SystematicResponseEngine {
+    /**
+     * @param {Object} [options]
+     * @param {HypercubeCore[]} [options.targets] - Cores responses animate by default
+     *        (every live HypercubeCore while none are registered)
+     * @param {ParameterTweenEngine} [options.tweenEngine] - Share one engine between systems
+     */
+    constructor(options = {}) {
         this.responseCategories = this.setupResponseCategories();
+        this.tweenEngine = options.tweenEngine || new ParameterTweenEngine();
+        this.targets = new Set(options.targets || []);
         this.responseChains = new ResponseChainManager();
-        this.intensityProcessor = new ResponseIntensityProcessor();
+        this.intensityProcessor = new ResponseIntensityProcessor(options.intensity);
+        // core → Map(path → { home, side }) for macro responses
+        this.macroAnchors = new WeakMap();
+    }
+    
+    addTarget(core) {
+        this.targets.add(core);
+    }
+    
+    removeTarget(core) {
+        this.targets.delete(core);
+        this.tweenEngine.cancelAll(core);
+        this.macroAnchors.delete(core);
+    }
+    
+    getTargets() {
+        if (this.targets.size > 0) return [...this.targets];
+        return typeof HypercubeCore !== 'undefined' ? HypercubeCore.getLiveCores() : [];
     }
     
     setupResponseCategories() {
@@ -582,14 +789,15 @@ class SystematicResponseEngine {
             // Micro responses (0-100ms)
             micro: {
                 'color_pulse': {
-                    parameters: ['u_colorShift', 'u_saturationBoost'],
+                    parameters: ['u_colorShift', 'u_patternIntensity'],
                     duration: 50,
                     curve: 'ease_out',
                     intensity: 0.3,
                     aiTrigger: 'immediate_feedback'
                 },
                 'edge_highlight': {
-                    parameters: ['u_lineThickness', 'u_edgeOpacity'],
+                    // Whichever edge width the current geometry draws with
+                    parameters: ['u_lineThickness', 'u_shellWidth', 'u_tetraThickness'],
                     duration: 80,
                     curve: 'linear',
                     intensity: 0.5,
@@ -600,14 +808,16 @@ class SystematicResponseEngine {
             // Meso responses (100ms-1s)
             meso: {
                 'geometry_morph': {
-                    parameters: ['u_dimension', 'u_morphFactor', 'u_scaleFactor'],
+                    // Lattice scale is its grid density
+                    parameters: ['u_dimension', 'u_morphFactor', 'u_gridDensity'],
                     duration: 300,
                     curve: 'ease_in_out',
                     intensity: 0.8,
                     aiTrigger: 'state_transition'
                 },
                 'emergence_cascade': {
-                    parameters: ['u_emergenceThreshold', 'u_emergenceSpeed'],
+                    // Emergence threshold and speed are the lattice contrast and spin rate
+                    parameters: ['u_universeModifier', 'u_rotationSpeed', 'u_patternIntensity'],
                     duration: 500,
                     curve: 'exponential',
                     intensity: 1.0,
@@ -619,7 +829,8 @@ class SystematicResponseEngine {
             // Macro responses (1s+)
             macro: {
                 'dimensional_transition': {
-                    parameters: ['u_dimension', 'u_compactification', 'u_quaternionRotation'],
+                    // XY has no default spin, so going out and back along it returns to the same pose
+                    parameters: ['u_dimension', 'u_universeModifier', 'u_rot4DXY'],
                     duration: 2000,
                     curve: 'custom_bezier',
                     intensity: 1.5,
@@ -641,20 +852,77 @@ class SystematicResponseEngine {
     // AI Agent interface - trigger response by semantic meaning
     triggerSemanticResponse(semantic, intensity, context) {
         const response = this.mapSemanticToResponse(semantic, intensity, context);
-        return this.executeResponse(response);
+        if (!response) throw new Error(`Unknown semantic response '${semantic}'`);
+        return this.executeResponse(response, intensity, context);
+    }
+    
+    // Run several semantic responses back to back ('acknowledge' then 'transform'...)
+    chainSemanticResponses(semantics, intensity, context) {
+        // Throw before anything moves rather than halfway through the chain
+        const unknown = semantics.find(semantic => !this.getCategoryForSemantic(semantic));
+        if (unknown !== undefined) throw new Error(`Unknown semantic response '${unknown}'`);
+        return this.responseChains.run(semantics.map(semantic => () => this.triggerSemanticResponse(semantic, intensity, context)));
     }
     
     mapSemanticToResponse(semantic, intensity, context) {
-        const semanticMap = {
-            'acknowledge': 'color_pulse',
-            'focus': 'edge_highlight', 
-            'transform': 'geometry_morph',
-            'activate': 'emergence_cascade',
-            'evolve': 'dimensional_transition',
-            'reorganize': 'ecosystem_reorganization'
-        };
+        const category = this.getCategoryForSemantic(semantic);
+        if (!category) return null;
+        const name = SEMANTIC_RESPONSES[semantic][1];
+        return { name, category, ...this.responseCategories[category][name] };
+    }
+    
+    getCategoryForSemantic(semantic) {
+        return SEMANTIC_RESPONSES[semantic]?.[0] || null;
+    }
+    
+    /**
+     * Animate a response on every target (or context.target / context.targets).
+     * Parameters a core doesn't have are skipped and listed on the handle.
+     * @returns {{paths: string[], skipped: string[], finished: Promise<boolean>, cancel: function(): void}}
+     */
+    executeResponse(response, intensity = 1, context = {}) {
+        const targets = context.targets || (context.target ? [context.target] : this.getTargets());
+        const scaled = this.intensityProcessor.process(response, intensity, context);
+        const keys = response.parameters === 'all_relational' ? RELATIONAL_PARAMETERS : response.parameters;
+        const curve = RESPONSE_CURVES[response.curve] || RESPONSE_CURVES.linear;
+        const mode = RESPONSE_MODES[response.category] || 'pulse';
         
-        return this.responseCategories[this.getCategoryForSemantic(semantic)][semanticMap[semantic]];
+        const handles = targets.filter(core => !core.isDisposed).map(core => {
+            const parameters = {};
+            const skipped = [];
+            keys.forEach(key => {
+                const amount = this.intensityProcessor.amountFor(core, key, scaled);
+                if (amount === null) skipped.push(key);
+                else parameters[key] = mode === 'to' ? this.macroTarget(core, key, amount) : amount;
+            });
+            const handle = this.tweenEngine.animate(core, { parameters, duration: response.duration, curve, mode });
+            handle.skipped.push(...skipped);
+            return handle;
+        });
+        return ParameterTweenEngine.combine(handles);
+    }
+    
+    // Macro responses alternate between moving a parameter away from where the
+    // first one found it and bringing it back, so repeating them can't walk it
+    // off to the end of its range
+    macroTarget(core, key, amount) {
+        const path = core.parameterResolver.resolveKey(key, core.state);
+        if (!this.macroAnchors.has(core)) this.macroAnchors.set(core, new Map());
+        const anchors = this.macroAnchors.get(core);
+        if (!anchors.has(path)) {
+            const [root, child] = path.split('.');
+            const home = child === undefined ? core.state[root] : core.state[root][child];
+            anchors.set(path, { home: Array.isArray(home) ? home.slice() : home, away: false });
+        }
+        const anchor = anchors.get(path);
+        anchor.away = !anchor.away;
+        if (!anchor.away) return anchor.home;
+        if (Array.isArray(anchor.home)) return anchor.home.map((value, i) => value + amount[i]);
+        // Head for whichever end of the range has room
+        const range = core.parameterResolver.ranges[path];
+        if (!range) return anchor.home + amount;
+        const target = anchor.home + amount <= range.max ? anchor.home + amount : anchor.home - amount;
+        return Math.min(range.max, Math.max(range.min, target));
     }
 }
 
@@ -762,6 +1030,8 @@ if (typeof module !== 'undefined' && module.exports) {
         MassiveParameterSystem,
         ComprehensiveEventSystem,
         SystematicResponseEngine,
+        ResponseChainManager,
+        ResponseIntensityProcessor,
         MultiLayerFeedbackSystem,
         AIAgentInterface
     };
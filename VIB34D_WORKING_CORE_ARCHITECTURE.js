@@ -16,13 +16,41 @@ class BaseGeometry {
     getShaderCode() { 
         throw new Error(`getShaderCode() must be implemented.`); 
     } 
+    /**
+     * Plugin manifest. Override to declare extra uniforms; HypercubeCore
+     * declares them in the shader and uploads them automatically.
+     * @returns {{name: ?string, requiredUniforms: string[],
+     *            uniforms: Object<string, {type: string, min?: number, max?: number, default: *, quality?: string}>,
+     *            complexity: number, rotationScale: number}} complexity runs 1 (cheap) to 5 (heavy). A uniform with
+     *            quality: 'iterations' is capped by the core's maxIterations quality limit. rotationScale
+     *            multiplies the core's 4D plane velocities while this geometry is shown.
+     */
+    getManifest() { 
+        return { name: null, requiredUniforms: [], uniforms: {}, complexity: 2, rotationScale: 1 }; 
+    } 
+    /**
+     * Editor slider ranges: the shared lattice parameters plus every scalar
+     * manifest uniform under its short name ('u_tetraScale' → 'tetraScale').
+     * @returns {Object<string, {min: number, max: number, step?: number, default: number}>}
+     */
+    getParameterRanges() { 
+        const ranges = {}; 
+        ['gridDensity', 'morphFactor', 'universeModifier', 'patternIntensity'].forEach(key => { 
+            ranges[key] = { ...PARAMETER_RANGES[key], default: DEFAULT_STATE[key] }; 
+        }); 
+        Object.entries(this.getManifest().uniforms || {}).forEach(([name, spec]) => { 
+            if (spec.type !== 'float' && spec.type !== 'int') return; 
+            ranges[name.slice(2)] = { min: spec.min, max: spec.max, step: spec.step, default: spec.default }; 
+        }); 
+        return ranges; 
+    } 
 }
 
 class HypercubeGeometry extends BaseGeometry {
     getShaderCode() {
         return `
             // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_lineThickness
-            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotation4D
             float calculateLattice(vec3 p) {
                 float dynamicGridDensity = max(0.1, u_gridDensity * (1.0 + u_audioBass * 0.7));
                 float dynamicLineThickness = max(0.002, u_lineThickness * (1.0 - u_audioMid * 0.6));
@@ -41,12 +69,11 @@ class HypercubeGeometry extends BaseGeometry {
                                   * dim_factor * (0.4 + u_morphFactor * 0.6 + u_audioHigh * 0.6);
 
                     vec4 p4d = vec4(p, w_coord);
-                    float baseSpeed = u_rotationSpeed * 1.0;
-                    float time_rot1 = u_time * 0.33 * baseSpeed + u_audioHigh * 0.25 + u_morphFactor * 0.45;
-                    float time_rot2 = u_time * 0.28 * baseSpeed - u_audioMid * 0.28;
-                    float time_rot3 = u_time * 0.25 * baseSpeed + u_audioBass * 0.35;
-                    p4d = rotXW(time_rot1) * rotYZ(time_rot2 * 1.1) * rotZW(time_rot3 * 0.9) * p4d;
-                    p4d = rotYW(u_time * -0.22 * baseSpeed + u_morphFactor * 0.3) * p4d;
+                    float react_rot1 = u_audioHigh * 0.25 + u_morphFactor * 0.45;
+                    float react_rot2 = -u_audioMid * 0.28;
+                    float react_rot3 = u_audioBass * 0.35;
+                    p4d = rotXW(react_rot1) * rotYZ(react_rot2 * 1.1) * rotZW(react_rot3 * 0.9) * p4d;
+                    p4d = u_rotation4D * rotYW(u_morphFactor * 0.3) * p4d;
 
                     vec3 projectedP = project4Dto3D(p4d);
                     vec3 p_grid4D_proj = fract(projectedP * dynamicGridDensity * 0.5 + u_time * 0.015);
@@ -62,10 +89,14 @@ class HypercubeGeometry extends BaseGeometry {
 }
 
 class HypersphereGeometry extends BaseGeometry {
+    getManifest() {
+        return { ...super.getManifest(), rotationScale: 0.85 };
+    }
+
     getShaderCode() {
         return `
             // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_shellWidth
-            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotation4D, u_rotationSpeed
             float calculateLattice(vec3 p) {
                 float radius3D = length(p);
                 float densityFactor = max(0.1, u_gridDensity * 0.7 * (1.0 + u_audioBass * 0.5));
@@ -83,11 +114,10 @@ class HypersphereGeometry extends BaseGeometry {
                                   * dim_factor * (0.5 + u_morphFactor * 0.5 + u_audioMid * 0.5);
 
                     vec4 p4d = vec4(p, w_coord);
-                    float baseSpeed = u_rotationSpeed * 0.85;
-                    float time_rot1 = u_time * 0.38 * baseSpeed + u_audioHigh * 0.2;
-                    float time_rot2 = u_time * 0.31 * baseSpeed + u_morphFactor * 0.6;
-                    float time_rot3 = u_time * -0.24 * baseSpeed + u_audioBass * 0.25;
-                    p4d = rotXW(time_rot1 * 1.05) * rotYZ(time_rot2) * rotYW(time_rot3 * 0.95) * p4d;
+                    float react_rot1 = u_audioHigh * 0.2;
+                    float react_rot2 = u_morphFactor * 0.6;
+                    float react_rot3 = u_audioBass * 0.25;
+                    p4d = u_rotation4D * rotXW(react_rot1 * 1.05) * rotYZ(react_rot2) * rotYW(react_rot3 * 0.95) * p4d;
 
                     vec3 projectedP = project4Dto3D(p4d);
                     float radius4D_proj = length(projectedP);
@@ -103,10 +133,14 @@ class HypersphereGeometry extends BaseGeometry {
 }
 
 class HypertetrahedronGeometry extends BaseGeometry {
+    getManifest() {
+        return { ...super.getManifest(), rotationScale: 1.15 };
+    }
+
     getShaderCode() {
         return `
             // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_tetraThickness
-            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotation4D
             float calculateLattice(vec3 p) {
                 float density = max(0.1, u_gridDensity * 0.65 * (1.0 + u_audioBass * 0.4));
                 float dynamicThickness = max(0.003, u_tetraThickness * (1.0 - u_audioMid * 0.7));
@@ -123,11 +157,10 @@ class HypertetrahedronGeometry extends BaseGeometry {
                 if (dim_factor > 0.01) {
                     float w_coord = cos(p.x*1.8 - p.y*1.5 + p.z*1.2 + u_time*0.24) * sin(length(p)*1.4 + u_time*0.18 - u_audioMid*2.0) * dim_factor * (0.45 + u_morphFactor*0.55 + u_audioHigh*0.4);
                     vec4 p4d = vec4(p, w_coord);
-                    float baseSpeed = u_rotationSpeed * 1.15;
-                    float time_rot1 = u_time*0.28*baseSpeed + u_audioHigh*0.25; 
-                    float time_rot2 = u_time*0.36*baseSpeed - u_audioBass*0.2 + u_morphFactor*0.4; 
-                    float time_rot3 = u_time*0.32*baseSpeed + u_audioMid*0.15;
-                    p4d = rotXW(time_rot1*0.95) * rotYW(time_rot2*1.05) * rotZW(time_rot3) * p4d;
+                    float react_rot1 = u_audioHigh*0.25; 
+                    float react_rot2 = -u_audioBass*0.2 + u_morphFactor*0.4; 
+                    float react_rot3 = u_audioMid*0.15;
+                    p4d = u_rotation4D * rotXW(react_rot1*0.95) * rotYW(react_rot2*1.05) * rotZW(react_rot3) * p4d;
                     vec3 projectedP = project4Dto3D(p4d);
 
                     vec3 p_mod4D_proj = fract(projectedP * density * 0.5 + 0.5 + u_time * 0.008) - 0.5;
@@ -175,13 +208,25 @@ class KleinGeometry extends BaseGeometry {
 }
 
 class FractalGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'fractal',
+            requiredUniforms: ['u_gridDensity'],
+            uniforms: {
+                u_fractalIterations: { type: 'int', min: 1, max: 8, step: 1, default: 4, quality: 'iterations' }
+            },
+            complexity: 3
+        };
+    }
+
     getShaderCode() {
         return `
             float calculateLattice(vec3 p) {
                 vec3 q = p * u_gridDensity;
                 float scale = 1.0;
                 float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
+                for(int i = 0; i < 8; i++) {
+                    if (i >= u_fractalIterations) break;
                     q = fract(q) - 0.5;
                     fractal += abs(length(q)) / scale;
                     scale *= 2.0;
@@ -218,484 +263,2734 @@ class CrystalGeometry extends BaseGeometry {
 }
 
 // ============================================================================
-// 🎯 GEOMETRY MANAGER (WORKING IMPLEMENTATION)
+// 🌀 ADVANCED GEOMETRIES (SHARED WITH THE TOTAL REACTIVE ECOSYSTEM)
 // ============================================================================
 
-class GeometryManager {
-    constructor(options = {}) { 
-        this.options = { defaultGeometry: 'hypercube', ...options }; 
-        this.geometries = {}; 
-        this._initGeometries(); 
-    }
-    
-    _initGeometries() { 
-        this.registerGeometry('hypercube', new HypercubeGeometry()); 
-        this.registerGeometry('hypersphere', new HypersphereGeometry()); 
-        this.registerGeometry('hypertetrahedron', new HypertetrahedronGeometry());
-        this.registerGeometry('torus', new TorusGeometry());
-        this.registerGeometry('klein', new KleinGeometry());
-        this.registerGeometry('fractal', new FractalGeometry());
-        this.registerGeometry('wave', new WaveGeometry());
-        this.registerGeometry('crystal', new CrystalGeometry());
-    }
-    
-    registerGeometry(name, instance) { 
-        const lowerCaseName = name.toLowerCase(); 
-        if (!(instance instanceof BaseGeometry)) { 
-            console.error(`Invalid geometry object for '${lowerCaseName}'.`); 
-            return; 
-        } 
-        this.geometries[lowerCaseName] = instance; 
-        console.log(`📐 Registered geometry: ${lowerCaseName}`);
-    }
-    
-    getGeometry(name) { 
-        const lowerCaseName = name ? name.toLowerCase() : this.options.defaultGeometry; 
-        const geometry = this.geometries[lowerCaseName]; 
-        if (!geometry) { 
-            console.warn(`Geometry '${name}' not found. Using default.`); 
-            return this.geometries[this.options.defaultGeometry.toLowerCase()]; 
-        } 
-        return geometry; 
-    }
-    
-    getGeometryTypes() { 
-        return Object.keys(this.geometries); 
+class TetrahedronGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'tetrahedron',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_tetraThickness',
+                'u_universeModifier', 'u_audioBass', 'u_audioMid', 'u_audioHigh', 'u_rotation4D'],
+            uniforms: { u_tetraScale: { type: 'float', min: 0.2, max: 1.0, step: 0.01, default: 0.8 } },
+            complexity: 2
+        };
     }
-}
 
-// ============================================================================
-// 📐 BASE PROJECTION CLASSES (WORKING IMPLEMENTATIONS)
-// ============================================================================
+    getShaderCode() {
+        return `
+            // Edge skeleton of a regular tetrahedron repeated through space
+            float tetraSegment(vec3 p, vec3 a, vec3 b) {
+                vec3 pa = p - a, ba = b - a;
+                float h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
+                return length(pa - ba * h);
+            }
+            float tetraEdges(vec3 p) {
+                vec3 q = fract(p) - 0.5;
+                float s = 0.25 * u_tetraScale;
+                vec3 a = vec3(s, s, s), b = vec3(-s, -s, s), c = vec3(-s, s, -s), d = vec3(s, -s, -s);
+                float e = min(min(tetraSegment(q, a, b), tetraSegment(q, a, c)), min(tetraSegment(q, a, d), tetraSegment(q, b, c)));
+                return min(e, min(tetraSegment(q, b, d), tetraSegment(q, c, d)));
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.5 * (1.0 + u_audioBass * 0.4));
+                float thickness = max(0.003, u_tetraThickness * (1.0 - u_audioMid * 0.5));
+                float lattice3D = 1.0 - smoothstep(0.0, thickness, tetraEdges(p * density + u_time * 0.01));
 
-class BaseProjection { 
-    constructor() {} 
-    getShaderCode() { 
-        throw new Error(`getShaderCode() must be implemented.`); 
-    } 
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                if (dim_factor > 0.01) {
+                    float w_coord = sin(dot(p, vec3(1.3, -0.9, 1.1)) + u_time * 0.2)
+                                  * dim_factor * (0.5 + u_morphFactor * 0.5 + u_audioHigh * 0.4);
+                    vec4 p4d = u_rotation4D * rotXW(u_audioHigh * 0.2) * vec4(p, w_coord);
+                    vec3 projectedP = project4Dto3D(p4d);
+                    float lattice4D = 1.0 - smoothstep(0.0, thickness, tetraEdges(projectedP * density + u_time * 0.012));
+                    finalLattice = mix(lattice3D, lattice4D, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
 }
 
-class PerspectiveProjection extends BaseProjection {
-    constructor(viewDistance = 2.5) { 
-        super(); 
-        this.viewDistance = Math.max(0.1, viewDistance); 
+/**
+ * The Klein bottle embedded in R⁴ without self-intersection: a tube around the
+ * XY circle whose cross-section half-turns from Z into W once per loop. The sample
+ * point is turned into the bottle's frame (`p * u_rotation4D` is the inverse
+ * rotation) and measured against that tube directly.
+ */
+class KleinBottleGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'klein_bottle',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_shellWidth',
+                'u_universeModifier', 'u_audioBass', 'u_audioMid', 'u_rotation4D'],
+            uniforms: {
+                u_bottleRadius: { type: 'float', min: 0.05, max: 0.6, step: 0.01, default: 0.3 },
+                u_bottleRing: { type: 'float', min: 0.3, max: 1.5, step: 0.01, default: 0.8 }
+            },
+            complexity: 2
+        };
     }
-    
-    getShaderCode() { 
-        return `vec3 project4Dto3D(vec4 p) { 
-            float baseDistance = ${this.viewDistance.toFixed(2)}; 
-            float dynamicDistance = max(0.2, baseDistance * (1.0 + u_morphFactor * 0.4 - u_audioMid * 0.35)); 
-            float denominator = dynamicDistance + p.w; 
-            float w_factor = dynamicDistance / max(0.1, denominator); 
-            return p.xyz * w_factor; 
-        }`; 
+
+    getShaderCode() {
+        return `
+            float calculateLattice(vec3 p) {
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                float w_coord = sin(length(p) * 2.0 - u_time * 0.3) * dim_factor * (0.3 + u_morphFactor * 0.4);
+                vec4 q = vec4(p, w_coord) * u_rotation4D;
+
+                float u = atan(q.y, q.x);
+                float ringOffset = length(q.xy) - u_bottleRing;
+                float c = cos(u * 0.5), s = sin(u * 0.5);
+                vec2 section = vec2(ringOffset, c * q.z + s * q.w);
+                float outOfPlane = -s * q.z + c * q.w;
+                float tubeRadius = u_bottleRadius * (1.0 + u_audioBass * 0.3);
+                float dist = length(vec2(length(section) - tubeRadius, outOfPlane));
+
+                float width = max(0.005, u_shellWidth * (1.0 + u_audioMid));
+                float shell = 1.0 - smoothstep(0.0, width * 2.0, dist);
+
+                // Parameter lines along the loop (u) and around the tube (v)
+                float v = atan(section.y, section.x);
+                float density = max(1.0, floor(u_gridDensity * 0.5));
+                float lineU = abs(fract(u * density / 6.28318 + u_time * 0.02) - 0.5);
+                float lineV = abs(fract(v * density / 6.28318) - 0.5);
+                float lines = smoothstep(0.42, 0.5, max(lineU, lineV));
+                float finalLattice = shell * mix(0.35, 1.0, lines);
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
     }
 }
 
-class OrthographicProjection extends BaseProjection {
-    getShaderCode() { 
-        return `vec3 project4Dto3D(vec4 p) { 
-            vec3 orthoP = p.xyz; 
-            float basePerspectiveDistance = 2.5; 
-            float dynamicPerspectiveDistance = max(0.2, basePerspectiveDistance * (1.0 - u_audioMid * 0.4)); 
-            float perspDenominator = dynamicPerspectiveDistance + p.w; 
-            float persp_w_factor = dynamicPerspectiveDistance / max(0.1, perspDenominator); 
-            vec3 perspP = p.xyz * persp_w_factor; 
-            float morphT = smoothstep(0.0, 1.0, u_morphFactor); 
-            return mix(orthoP, perspP, morphT); 
-        }`; 
+/**
+ * A Calabi-Yau style slice: the Fermat surface z₁ⁿ + z₂ⁿ = 1 with the lifted 4D
+ * point read as two complex numbers. Distance is the first-order estimate
+ * |f| / |∇f|, so the shell keeps an even width across the surface.
+ */
+class CalabiYauGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'calabi_yau',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_shellWidth',
+                'u_universeModifier', 'u_audioMid', 'u_audioHigh', 'u_rotation4D'],
+            uniforms: {
+                u_calabiDegree: { type: 'float', min: 2.0, max: 7.0, step: 1.0, default: 5.0 },
+                u_calabiPhase: { type: 'float', min: 0.0, max: 6.28318, step: 0.01, default: 0.0 }
+            },
+            complexity: 3
+        };
+    }
+
+    getShaderCode() {
+        return `
+            vec2 calabiPow(vec2 z, float n) {
+                float r = length(z);
+                if (r < 0.00001) return vec2(0.0);
+                float a = atan(z.y, z.x) * n;
+                return pow(r, n) * vec2(cos(a), sin(a));
+            }
+            float calculateLattice(vec3 p) {
+                float scale = 0.6 + u_gridDensity * 0.05;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                float w_coord = cos(length(p) * 1.7 - u_time * 0.25) * (0.2 + dim_factor * (0.4 + u_morphFactor * 0.4));
+                vec4 q = u_rotation4D * vec4(p * scale, w_coord);
+
+                float n = floor(u_calabiDegree + 0.5);
+                float phase = u_calabiPhase + u_time * 0.1 + u_audioHigh * 0.5;
+                vec2 z1 = vec2(q.x * cos(phase) - q.y * sin(phase), q.x * sin(phase) + q.y * cos(phase));
+                vec2 z2 = q.zw;
+                vec2 f = calabiPow(z1, n) + calabiPow(z2, n) - vec2(1.0, 0.0);
+                float gradient = n * (pow(length(z1), n - 1.0) + pow(length(z2), n - 1.0));
+                float dist = length(f) / max(gradient, 0.001);
+
+                float width = max(0.004, u_shellWidth * (1.0 + u_audioMid * 1.2));
+                float shell = 1.0 - smoothstep(0.0, width, dist);
+                // Faint contour bands of |f| show the surface's neighbouring level sets
+                float bands = 0.5 + 0.5 * cos(length(f) * 12.0 - u_time);
+                float finalLattice = max(shell, bands * 0.15 * smoothstep(0.0, 1.0, u_morphFactor));
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
     }
 }
 
-class StereographicProjection extends BaseProjection {
-    constructor(projectionPoleW = -1.5) { 
-        super(); 
-        this.baseProjectionPoleW = Math.abs(projectionPoleW) < 0.01 ? -1.0 : projectionPoleW; 
+/**
+ * Hyperbolic space: the sample point is squeezed into the Poincaré ball, carried
+ * to the upper half-space by inversion, and tiled with the binary tiling, whose
+ * cells halve in size with every level. Cells are equal size in the hyperbolic
+ * metric, so they crowd towards the ideal boundary.
+ */
+class HyperbolicGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'hyperbolic',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_lineThickness',
+                'u_universeModifier', 'u_rotationSpeed', 'u_audioBass', 'u_audioMid', 'u_rotation4D'],
+            uniforms: { u_horoScale: { type: 'float', min: 0.25, max: 4.0, step: 0.05, default: 1.0 } },
+            complexity: 2
+        };
     }
-    
-    getShaderCode() { 
-        return `vec3 project4Dto3D(vec4 p) { 
-            float basePoleW = ${this.baseProjectionPoleW.toFixed(2)}; 
-            float dynamicPoleW = sign(basePoleW) * max(0.1, abs(basePoleW + u_audioHigh * 0.4 * sign(basePoleW))); 
-            float denominator = p.w - dynamicPoleW; 
-            vec3 projectedP; 
-            float epsilon = 0.001; 
-            if (abs(denominator) < epsilon) { 
-                projectedP = normalize(p.xyz + vec3(epsilon)) * 1000.0; 
-            } else { 
-                float scale = (-dynamicPoleW) / denominator; 
-                projectedP = p.xyz * scale; 
-            } 
-            float morphT = smoothstep(0.0, 1.0, u_morphFactor * 0.8); 
-            vec3 orthoP = p.xyz; 
-            return mix(projectedP, orthoP, morphT); 
-        }`; 
+
+    getShaderCode() {
+        return `
+            float hyperbolicCells(vec3 p) {
+                vec3 ball = p / (1.0 + length(p));
+                vec3 pole = vec3(0.0, 0.0, -1.0);
+                vec3 toPole = ball - pole;
+                vec3 h = pole + 2.0 * toPole / max(dot(toPole, toPole), 0.0001);
+
+                float level = log2(max(h.z, 0.0001) * u_horoScale) + u_time * 0.05 * u_rotationSpeed;
+                float cellSize = exp2(floor(level));
+                vec3 cell = vec3(fract(h.xy / cellSize), fract(level));
+                vec3 edge = min(cell, 1.0 - cell);
+                return min(edge.x, min(edge.y, edge.z));
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.15 * (1.0 + u_audioBass * 0.3));
+                float thickness = max(0.005, u_lineThickness * 1.5 * (1.0 - u_audioMid * 0.5));
+                float lattice3D = 1.0 - smoothstep(0.0, thickness, hyperbolicCells(p * density));
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                if (dim_factor > 0.01) {
+                    float w_coord = sin(p.x * 1.1 + p.z * 0.8 - u_time * 0.2) * dim_factor * (0.4 + u_morphFactor * 0.6);
+                    vec3 projectedP = project4Dto3D(u_rotation4D * vec4(p, w_coord));
+                    float lattice4D = 1.0 - smoothstep(0.0, thickness, hyperbolicCells(projectedP * density));
+                    finalLattice = mix(lattice3D, lattice4D, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
     }
 }
 
-// ============================================================================
-// 📐 PROJECTION MANAGER (WORKING IMPLEMENTATION)
-// ============================================================================
+/**
+ * Quaternion Julia set q ← q² + c, drawn with the usual distance estimate
+ * 0.5·|q|·log|q| / |q'|. The lifted sample point is a quaternion whose W part
+ * is u_juliaSlice plus the animated 4D lift.
+ */
+class QuaternionJuliaGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'quaternion_julia',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_shellWidth',
+                'u_universeModifier', 'u_audioBass', 'u_audioHigh', 'u_rotation4D'],
+            uniforms: {
+                u_juliaC: { type: 'vec4', default: [-0.2, 0.6, 0.2, 0.0] },
+                u_juliaSlice: { type: 'float', min: -1.0, max: 1.0, step: 0.01, default: 0.0 }
+            },
+            complexity: 4
+        };
+    }
 
-class ProjectionManager {
-    constructor(options = {}) { 
-        this.options = { defaultProjection: 'perspective', ...options }; 
-        this.projections = {}; 
-        this._initProjections(); 
+    getShaderCode() {
+        return `
+            float juliaDistance(vec4 z, vec4 c) {
+                float dz2 = 1.0;
+                float z2 = dot(z, z);
+                for (int i = 0; i < 10; i++) {
+                    dz2 *= 4.0 * z2;
+                    z = vec4(z.x * z.x - dot(z.yzw, z.yzw), 2.0 * z.x * z.yzw) + c;
+                    z2 = dot(z, z);
+                    if (z2 > 16.0) break;
+                }
+                return 0.25 * sqrt(z2 / dz2) * log(max(z2, 1.0001));
+            }
+            float calculateLattice(vec3 p) {
+                float zoom = 0.8 + u_gridDensity * 0.06;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                float w_coord = u_juliaSlice + sin(u_time * 0.15) * dim_factor * (0.2 + u_morphFactor * 0.3);
+                vec4 z = u_rotation4D * vec4(p * zoom, w_coord);
+                vec4 c = u_juliaC + vec4(u_audioBass * 0.08, u_audioHigh * 0.05, 0.0, 0.0);
+
+                float dist = juliaDistance(z, c) / zoom;
+                float width = max(0.004, u_shellWidth * (1.0 + u_morphFactor));
+                float surface = 1.0 - smoothstep(0.0, width, dist);
+                float glow = exp(-dist * 12.0) * 0.25;
+                return pow(max(0.0, max(surface, glow)), max(0.1, u_universeModifier));
+            }
+        `;
     }
-    
-    _initProjections() { 
-        this.registerProjection('perspective', new PerspectiveProjection()); 
-        this.registerProjection('orthographic', new OrthographicProjection()); 
-        this.registerProjection('stereographic', new StereographicProjection()); 
+}
+
+/**
+ * Foam from 3D Voronoi cells: walls sit where the nearest and second-nearest
+ * seeds are almost equidistant (F2 - F1 ≈ 0). Seeds drift on small orbits.
+ */
+class VoronoiFoamGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'voronoi_foam',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_lineThickness',
+                'u_universeModifier', 'u_audioBass', 'u_audioMid', 'u_rotation4D'],
+            uniforms: { u_foamJitter: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.8 } },
+            complexity: 3
+        };
     }
-    
-    registerProjection(name, instance) { 
-        const lowerCaseName = name.toLowerCase(); 
-        if (!(instance instanceof BaseProjection)) { 
-            console.error(`Invalid projection object for '${lowerCaseName}'.`); 
-            return; 
-        } 
-        this.projections[lowerCaseName] = instance; 
-        console.log(`📐 Registered projection: ${lowerCaseName}`);
+
+    getShaderCode() {
+        return `
+            vec3 foamHash(vec3 cell) {
+                vec3 h = vec3(dot(cell, vec3(127.1, 311.7, 74.7)), dot(cell, vec3(269.5, 183.3, 246.1)), dot(cell, vec3(113.5, 271.9, 124.6)));
+                return fract(sin(h) * 43758.5453);
+            }
+            float foamWalls(vec3 p) {
+                vec3 base = floor(p);
+                float f1 = 8.0, f2 = 8.0;
+                for (int x = -1; x <= 1; x++) {
+                    for (int y = -1; y <= 1; y++) {
+                        for (int z = -1; z <= 1; z++) {
+                            vec3 cell = base + vec3(float(x), float(y), float(z));
+                            vec3 rnd = foamHash(cell);
+                            vec3 seed = cell + 0.5 + (0.5 * sin(u_time * 0.4 + rnd * 6.28318)) * u_foamJitter;
+                            float d = length(p - seed);
+                            if (d < f1) { f2 = f1; f1 = d; } else if (d < f2) { f2 = d; }
+                        }
+                    }
+                }
+                return f2 - f1;
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.3 * (1.0 + u_audioBass * 0.4));
+                float thickness = max(0.01, u_lineThickness * 2.0 * (1.0 + u_audioMid * 0.8));
+                float lattice3D = 1.0 - smoothstep(0.0, thickness, foamWalls(p * density));
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                if (dim_factor > 0.01) {
+                    float w_coord = cos(dot(p, vec3(0.9, 1.2, -0.7)) + u_time * 0.18) * dim_factor * (0.4 + u_morphFactor * 0.5);
+                    vec3 projectedP = project4Dto3D(u_rotation4D * vec4(p, w_coord));
+                    float lattice4D = 1.0 - smoothstep(0.0, thickness, foamWalls(projectedP * density));
+                    finalLattice = mix(lattice3D, lattice4D, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
     }
-    
-    getProjection(name) { 
-        const lowerCaseName = name ? name.toLowerCase() : this.options.defaultProjection; 
-        const projection = this.projections[lowerCaseName]; 
-        if (!projection) { 
-            console.warn(`Projection '${name}' not found. Using default.`); 
-            return this.projections[this.options.defaultProjection.toLowerCase()]; 
-        } 
-        return projection; 
+}
+
+/**
+ * Thin-film style interference: three point sources on a ring in 4D emit waves at
+ * three wavelengths (spread around the base one like R, G and B light). Their
+ * averaged intensities beat against each other into moving fringes.
+ */
+class ChromaticInterferenceGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'chromatic_interference',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_rotationSpeed',
+                'u_universeModifier', 'u_audioBass', 'u_audioHigh', 'u_rotation4D'],
+            uniforms: {
+                u_wavelengthSpread: { type: 'float', min: 0.0, max: 1.0, step: 0.01, default: 0.35 },
+                u_sourceSeparation: { type: 'float', min: 0.1, max: 2.0, step: 0.01, default: 0.6 }
+            },
+            complexity: 2
+        };
     }
-    
-    getProjectionTypes() { 
-        return Object.keys(this.projections); 
+
+    getShaderCode() {
+        return `
+            float calculateLattice(vec3 p) {
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                vec4 p4d = vec4(p, sin(length(p) * 1.5 - u_time * 0.2) * dim_factor * (0.3 + u_morphFactor * 0.5));
+                float k = max(0.1, u_gridDensity) * 3.14159 * (1.0 + u_audioBass * 0.3);
+                float spin = u_time * 0.1 * u_rotationSpeed;
+
+                float intensity = 0.0;
+                for (int band = 0; band < 3; band++) {
+                    float lambda = 1.0 + (float(band) - 1.0) * u_wavelengthSpread;
+                    float wave = 0.0;
+                    for (int s = 0; s < 3; s++) {
+                        float angle = spin + float(s) * 2.09440;
+                        vec4 source = u_rotation4D * vec4(cos(angle), sin(angle), 0.0, 0.5 * dim_factor) * u_sourceSeparation;
+                        wave += cos(distance(p4d, source) * k / lambda - u_time * (1.0 + u_audioHigh));
+                    }
+                    intensity += (wave * wave) / 9.0;
+                }
+                float fringes = intensity / 3.0;
+                return pow(clamp(fringes, 0.0, 1.0), max(0.1, u_universeModifier));
+            }
+        `;
     }
 }
 
 // ============================================================================
-// 🎛️ SHADER MANAGER (WORKING IMPLEMENTATION)
+// 📚 EDITOR LIBRARY GEOMETRIES
 // ============================================================================
 
-class ShaderManager {
-    constructor(gl, geometryManager, projectionManager, options = {}) { 
-        if (!gl) throw new Error("WebGL context needed."); 
-        if (!geometryManager) throw new Error("GeometryManager needed."); 
-        if (!projectionManager) throw new Error("ProjectionManager needed."); 
-        this.gl = gl; 
-        this.geometryManager = geometryManager; 
-        this.projectionManager = projectionManager; 
-        this.options = this._mergeDefaults(options); 
-        this.shaderSources = {}; 
-        this.compiledShaders = {}; 
-        this.programs = {}; 
-        this.uniformLocations = {}; 
-        this.attributeLocations = {}; 
-        this.currentProgramName = null; 
-        this._initShaderTemplates(); 
+/**
+ * Möbius band: a strip around the XY circle whose cross-section turns by
+ * u_stripTwists half-turns per loop (odd counts give one-sided bands). The band
+ * is drawn in projected 4D space, so u_rotation4D folds it through W.
+ */
+class MobiusGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'mobius',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_gridDensity', 'u_lineThickness',
+                'u_universeModifier', 'u_audioBass', 'u_audioMid', 'u_rotation4D'],
+            uniforms: {
+                u_stripWidth: { type: 'float', min: 0.05, max: 0.6, step: 0.01, default: 0.3 },
+                u_stripTwists: { type: 'float', min: 1.0, max: 5.0, step: 1.0, default: 1.0 }
+            },
+            complexity: 2
+        };
+    }
+
+    getShaderCode() {
+        return `
+            float mobiusBand(vec3 p, float thickness) {
+                float u = atan(p.y, p.x);
+                vec2 local = vec2(length(p.xy) - 0.8, p.z);
+                float turn = -u * floor(u_stripTwists + 0.5) * 0.5;
+                local = vec2(local.x * cos(turn) - local.y * sin(turn), local.x * sin(turn) + local.y * cos(turn));
+                float halfWidth = u_stripWidth * (1.0 + u_audioBass * 0.3);
+                float dist = length(max(abs(local) - vec2(halfWidth, 0.0), 0.0));
+                float band = 1.0 - smoothstep(0.0, thickness, dist);
+
+                // Rungs across the band and rails along both edges
+                float density = max(4.0, floor(u_gridDensity * 2.0));
+                float rung = abs(fract(u * density / 6.28318 + u_time * 0.05) - 0.5);
+                float rail = smoothstep(halfWidth * 0.8, halfWidth, abs(local.x));
+                return band * max(rail, mix(0.3, 1.0, smoothstep(0.4, 0.5, rung)));
+            }
+            float calculateLattice(vec3 p) {
+                float thickness = max(0.01, u_lineThickness * 1.5 * (1.0 + u_audioMid * 0.5));
+                float finalLattice = mobiusBand(p, thickness);
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                if (dim_factor > 0.01) {
+                    float w_coord = sin(length(p) * 2.0 - u_time * 0.3) * dim_factor * (0.3 + u_morphFactor * 0.5);
+                    vec3 projectedP = project4Dto3D(u_rotation4D * vec4(p, w_coord));
+                    finalLattice = mix(finalLattice, mobiusBand(projectedP, thickness), smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+/**
+ * Lorenz attractor: the trajectory is integrated per fragment (Euler, fixed step)
+ * and drawn as a tube whose brightness runs along it like a comet head.
+ * Heavy by design: 160 segments per sample.
+ */
+class LorenzAttractorGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'lorenz',
+            requiredUniforms: ['u_dimension', 'u_time', 'u_morphFactor', 'u_lineThickness',
+                'u_universeModifier', 'u_audioBass', 'u_audioMid', 'u_rotation4D'],
+            uniforms: {
+                u_lorenzSigma: { type: 'float', min: 5.0, max: 15.0, step: 0.1, default: 10.0 },
+                u_lorenzRho: { type: 'float', min: 10.0, max: 40.0, step: 0.1, default: 28.0 },
+                u_lorenzBeta: { type: 'float', min: 1.0, max: 4.0, step: 0.01, default: 2.6667 }
+            },
+            complexity: 5
+        };
+    }
+
+    getShaderCode() {
+        return `
+            float lorenzSegment(vec3 p, vec3 a, vec3 b) {
+                vec3 pa = p - a, ba = b - a;
+                float h = clamp(dot(pa, ba) / max(dot(ba, ba), 0.000001), 0.0, 1.0);
+                return length(pa - ba * h);
+            }
+            float calculateLattice(vec3 p) {
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+                vec4 lifted = vec4(p, sin(u_time * 0.2) * dim_factor * (0.2 + u_morphFactor * 0.3));
+                vec3 q = mix(p, project4Dto3D(u_rotation4D * lifted), dim_factor);
+
+                float rho = u_lorenzRho * (1.0 + u_audioBass * 0.15);
+                vec3 state = vec3(-8.0, 8.0, rho - 1.0);
+                vec3 prev = vec3(state.x, state.y, state.z - 25.0) / 22.0;
+                float nearest = 8.0;
+                float along = 0.0;
+                for (int i = 0; i < 160; i++) {
+                    vec3 velocity = vec3(u_lorenzSigma * (state.y - state.x),
+                                         state.x * (rho - state.z) - state.y,
+                                         state.x * state.y - u_lorenzBeta * state.z);
+                    state += velocity * 0.012;
+                    vec3 current = vec3(state.x, state.y, state.z - 25.0) / 22.0;
+                    float d = lorenzSegment(q, prev, current);
+                    if (d < nearest) { nearest = d; along = float(i) / 160.0; }
+                    prev = current;
+                }
+
+                float thickness = max(0.006, u_lineThickness * (1.0 + u_audioMid * 0.6));
+                float tube = 1.0 - smoothstep(0.0, thickness, nearest);
+                float head = 0.35 + 0.65 * pow(fract(along - u_time * 0.08), 3.0);
+                return pow(max(0.0, tube * head), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+/**
+ * Hopf link: great circles of S³ that lie on the Clifford torus, i.e. Hopf fibers
+ * over points spaced evenly round the S² equator. Every pair links once; two
+ * fibers give the classic Hopf link. Fibers are sampled as 4D polylines and go
+ * through the active projection.
+ */
+class HopfLinkGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'hopf_link',
+            requiredUniforms: ['u_time', 'u_morphFactor', 'u_lineThickness', 'u_universeModifier',
+                'u_audioBass', 'u_audioMid', 'u_rotation4D'],
+            uniforms: {
+                u_linkFibers: { type: 'float', min: 2.0, max: 6.0, step: 1.0, default: 2.0 },
+                u_linkScale: { type: 'float', min: 0.3, max: 2.0, step: 0.01, default: 1.0 }
+            },
+            complexity: 4
+        };
+    }
+
+    getShaderCode() {
+        return `
+            vec4 hopfFiberPoint(float t, float phase) {
+                return vec4(cos(t), sin(t), cos(t + phase), sin(t + phase)) * 0.70711;
+            }
+            float calculateLattice(vec3 p) {
+                vec3 q = p / (u_linkScale * (1.0 + u_audioBass * 0.2));
+                float nearest = 8.0;
+                for (int f = 0; f < 6; f++) {
+                    if (float(f) >= floor(u_linkFibers + 0.5)) break;
+                    float phase = float(f) * 6.28318 / floor(u_linkFibers + 0.5) + u_morphFactor * 0.5;
+                    vec3 prev = project4Dto3D(u_rotation4D * hopfFiberPoint(0.0, phase));
+                    for (int i = 1; i <= 32; i++) {
+                        vec3 current = project4Dto3D(u_rotation4D * hopfFiberPoint(float(i) * 0.19635, phase));
+                        vec3 pa = q - prev, ba = current - prev;
+                        float h = clamp(dot(pa, ba) / max(dot(ba, ba), 0.000001), 0.0, 1.0);
+                        nearest = min(nearest, length(pa - ba * h));
+                        prev = current;
+                    }
+                }
+                float thickness = max(0.01, u_lineThickness * 1.5 * (1.0 + u_audioMid * 0.5));
+                float tube = 1.0 - smoothstep(0.0, thickness, nearest);
+                float pulse = 0.85 + 0.15 * sin(u_time * 1.5);
+                return pow(max(0.0, tube * pulse), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+/**
+ * Tesseract wireframe: the 16 vertices and 32 edges of the 4D hypercube, turned by
+ * u_rotation4D and drawn through the active projection. Unlike the hypercube
+ * lattice this is the single polytope, not a space-filling grid.
+ */
+class TesseractGeometry extends BaseGeometry {
+    getManifest() {
+        return {
+            name: 'tesseract',
+            requiredUniforms: ['u_time', 'u_morphFactor', 'u_lineThickness', 'u_universeModifier',
+                'u_audioBass', 'u_audioMid', 'u_audioHigh', 'u_rotation4D'],
+            uniforms: { u_tesseractSize: { type: 'float', min: 0.3, max: 2.0, step: 0.01, default: 1.0 } },
+            complexity: 3
+        };
+    }
+
+    getShaderCode() {
+        return `
+            vec4 tesseractVertex(float index) {
+                return mod(floor(index / vec4(1.0, 2.0, 4.0, 8.0)), 2.0) - 0.5;
+            }
+            float calculateLattice(vec3 p) {
+                float size = u_tesseractSize * (1.0 + u_audioBass * 0.2);
+                float nearestEdge = 8.0;
+                float nearestVertex = 8.0;
+                for (int i = 0; i < 16; i++) {
+                    vec4 a4 = tesseractVertex(float(i));
+                    vec3 a = project4Dto3D(u_rotation4D * (a4 * size));
+                    nearestVertex = min(nearestVertex, length(p - a));
+                    for (int k = 0; k < 4; k++) {
+                        vec4 axis = vec4(equal(vec4(float(k)), vec4(0.0, 1.0, 2.0, 3.0)));
+                        // Each edge once: from the vertex with -0.5 on that axis
+                        if (dot(a4, axis) > 0.0) continue;
+                        vec3 b = project4Dto3D(u_rotation4D * ((a4 + axis) * size));
+                        vec3 pa = p - a, ba = b - a;
+                        float h = clamp(dot(pa, ba) / max(dot(ba, ba), 0.000001), 0.0, 1.0);
+                        nearestEdge = min(nearestEdge, length(pa - ba * h));
+                    }
+                }
+                float thickness = max(0.006, u_lineThickness * (1.0 - u_audioMid * 0.4));
+                float edges = 1.0 - smoothstep(0.0, thickness, nearestEdge);
+                float vertices = 1.0 - smoothstep(0.0, thickness * (2.5 + u_audioHigh * 2.0), nearestVertex);
+                float finalLattice = max(edges, vertices) * (0.8 + 0.2 * sin(u_time + u_morphFactor * 3.0));
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+// ============================================================================
+// 🧩 SHADER PLUGIN CONTRACT (GEOMETRIES & PROJECTIONS)
+// ============================================================================
+
+// GLSL type → UniformRegistry upload type for manifest uniforms
+const PLUGIN_UNIFORM_TYPES = { float: '1f', int: '1i', vec2: '2fv', vec3: '3fv', vec4: '4fv', mat4: 'mat4' };
+
+const GLSL_RESERVED = new Set([
+    'void', 'bool', 'int', 'float', 'vec2', 'vec3', 'vec4', 'ivec2', 'ivec3', 'ivec4', 'bvec2', 'bvec3', 'bvec4',
+    'mat2', 'mat3', 'mat4', 'sampler2D', 'samplerCube', 'const', 'uniform', 'varying', 'attribute', 'in', 'out',
+    'inout', 'highp', 'mediump', 'lowp', 'precision', 'invariant', 'if', 'else', 'for', 'while', 'do', 'break',
+    'continue', 'return', 'discard', 'struct', 'true', 'false',
+    'radians', 'degrees', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'pow', 'exp', 'log', 'exp2', 'log2', 'sqrt',
+    'inversesqrt', 'abs', 'sign', 'floor', 'ceil', 'fract', 'mod', 'min', 'max', 'clamp', 'mix', 'step', 'smoothstep',
+    'length', 'distance', 'dot', 'cross', 'normalize', 'faceforward', 'reflect', 'refract', 'matrixCompMult',
+    'lessThan', 'lessThanEqual', 'greaterThan', 'greaterThanEqual', 'equal', 'notEqual', 'any', 'all', 'not',
+    'texture2D', 'textureCube', 'dFdx', 'dFdy', 'fwidth',
+    'gl_FragCoord', 'gl_FragColor', 'gl_FrontFacing', 'gl_PointCoord'
+]);
+
+const GLSL_TYPE_PATTERN = /\b(?:void|bool|int|float|[ib]?vec[234]|mat[234])\s+([A-Za-z_]\w*)/g;
+
+// What each plugin kind extends, must define, and may call beyond the base helpers
+const PLUGIN_KINDS = {
+    geometry: {
+        baseClass: () => BaseGeometry,
+        entryPoint: /\bfloat\s+calculateLattice\s*\(\s*(?:in\s+)?vec3\s+\w+\s*\)\s*\{/,
+        signature: 'float calculateLattice(vec3 p)',
+        visibleFunctions: ['project4Dto3D']
+    },
+    projection: {
+        baseClass: () => BaseProjection,
+        entryPoint: /\bvec3\s+project4Dto3D\s*\(\s*(?:in\s+)?vec4\s+\w+\s*\)\s*\{/,
+        signature: 'vec3 project4Dto3D(vec4 p)',
+        visibleFunctions: []
+    }
+};
+
+/**
+ * Checks a geometry or projection before it is registered, so a broken plugin
+ * fails with a readable report instead of a shader compile error at render time.
+ */
+class ShaderPluginValidator {
+    /** Uniforms and helper functions the base shader declares ahead of the plugin code. */
+    static getBaseInterface() {
+        if (!ShaderPluginValidator._baseInterface) {
+            const source = ShaderManager.prototype._getBaseFragmentShaderSource.call(null);
+            const visible = source.slice(0, source.indexOf('//__PROJECTION_CODE_INJECTION_POINT__'));
+            const uniforms = new Set([...visible.matchAll(/\b(?:uniform|varying)\s+\w+\s+(\w+)\s*;/g)].map(m => m[1]));
+            const functions = new Set([...visible.matchAll(/\b\w+\s+(\w+)\s*\([^)]*\)\s*\{/g)].map(m => m[1]));
+            ShaderPluginValidator._baseInterface = { uniforms, functions };
+        }
+        return ShaderPluginValidator._baseInterface;
+    }
+
+    /**
+     * @param {BaseGeometry|BaseProjection} plugin
+     * @param {'geometry'|'projection'} [kind='geometry']
+     * @returns {{valid: boolean, errors: string[], warnings: string[], manifest: ?Object}}
+     */
+    static validate(plugin, kind = 'geometry') {
+        const report = { valid: false, errors: [], warnings: [], manifest: null };
+        const contract = PLUGIN_KINDS[kind];
+        const BaseClass = contract.baseClass();
+        if (!(plugin instanceof BaseClass)) {
+            report.errors.push(`A ${kind} plugin must extend ${BaseClass.name}.`);
+            return report;
+        }
+
+        let code, manifest;
+        try {
+            code = plugin.getShaderCode();
+            manifest = { ...new BaseClass().getManifest(), ...plugin.getManifest() };
+        } catch (error) {
+            report.errors.push(`The ${kind} threw while describing itself: ${error.message}`);
+            return report;
+        }
+        report.manifest = manifest;
+        if (typeof code !== 'string') {
+            report.errors.push(`getShaderCode() returned ${typeof code}, expected a GLSL string.`);
+            return report;
+        }
+
+        const base = ShaderPluginValidator.getBaseInterface();
+        ShaderPluginValidator._checkManifest(manifest, base, report);
+
+        const glsl = code.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' ');
+        if (!contract.entryPoint.test(glsl)) {
+            report.errors.push(`Missing entry point: ${contract.signature} { ... }`);
+        }
+        if (/\buniform\b/.test(glsl)) {
+            report.errors.push('Declare plugin uniforms in the manifest, not in the GLSL.');
+        }
+
+        const declared = ShaderPluginValidator._declaredIdentifiers(glsl);
+        const pluginUniforms = new Set(Object.keys(manifest.uniforms || {}));
+        const unknown = new Set();
+        const usedBaseUniforms = new Set();
+        for (const match of glsl.matchAll(/(?<![.\w])([A-Za-z_]\w*)/g)) {
+            const name = match[1];
+            if (GLSL_RESERVED.has(name) || declared.has(name) || pluginUniforms.has(name)
+                || base.functions.has(name) || contract.visibleFunctions.includes(name)) continue;
+            if (base.uniforms.has(name)) {
+                usedBaseUniforms.add(name);
+                continue;
+            }
+            unknown.add(name);
+        }
+        if (unknown.size > 0) {
+            report.errors.push(`Unknown identifiers: ${[...unknown].join(', ')}`);
+        }
+        const unlisted = [...usedBaseUniforms].filter(name => !(manifest.requiredUniforms || []).includes(name));
+        if (manifest.name && unlisted.length > 0) {
+            report.warnings.push(`Uniforms used but not listed in requiredUniforms: ${unlisted.join(', ')}`);
+        }
+
+        report.valid = report.errors.length === 0;
+        return report;
+    }
+
+    static _checkManifest(manifest, base, report) {
+        if (manifest.name !== null && (typeof manifest.name !== 'string' || !manifest.name)) {
+            report.errors.push('Manifest name must be a non-empty string.');
+        }
+        (manifest.requiredUniforms || []).forEach(name => {
+            if (!base.uniforms.has(name)) report.errors.push(`Required uniform '${name}' is not provided by the base shader.`);
+        });
+        Object.entries(manifest.uniforms || {}).forEach(([name, spec]) => {
+            if (!/^u_[A-Za-z]\w*$/.test(name)) report.errors.push(`Plugin uniform '${name}' must be named u_<name>.`);
+            if (base.uniforms.has(name)) report.errors.push(`Plugin uniform '${name}' shadows a base shader uniform.`);
+            if (!PLUGIN_UNIFORM_TYPES[spec.type]) report.errors.push(`Plugin uniform '${name}' has unsupported type '${spec.type}'.`);
+            if (spec.default === undefined) report.errors.push(`Plugin uniform '${name}' needs a default value.`);
+            if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+                report.errors.push(`Plugin uniform '${name}' has min > max.`);
+            }
+            if (spec.quality !== undefined && (spec.quality !== 'iterations' || (spec.type !== 'int' && spec.type !== 'float'))) {
+                report.errors.push(`Plugin uniform '${name}': quality 'iterations' is the only role, on an int or float uniform.`);
+            }
+        });
+        const complexity = manifest.complexity;
+        if (typeof complexity !== 'number' || complexity < 1 || complexity > 5) {
+            report.errors.push('Manifest complexity must be a number from 1 to 5.');
+        }
+        if (manifest.rotationScale !== undefined && !(typeof manifest.rotationScale === 'number' && manifest.rotationScale >= 0)) {
+            report.errors.push('Manifest rotationScale must be a number of 0 or more.');
+        }
+    }
+
+    // Functions, parameters and locals, including comma lists like `float a = 1.0, b = a;`
+    static _declaredIdentifiers(glsl) {
+        const declared = new Set();
+        for (const match of glsl.matchAll(GLSL_TYPE_PATTERN)) {
+            declared.add(match[1]);
+            let depth = 0;
+            for (let i = match.index + match[0].length; i < glsl.length; i++) {
+                const ch = glsl[i];
+                if (ch === '(' || ch === '[') depth++;
+                else if (ch === ')' || ch === ']') {
+                    if (depth === 0) break;
+                    depth--;
+                } else if (depth === 0 && (ch === ';' || ch === '{')) break;
+                else if (depth === 0 && ch === ',') {
+                    const next = /^\s*([A-Za-z_]\w*)/.exec(glsl.slice(i + 1));
+                    if (next) declared.add(next[1]);
+                }
+            }
+        }
+        return declared;
+    }
+}
+
+// ============================================================================
+// 🎯 GEOMETRY MANAGER (WORKING IMPLEMENTATION)
+// ============================================================================
+
+// Built-in geometries, registered once into the shared registry
+const BUILTIN_GEOMETRIES = [
+    ['hypercube', () => new HypercubeGeometry()],
+    ['hypersphere', () => new HypersphereGeometry()],
+    ['hypertetrahedron', () => new HypertetrahedronGeometry()],
+    ['torus', () => new TorusGeometry()],
+    ['klein', () => new KleinGeometry()],
+    ['fractal', () => new FractalGeometry()],
+    ['wave', () => new WaveGeometry()],
+    ['crystal', () => new CrystalGeometry()],
+    ['tetrahedron', () => new TetrahedronGeometry()],
+    ['klein_bottle', () => new KleinBottleGeometry()],
+    ['calabi_yau', () => new CalabiYauGeometry()],
+    ['hyperbolic', () => new HyperbolicGeometry()],
+    ['quaternion_julia', () => new QuaternionJuliaGeometry()],
+    ['voronoi_foam', () => new VoronoiFoamGeometry()],
+    ['chromatic_interference', () => new ChromaticInterferenceGeometry()],
+    ['mobius', () => new MobiusGeometry()],
+    ['lorenz', () => new LorenzAttractorGeometry()],
+    ['hopf_link', () => new HopfLinkGeometry()],
+    ['tesseract', () => new TesseractGeometry()]
+];
+
+// The one name table: editor library, demos and older configs use these names
+// for registered geometries. Aliases win over registered names. 'klein' stays
+// the original lattice; the bottle is only reachable as klein_bottle.
+const GEOMETRY_NAME_ALIASES = {
+    sphere: 'hypersphere',
+    tetra: 'hypertetrahedron',
+    'klein-bottle': 'klein_bottle',
+    'möbius': 'mobius',
+    'lorenz-attractor': 'lorenz',
+    lorenz_attractor: 'lorenz',
+    hopf: 'hopf_link',
+    'hopf-link': 'hopf_link',
+    hopflink: 'hopf_link',
+    '8-cell': 'tesseract'
+};
+
+/** Canonical registry name for a geometry name or alias ('Sphere' → 'hypersphere'). */
+function resolveGeometryName(name) {
+    if (typeof name !== 'string') return name;
+    const key = name.trim().toLowerCase();
+    return GEOMETRY_NAME_ALIASES[key] || key;
+}
+
+// One registry for every GeometryManager, ExpandedGeometryLibrary and editor by default
+const SHARED_GEOMETRY_REGISTRY = {};
+
+class GeometryManager {
+    /**
+     * @param {{defaultGeometry?: string, registry?: Object}} [options] - pass `registry: {}`
+     *        for a private set instead of the shared one
+     */
+    constructor(options = {}) { 
+        this.options = { defaultGeometry: 'hypercube', ...options }; 
+        this.geometries = options.registry || SHARED_GEOMETRY_REGISTRY; 
+        this._initGeometries(); 
     }
     
-    _mergeDefaults(options){ 
-        return { 
-            baseVertexShaderName: 'base-vertex', 
-            baseFragmentShaderName: 'base-fragment', 
-            ...options 
-        }; 
+    _initGeometries() { 
+        BUILTIN_GEOMETRIES.forEach(([name, create]) => { 
+            if (!this.geometries[name]) this.registerGeometry(name, create()); 
+        }); 
     }
     
-    _initShaderTemplates(){ 
-        this._registerShaderSource(this.options.baseVertexShaderName, this._getBaseVertexShaderSource(), this.gl.VERTEX_SHADER); 
-        this._registerShaderSource(this.options.baseFragmentShaderName, this._getBaseFragmentShaderSource(), this.gl.FRAGMENT_SHADER); 
+    /**
+     * Validate and register a geometry under `name`.
+     * @returns {{valid: boolean, errors: string[], warnings: string[], manifest: ?Object}}
+     */
+    registerGeometry(name, instance) { 
+        const lowerCaseName = resolveGeometryName(name); 
+        const report = ShaderPluginValidator.validate(instance, 'geometry'); 
+        if (!report.valid) { 
+            console.error(`Invalid geometry '${lowerCaseName}':\n  ${report.errors.join('\n  ')}`); 
+            return report; 
+        } 
+        report.warnings.forEach(warning => console.warn(`Geometry '${lowerCaseName}': ${warning}`)); 
+        this.geometries[lowerCaseName] = instance; 
+        console.log(`📐 Registered geometry: ${lowerCaseName}`);
+        return report; 
     }
     
-    _registerShaderSource(name, source, type){ 
-        this.shaderSources[name] = { source, type }; 
+    getManifest(name) { 
+        const geometry = this.getGeometry(name); 
+        return geometry ? { ...new BaseGeometry().getManifest(), ...geometry.getManifest() } : null; 
     }
     
-    _compileShader(shaderIdentifier, source, type) { 
-        if (this.compiledShaders[shaderIdentifier]) { 
-            return this.compiledShaders[shaderIdentifier]; 
-        } 
-        const shader = this.gl.createShader(type); 
-        if (!shader) { 
-            console.error(`Failed create shader '${shaderIdentifier}'.`); 
-            this.compiledShaders[shaderIdentifier] = null; 
-            return null; 
-        } 
-        this.gl.shaderSource(shader, source); 
-        this.gl.compileShader(shader); 
-        if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) { 
-            const log = this.gl.getShaderInfoLog(shader); 
-            console.error(`Compile error shader '${shaderIdentifier}':\n${log}`); 
-            this._logShaderSourceWithError(source, log); 
-            this.gl.deleteShader(shader); 
-            this.compiledShaders[shaderIdentifier] = null; 
-            return null; 
+    getGeometry(name) { 
+        const lowerCaseName = name ? resolveGeometryName(name) : this.options.defaultGeometry; 
+        const geometry = this.geometries[lowerCaseName]; 
+        if (!geometry) { 
+            console.warn(`Geometry '${name}' not found. Using default.`); 
+            return this.geometries[this.options.defaultGeometry.toLowerCase()]; 
         } 
-        this.compiledShaders[shaderIdentifier] = shader; 
-        return shader; 
+        return geometry; 
     }
     
-    _logShaderSourceWithError(source, errorLog) { 
-        const lines=source.split('\n'); 
-        const match=errorLog.match(/ERROR:\s*\d+:(\d+):/); 
-        let errLine=match?parseInt(match[1],10):-1; 
-        console.error("--- Shader Source ---"); 
-        lines.forEach((line, i)=>{
-            const p=(i+1===errLine)?">> ": "   "; 
-            console.error(p+(i+1).toString().padStart(3)+": "+line);
-        }); 
-        console.error("--- Shader Source End ---"); 
+    getGeometryTypes() { 
+        return Object.keys(this.geometries); 
+    }
+}
+
+// ============================================================================
+// 📐 BASE PROJECTION CLASSES (WORKING IMPLEMENTATIONS)
+// ============================================================================
+
+class BaseProjection { 
+    constructor() {} 
+    getShaderCode() { 
+        throw new Error(`getShaderCode() must be implemented.`); 
+    } 
+    /** Same manifest contract as BaseGeometry.getManifest(). */
+    getManifest() { 
+        return { name: null, requiredUniforms: [], uniforms: {}, complexity: 1 }; 
+    } 
+}
+
+class PerspectiveProjection extends BaseProjection {
+    constructor(viewDistance = 2.5) { 
+        super(); 
+        this.viewDistance = Math.max(0.1, viewDistance); 
     }
     
-    _createProgram(programName, vertexShader, fragmentShader) { 
-        if (this.programs[programName]) { 
-            const old = this.programs[programName]; 
-            if (old) { 
-                try { 
-                    const shaders = this.gl.getAttachedShaders(old); 
-                    shaders?.forEach(s => this.gl.detachShader(old, s)); 
-                    this.gl.deleteProgram(old); 
-                } catch (e) {} 
-            } 
-            delete this.programs[programName]; 
-            delete this.uniformLocations[programName]; 
-            delete this.attributeLocations[programName]; 
-        } 
-        const program = this.gl.createProgram(); 
-        if (!program) { 
-            console.error(`Failed create program '${programName}'.`); 
-            return null; 
-        } 
-        this.gl.attachShader(program, vertexShader); 
-        this.gl.attachShader(program, fragmentShader); 
-        this.gl.linkProgram(program); 
-        if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) { 
-            console.error(`Link error program '${programName}':\n${this.gl.getProgramInfoLog(program)}`); 
-            try { 
-                this.gl.detachShader(program, vertexShader); 
-            } catch(e) {} 
-            try { 
-                this.gl.detachShader(program, fragmentShader); 
-            } catch(e) {} 
-            this.gl.deleteProgram(program); 
-            this.programs[programName] = null; 
-            return null; 
-        } 
-        this.programs[programName] = program; 
-        this.uniformLocations[programName] = {}; 
-        this.attributeLocations[programName] = {}; 
-        console.log(`Program '${programName}' created/linked.`); 
-        return program; 
+    getManifest() { 
+        return { 
+            name: 'perspective', 
+            requiredUniforms: ['u_morphFactor', 'u_audioMid'], 
+            uniforms: { u_viewDistance: { type: 'float', min: 0.1, max: 20.0, default: this.viewDistance } }, 
+            complexity: 1 
+        }; 
     }
     
-    createDynamicProgram(programName, geometryTypeName, projectionMethodName) { 
-        console.log(`🔧 Creating shader program: ${programName} with geometry: ${geometryTypeName}, projection: ${projectionMethodName}`);
-        
-        const vsName = this.options.baseVertexShaderName; 
-        const vsInfo = this.shaderSources[vsName]; 
-        if (!vsInfo) { 
-            console.error(`❌ Base VS source '${vsName}' missing.`); 
-            return null; 
-        } 
-        
-        console.log(`🔧 Compiling vertex shader: ${vsName}`);
-        const vs = this._compileShader(vsName, vsInfo.source, vsInfo.type); 
-        if (!vs) {
-            console.error(`❌ Vertex shader compilation failed for: ${vsName}`);
-            return null; 
-        }
-        console.log(`✅ Vertex shader compiled successfully`);
-        
-        const geom = this.geometryManager.getGeometry(geometryTypeName); 
-        const proj = this.projectionManager.getProjection(projectionMethodName); 
-        if (!geom || !proj) { 
-            console.error(`❌ Geom/Proj provider missing. Geom: ${!!geom}, Proj: ${!!proj}`); 
-            return null; 
-        } 
-        
-        console.log(`🔧 Getting shader code from geometry: ${geometryTypeName} and projection: ${projectionMethodName}`);
-        const geomGLSL = geom.getShaderCode(); 
-        const projGLSL = proj.getShaderCode(); 
-        
-        console.log(`📝 Geometry GLSL length: ${geomGLSL ? geomGLSL.length : 'null'}`);
-        console.log(`📝 Projection GLSL length: ${projGLSL ? projGLSL.length : 'null'}`);
-        
-        if (typeof geomGLSL !== 'string' || typeof projGLSL !== 'string') { 
-            console.error(`❌ Invalid GLSL returned. GeomGLSL type: ${typeof geomGLSL}, ProjGLSL type: ${typeof projGLSL}`); 
-            console.error(`❌ GeomGLSL preview:`, geomGLSL ? geomGLSL.substring(0, 100) : 'null');
-            console.error(`❌ ProjGLSL preview:`, projGLSL ? projGLSL.substring(0, 100) : 'null');
-            return null; 
-        } 
-        
-        // Validate that required functions exist in the shader code
-        if (!geomGLSL.includes('calculateLattice')) {
-            console.error(`❌ Geometry shader missing calculateLattice function`);
-            console.error(`❌ Geometry GLSL content:`, geomGLSL);
-            return null;
+    getShaderCode() { 
+        return `vec3 project4Dto3D(vec4 p) { 
+            float baseDistance = u_viewDistance; 
+            float dynamicDistance = max(0.2, baseDistance * (1.0 + u_morphFactor * 0.4 - u_audioMid * 0.35)); 
+            float denominator = dynamicDistance + p.w; 
+            float w_factor = dynamicDistance / max(0.1, denominator); 
+            return p.xyz * w_factor; 
+        }`; 
+    }
+}
+
+class OrthographicProjection extends BaseProjection {
+    getManifest() { 
+        return { name: 'orthographic', requiredUniforms: ['u_morphFactor', 'u_audioMid'], uniforms: {}, complexity: 1 }; 
+    }
+    
+    getShaderCode() { 
+        return `vec3 project4Dto3D(vec4 p) { 
+            vec3 orthoP = p.xyz; 
+            float basePerspectiveDistance = 2.5; 
+            float dynamicPerspectiveDistance = max(0.2, basePerspectiveDistance * (1.0 - u_audioMid * 0.4)); 
+            float perspDenominator = dynamicPerspectiveDistance + p.w; 
+            float persp_w_factor = dynamicPerspectiveDistance / max(0.1, perspDenominator); 
+            vec3 perspP = p.xyz * persp_w_factor; 
+            float morphT = smoothstep(0.0, 1.0, u_morphFactor); 
+            return mix(orthoP, perspP, morphT); 
+        }`; 
+    }
+}
+
+class StereographicProjection extends BaseProjection {
+    constructor(projectionPoleW = -1.5) { 
+        super(); 
+        this.baseProjectionPoleW = Math.abs(projectionPoleW) < 0.01 ? -1.0 : projectionPoleW; 
+    }
+    
+    getManifest() { 
+        return { 
+            name: 'stereographic', 
+            requiredUniforms: ['u_morphFactor', 'u_audioHigh'], 
+            uniforms: { u_baseProjectionPoleW: { type: 'float', min: -5.0, max: 5.0, default: this.baseProjectionPoleW } }, 
+            complexity: 1 
+        }; 
+    }
+    
+    getShaderCode() { 
+        return `vec3 project4Dto3D(vec4 p) { 
+            // A pole at w = 0 has no projection; fall back like the constructor does
+            float basePoleW = abs(u_baseProjectionPoleW) < 0.01 ? -1.0 : u_baseProjectionPoleW; 
+            float dynamicPoleW = sign(basePoleW) * max(0.1, abs(basePoleW + u_audioHigh * 0.4 * sign(basePoleW))); 
+            float denominator = p.w - dynamicPoleW; 
+            vec3 projectedP; 
+            float epsilon = 0.001; 
+            if (abs(denominator) < epsilon) { 
+                projectedP = normalize(p.xyz + vec3(epsilon)) * 1000.0; 
+            } else { 
+                float scale = (-dynamicPoleW) / denominator; 
+                projectedP = p.xyz * scale; 
+            } 
+            float morphT = smoothstep(0.0, 1.0, u_morphFactor * 0.8); 
+            vec3 orthoP = p.xyz; 
+            return mix(projectedP, orthoP, morphT); 
+        }`; 
+    }
+}
+
+/**
+ * Hopf map: the point's direction on S³ goes to its fiber's base point on S²,
+ * scaled back out by the 4D radius. Points on one Hopf circle collapse together,
+ * so the lattice shows the fibration's linked-circle structure.
+ */
+class HopfProjection extends BaseProjection {
+    constructor(fiberTwist = 1.0) { 
+        super(); 
+        this.fiberTwist = fiberTwist; 
+    }
+    
+    getManifest() { 
+        return { 
+            name: 'hopf', 
+            requiredUniforms: ['u_time', 'u_morphFactor'], 
+            uniforms: { u_hopfFiberTwist: { type: 'float', min: 0.0, max: 4.0, default: this.fiberTwist } }, 
+            complexity: 2 
+        }; 
+    }
+    
+    getShaderCode() { 
+        return `vec3 project4Dto3D(vec4 p) { 
+            float radius = length(p); 
+            vec4 q = p / max(radius, 0.0001); 
+            vec3 base = vec3(2.0 * (q.x * q.z + q.y * q.w), 
+                             2.0 * (q.y * q.z - q.x * q.w), 
+                             q.x * q.x + q.y * q.y - q.z * q.z - q.w * q.w); 
+            float fiberPhase = atan(q.y, q.x) + atan(q.w, q.z); 
+            float lift = 1.0 + 0.25 * u_hopfFiberTwist * sin(fiberPhase + u_time * 0.2); 
+            return mix(base * radius * lift, p.xyz, smoothstep(0.0, 1.0, u_morphFactor) * 0.3); 
+        }`; 
+    }
+}
+
+/**
+ * Poincaré ball: the point is lifted onto a hyperboloid of curvature -u_curvature
+ * and mapped into a ball of radius 2/sqrt(u_curvature). Near the origin it matches
+ * the identity; towards the rim the lattice crowds like a hyperbolic tiling.
+ */
+class PoincareBallProjection extends BaseProjection {
+    constructor(curvature = 1.0) { 
+        super(); 
+        this.curvature = Math.max(0.01, curvature); 
+    }
+    
+    getManifest() { 
+        return { 
+            name: 'poincare', 
+            requiredUniforms: ['u_audioBass'], 
+            uniforms: { u_curvature: { type: 'float', min: 0.01, max: 4.0, default: this.curvature } }, 
+            complexity: 1 
+        }; 
+    }
+    
+    getShaderCode() { 
+        return `vec3 project4Dto3D(vec4 p) { 
+            float k = max(0.01, u_curvature * (1.0 + u_audioBass * 0.3)); 
+            vec3 spatial = p.xyz * (1.0 + p.w * 0.5); 
+            float t = sqrt(1.0 + k * dot(spatial, spatial)); 
+            return spatial * (2.0 / (1.0 + t)); 
+        }`; 
+    }
+}
+
+/**
+ * Oblique (cavalier) projection: W is drawn as a receding axis at
+ * u_obliqueAngle in the XY plane. Scale 1.0 is cavalier, 0.5 is cabinet.
+ */
+class ObliqueProjection extends BaseProjection {
+    constructor(angle = Math.PI / 4, scale = 1.0) { 
+        super(); 
+        this.angle = angle; 
+        this.scale = scale; 
+    }
+    
+    getManifest() { 
+        return { 
+            name: 'oblique', 
+            requiredUniforms: [], 
+            uniforms: { 
+                u_obliqueAngle: { type: 'float', min: 0.0, max: 6.28318, default: this.angle }, 
+                u_obliqueScale: { type: 'float', min: 0.0, max: 2.0, default: this.scale } 
+            }, 
+            complexity: 1 
+        }; 
+    }
+    
+    getShaderCode() { 
+        return `vec3 project4Dto3D(vec4 p) { 
+            vec3 recede = normalize(vec3(cos(u_obliqueAngle), sin(u_obliqueAngle), 0.5)); 
+            return p.xyz + recede * p.w * u_obliqueScale; 
+        }`; 
+    }
+}
+
+// ============================================================================
+// 📐 PROJECTION MANAGER (WORKING IMPLEMENTATION)
+// ============================================================================
+
+class ProjectionManager {
+    constructor(options = {}) { 
+        this.options = { defaultProjection: 'perspective', ...options }; 
+        this.projections = {}; 
+        this._initProjections(); 
+    }
+    
+    _initProjections() { 
+        this.registerProjection('perspective', new PerspectiveProjection()); 
+        this.registerProjection('orthographic', new OrthographicProjection()); 
+        this.registerProjection('stereographic', new StereographicProjection()); 
+        this.registerProjection('hopf', new HopfProjection()); 
+        this.registerProjection('poincare', new PoincareBallProjection()); 
+        this.registerProjection('oblique', new ObliqueProjection()); 
+    }
+    
+    /**
+     * Validate and register a projection under `name`.
+     * @returns {{valid: boolean, errors: string[], warnings: string[], manifest: ?Object}}
+     */
+    registerProjection(name, instance) { 
+        const lowerCaseName = name.toLowerCase(); 
+        const report = ShaderPluginValidator.validate(instance, 'projection'); 
+        if (!report.valid) { 
+            console.error(`Invalid projection '${lowerCaseName}':\n  ${report.errors.join('\n  ')}`); 
+            return report; 
+        } 
+        report.warnings.forEach(warning => console.warn(`Projection '${lowerCaseName}': ${warning}`)); 
+        this.projections[lowerCaseName] = instance; 
+        console.log(`📐 Registered projection: ${lowerCaseName}`);
+        return report; 
+    }
+    
+    getManifest(name) { 
+        const projection = this.getProjection(name); 
+        return projection ? { ...new BaseProjection().getManifest(), ...projection.getManifest() } : null; 
+    }
+    
+    getProjection(name) { 
+        const lowerCaseName = name ? name.toLowerCase() : this.options.defaultProjection; 
+        const projection = this.projections[lowerCaseName]; 
+        if (!projection) { 
+            console.warn(`Projection '${name}' not found. Using default.`); 
+            return this.projections[this.options.defaultProjection.toLowerCase()]; 
+        } 
+        return projection; 
+    }
+    
+    getProjectionTypes() { 
+        return Object.keys(this.projections); 
+    }
+}
+
+// ============================================================================
+// 🗃️ SHADER VARIANT CACHE
+// ============================================================================
+
+const DEFAULT_SHADER_CACHE = {
+    maxPrograms: 16,
+    pollInterval: 16
+};
+
+// One cache per WebGL context, shared by every ShaderManager on it
+const SHADER_CACHES = new WeakMap();
+
+/**
+ * Linked programs keyed by geometry × projection × feature flags.
+ * Entries carry a reference count; unreferenced programs stay warm until the
+ * LRU limit pushes them out. With KHR_parallel_shader_compile, prepare()
+ * compiles off the render thread and resolves once the program has linked.
+ */
+class ShaderVariantCache {
+    static forContext(gl, options = {}) {
+        let cache = SHADER_CACHES.get(gl);
+        if (!cache) {
+            cache = new ShaderVariantCache(gl, options);
+            SHADER_CACHES.set(gl, cache);
+        }
+        return cache;
+    }
+
+    static variantKey(geometryType, projectionMethod, features = []) {
+        return `${geometryType}|${projectionMethod}|${[...features].sort().join(',')}`;
+    }
+
+    constructor(gl, options = {}) {
+        this.gl = gl;
+        this.options = { ...DEFAULT_SHADER_CACHE, ...options };
+        this.parallelCompile = gl.getExtension('KHR_parallel_shader_compile');
+        this.entries = new Map();
+        this.users = new Set();
+        this.vertexShader = null;
+        this.vertexSource = null;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    attach(user) {
+        this.users.add(user);
+    }
+
+    /**
+     * Drop a user. The last one out deletes every cached GL object.
+     * @returns {{programs: number, shaders: number}} GL objects released
+     */
+    detach(user) {
+        this.users.delete(user);
+        return this.users.size === 0 ? this.clear() : { programs: 0, shaders: 0 };
+    }
+
+    /** Entry for `key` built from `fragmentSource`, compiled synchronously if needed; holds a reference. */
+    acquire(key, vertexSource, fragmentSource) {
+        let entry = this._lookup(key, fragmentSource);
+        if (entry) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+            entry = this._build(key, vertexSource, fragmentSource);
+        }
+        if (entry.status === 'pending') this._finalize(entry);
+        if (entry.status !== 'ready') return null;
+        entry.refCount++;
+        this._evict();
+        return entry;
+    }
+
+    release(entry) {
+        if (!entry || entry.refCount === 0) return;
+        entry.refCount--;
+        this._evict();
+    }
+
+    /**
+     * Compile and link without blocking on the result.
+     * @returns {Promise<boolean>} true once the variant is ready to draw
+     */
+    prepare(key, vertexSource, fragmentSource) {
+        let entry = this._lookup(key, fragmentSource);
+        if (!entry) {
+            entry = this._build(key, vertexSource, fragmentSource);
+            this._evict();
+        }
+        if (!entry.ready) {
+            entry.ready = new Promise(resolve => {
+                const poll = () => {
+                    if (entry.status === 'pending' && this.parallelCompile && !this.gl.isContextLost()
+                        && !this.gl.getProgramParameter(entry.program, this.parallelCompile.COMPLETION_STATUS_KHR)) {
+                        setTimeout(poll, this.options.pollInterval);
+                        return;
+                    }
+                    if (entry.status === 'pending') this._finalize(entry);
+                    resolve(entry.status === 'ready');
+                };
+                poll();
+            });
+        }
+        return entry.ready;
+    }
+
+    getStatus(key, fragmentSource) {
+        const entry = this._lookup(key, fragmentSource);
+        return entry ? entry.status : 'missing';
+    }
+
+    /**
+     * Forget every entry without touching GL; used when the context is already gone.
+     */
+    reset() {
+        this.entries.clear();
+        this.vertexShader = null;
+        this.vertexSource = null;
+    }
+
+    clear() {
+        const released = { programs: 0, shaders: 0 };
+        const gl = this.gl;
+        this.entries.forEach(entry => this._deleteEntry(entry, released));
+        if (this.vertexShader) {
+            try {
+                gl.deleteShader(this.vertexShader);
+                released.shaders++;
+            } catch (e) {}
+        }
+        this.reset();
+        if (SHADER_CACHES.get(gl) === this) SHADER_CACHES.delete(gl);
+        return released;
+    }
+
+    getStats() {
+        const entries = [...this.entries.values()];
+        return {
+            variants: entries.length,
+            ready: entries.filter(entry => entry.status === 'ready').length,
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length,
+            inUse: entries.filter(entry => entry.refCount > 0).length,
+            parallelCompile: !!this.parallelCompile,
+            ...this.stats
+        };
+    }
+
+    _lookup(key, fragmentSource) {
+        // Same key with different GLSL (e.g. a re-registered geometry) is a different variant
+        const mapKey = `${key}#${ShaderVariantCache._hash(fragmentSource)}`;
+        const entry = this.entries.get(mapKey);
+        if (!entry) return null;
+        // Re-insert to mark most recently used
+        this.entries.delete(mapKey);
+        this.entries.set(mapKey, entry);
+        return entry;
+    }
+
+    _build(key, vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const mapKey = `${key}#${ShaderVariantCache._hash(fragmentSource)}`;
+        const entry = {
+            key, mapKey, fragmentSource, status: 'pending', refCount: 0, ready: null, uniformOwner: null,
+            program: null, fragmentShader: null, uniformLocations: {}, attributeLocations: {}
+        };
+        this.entries.set(mapKey, entry);
+
+        if (!this.vertexShader || this.vertexSource !== vertexSource) {
+            this.vertexShader = this._compile(vertexSource, gl.VERTEX_SHADER);
+            this.vertexSource = vertexSource;
+        }
+        entry.fragmentShader = this._compile(fragmentSource, gl.FRAGMENT_SHADER);
+        entry.program = gl.createProgram();
+        if (!this.vertexShader || !entry.fragmentShader || !entry.program) {
+            console.error(`Failed create program for variant '${key}'.`);
+            entry.status = 'failed';
+            return entry;
+        }
+        gl.attachShader(entry.program, this.vertexShader);
+        gl.attachShader(entry.program, entry.fragmentShader);
+        gl.linkProgram(entry.program);
+        return entry;
+    }
+
+    _compile(source, type) {
+        const shader = this.gl.createShader(type);
+        if (!shader) return null;
+        this.gl.shaderSource(shader, source);
+        this.gl.compileShader(shader);
+        return shader;
+    }
+
+    // Status queries block until the driver finishes, so they only happen here
+    _finalize(entry) {
+        const gl = this.gl;
+        const stages = [
+            { label: 'base-vertex', shader: this.vertexShader, source: this.vertexSource, isVertex: true },
+            { label: `fragment-${entry.key}`, shader: entry.fragmentShader, source: entry.fragmentSource, isVertex: false }
+        ];
+        for (const stage of stages) {
+            if (!gl.getShaderParameter(stage.shader, gl.COMPILE_STATUS)) {
+                const log = gl.getShaderInfoLog(stage.shader);
+                console.error(`Compile error shader '${stage.label}':\n${log}`);
+                this._logShaderSourceWithError(stage.source, log);
+                this._fail(entry, stage.isVertex);
+                return;
+            }
+        }
+        if (!gl.getProgramParameter(entry.program, gl.LINK_STATUS)) {
+            console.error(`Link error variant '${entry.key}':\n${gl.getProgramInfoLog(entry.program)}`);
+            this._fail(entry, false);
+            return;
+        }
+        entry.status = 'ready';
+        console.log(`Program variant '${entry.key}' created/linked.`);
+    }
+
+    _fail(entry, vertexFailed) {
+        this._deleteEntry(entry, { programs: 0, shaders: 0 });
+        entry.status = 'failed';
+        if (vertexFailed) {
+            try { this.gl.deleteShader(this.vertexShader); } catch (e) {}
+            this.vertexShader = null;
+            this.vertexSource = null;
+        }
+    }
+
+    _deleteEntry(entry, released) {
+        const gl = this.gl;
+        if (entry.program) {
+            try {
+                gl.getAttachedShaders(entry.program)?.forEach(s => gl.detachShader(entry.program, s));
+                gl.deleteProgram(entry.program);
+                released.programs++;
+            } catch (e) {}
+        }
+        if (entry.fragmentShader) {
+            try {
+                gl.deleteShader(entry.fragmentShader);
+                released.shaders++;
+            } catch (e) {}
+        }
+        entry.program = null;
+        entry.fragmentShader = null;
+    }
+
+    _evict() {
+        for (const [mapKey, entry] of this.entries) {
+            if (this.entries.size <= this.options.maxPrograms) return;
+            if (entry.refCount > 0 || (entry.status === 'pending' && entry.ready)) continue;
+            this._deleteEntry(entry, { programs: 0, shaders: 0 });
+            entry.status = 'evicted';
+            this.entries.delete(mapKey);
+            this.stats.evictions++;
+        }
+    }
+
+    _logShaderSourceWithError(source, errorLog) { 
+        const lines=source.split('\n'); 
+        const match=errorLog.match(/ERROR:\s*\d+:(\d+):/); 
+        let errLine=match?parseInt(match[1],10):-1; 
+        console.error("--- Shader Source ---"); 
+        lines.forEach((line, i)=>{
+            const p=(i+1===errLine)?">> ": "   "; 
+            console.error(p+(i+1).toString().padStart(3)+": "+line);
+        }); 
+        console.error("--- Shader Source End ---"); 
+    }
+
+    static _hash(source) {
+        let hash = 0;
+        for (let i = 0; i < source.length; i++) {
+            hash = (hash * 31 + source.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+}
+
+// ============================================================================
+// 🎛️ SHADER MANAGER (WORKING IMPLEMENTATION)
+// ============================================================================
+
+class ShaderManager {
+    constructor(gl, geometryManager, projectionManager, options = {}) { 
+        if (!gl) throw new Error("WebGL context needed."); 
+        if (!geometryManager) throw new Error("GeometryManager needed."); 
+        if (!projectionManager) throw new Error("ProjectionManager needed."); 
+        this.gl = gl; 
+        this.geometryManager = geometryManager; 
+        this.projectionManager = projectionManager; 
+        this.options = this._mergeDefaults(options); 
+        this.shaderSources = {}; 
+        this.programs = {}; 
+        this.programVariants = {}; 
+        this.uniformLocations = {}; 
+        this.attributeLocations = {}; 
+        this.currentProgramName = null; 
+        this.isDisposed = false; 
+        this.variantCache = this.options.variantCache || ShaderVariantCache.forContext(gl, this.options.shaderCache); 
+        this.variantCache.attach(this); 
+        this._initShaderTemplates(); 
+    }
+    
+    _mergeDefaults(options){ 
+        return { 
+            baseVertexShaderName: 'base-vertex', 
+            baseFragmentShaderName: 'base-fragment', 
+            ...options 
+        }; 
+    }
+    
+    _initShaderTemplates(){ 
+        this._registerShaderSource(this.options.baseVertexShaderName, this._getBaseVertexShaderSource(), this.gl.VERTEX_SHADER); 
+        this._registerShaderSource(this.options.baseFragmentShaderName, this._getBaseFragmentShaderSource(), this.gl.FRAGMENT_SHADER); 
+    }
+    
+    _registerShaderSource(name, source, type){ 
+        this.shaderSources[name] = { source, type }; 
+    }
+    
+    /**
+     * Assemble the fragment source for a variant. Feature flags become #defines.
+     * The geometry may be a morph pair from ShaderManager.morphName().
+     * @returns {{key: string, vertexSource: string, fragmentSource: string}|null}
+     */
+    buildVariantSource(geometryTypeName, projectionMethodName, features = []) { 
+        const vsInfo = this.shaderSources[this.options.baseVertexShaderName]; 
+        const fsInfo = this.shaderSources[this.options.baseFragmentShaderName]; 
+        if (!vsInfo || !fsInfo) { 
+            console.error(`❌ Base shader sources missing. VS: ${!!vsInfo}, FS: ${!!fsInfo}`); 
+            return null; 
+        } 
+        
+        const geometryNames = geometryTypeName.split('>'); 
+        const geoms = geometryNames.map(name => this.geometryManager.getGeometry(name)); 
+        const proj = this.projectionManager.getProjection(projectionMethodName); 
+        if (geoms.some(geom => !geom) || !proj) { 
+            console.error(`❌ Geom/Proj provider missing. Geom: ${geoms.every(Boolean)}, Proj: ${!!proj}`); 
+            return null; 
+        } 
+        
+        const declareUniforms = plugin => Object.entries(plugin.getManifest().uniforms || {}) 
+            .map(([name, spec]) => `uniform ${spec.type} ${name};\n`).join(''); 
+        const geomGLSL = geoms.length === 1 
+            ? this._geometryGLSL(geoms[0], declareUniforms(geoms[0])) 
+            : this._morphGeometryGLSL(geometryNames, geoms); 
+        const projCode = proj.getShaderCode(); 
+        const projGLSL = typeof projCode === 'string' ? declareUniforms(proj) + projCode : projCode; 
+        
+        if (typeof geomGLSL !== 'string' || typeof projGLSL !== 'string') { 
+            console.error(`❌ Invalid GLSL returned. GeomGLSL type: ${typeof geomGLSL}, ProjGLSL type: ${typeof projGLSL}`); 
+            console.error(`❌ GeomGLSL preview:`, geomGLSL ? geomGLSL.substring(0, 100) : 'null');
+            console.error(`❌ ProjGLSL preview:`, projGLSL ? projGLSL.substring(0, 100) : 'null');
+            return null; 
+        } 
+        
+        // Validate that required functions exist in the shader code
+        if (!geomGLSL.includes('calculateLattice')) {
+            console.error(`❌ Geometry shader missing calculateLattice function`);
+            console.error(`❌ Geometry GLSL content:`, geomGLSL);
+            return null;
+        }
+        
+        if (!projGLSL.includes('project4Dto3D')) {
+            console.error(`❌ Projection shader missing project4Dto3D function`);  
+            console.error(`❌ Projection GLSL content:`, projGLSL);
+            return null;
+        }
+        
+        const invalidFeature = features.find(flag => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(flag)); 
+        if (invalidFeature !== undefined) { 
+            console.error(`❌ Invalid shader feature flag '${invalidFeature}'`); 
+            return null; 
+        } 
+        
+        let fsSource = fsInfo.source; 
+        fsSource = fsSource.replace('//__GEOMETRY_CODE_INJECTION_POINT__', geomGLSL); 
+        fsSource = fsSource.replace('//__PROJECTION_CODE_INJECTION_POINT__', projGLSL); 
+        
+        // Validate injection worked
+        if (fsSource.includes('//__GEOMETRY_CODE_INJECTION_POINT__') || fsSource.includes('//__PROJECTION_CODE_INJECTION_POINT__')) {
+            console.error(`❌ Shader code injection failed - injection points still present`);
+            return null;
+        }
+        
+        const defines = [...features].sort().map(flag => `#define ${flag}\n`).join(''); 
+        return { 
+            key: ShaderVariantCache.variantKey(geometryTypeName, projectionMethodName, features), 
+            vertexSource: vsInfo.source, 
+            fragmentSource: defines + fsSource 
+        }; 
+    }
+    
+    _geometryGLSL(geom, uniformDeclarations) { 
+        const code = geom.getShaderCode(); 
+        return typeof code === 'string' ? uniformDeclarations + code : code; 
+    }
+    
+    /**
+     * Both lattices of a morph pair, each renamed with its geometry's suffix
+     * (calculateLattice → calculateLattice_torus), behind a calculateLattice
+     * that crossfades them by u_geometryBlend.
+     */
+    _morphGeometryGLSL(names, geoms) { 
+        const uniformTypes = new Map(); 
+        for (const geom of geoms) { 
+            for (const [name, spec] of Object.entries(geom.getManifest().uniforms || {})) { 
+                if (uniformTypes.has(name) && uniformTypes.get(name) !== spec.type) { 
+                    console.error(`❌ Morph ${names.join(' → ')}: uniform '${name}' is declared as both ${uniformTypes.get(name)} and ${spec.type}`); 
+                    return null; 
+                } 
+                uniformTypes.set(name, spec.type); 
+            } 
+        } 
+        const codes = geoms.map(geom => geom.getShaderCode()); 
+        const invalid = codes.find(code => typeof code !== 'string'); 
+        if (invalid !== undefined) return invalid; 
+        
+        const suffixes = names.map(name => `_${name.replace(/\W+/g, '_')}`); 
+        const lattices = codes.map((code, i) => ShaderManager.namespaceGLSL(code, suffixes[i])).join('\n'); 
+        const uniforms = [...uniformTypes].map(([name, type]) => `uniform ${type} ${name};\n`).join(''); 
+        return `${uniforms}${lattices}
+            uniform float u_geometryBlend;
+            float calculateLattice(vec3 p) {
+                return mix(calculateLattice${suffixes[0]}(p), calculateLattice${suffixes[1]}(p), u_geometryBlend);
+            }`; 
+    }
+    
+    /** Geometry slot name for a morph program, as accepted by buildVariantSource(). */
+    static morphName(fromGeometry, toGeometry) { 
+        return `${fromGeometry}>${toGeometry}`; 
+    }
+    
+    /**
+     * Append `suffix` to every top-level function and global a plugin declares,
+     * so two plugins can share one program. Comments are dropped.
+     */
+    static namespaceGLSL(glsl, suffix) { 
+        const source = glsl.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, ' '); 
+        const names = new Set(); 
+        let braces = 0, parens = 0; 
+        const tokens = /[{}()]|\b(?:void|bool|int|float|[ib]?vec[234]|mat[234])\s+([A-Za-z_]\w*)/g; 
+        for (const match of source.matchAll(tokens)) { 
+            if (match[0] === '{') braces++; 
+            else if (match[0] === '}') braces--; 
+            else if (match[0] === '(') parens++; 
+            else if (match[0] === ')') parens--; 
+            else if (braces === 0 && parens === 0) names.add(match[1]); 
+        } 
+        // Skip swizzles and fields: a global named 'a' must not rewrite color.a
+        return [...names].reduce((code, name) => 
+            code.replace(new RegExp(`(?<!\\.)\\b${name}\\b`, 'g'), name + suffix), source); 
+    }
+    
+    createDynamicProgram(programName, geometryTypeName, projectionMethodName, features = []) { 
+        if (this.isDisposed) return null; 
+        console.log(`🔧 Creating shader program: ${programName} with geometry: ${geometryTypeName}, projection: ${projectionMethodName}`);
+        
+        const variant = this.buildVariantSource(geometryTypeName, projectionMethodName, features); 
+        if (!variant) return null; 
+        
+        const entry = this.variantCache.acquire(variant.key, variant.vertexSource, variant.fragmentSource); 
+        const previous = this.programVariants[programName]; 
+        if (previous) this.variantCache.release(previous); 
+        
+        if (entry) { 
+            this.programVariants[programName] = entry; 
+            this.programs[programName] = entry.program; 
+            this.uniformLocations[programName] = entry.uniformLocations; 
+            this.attributeLocations[programName] = entry.attributeLocations; 
+        } else { 
+            console.error(`❌ Shader variant '${variant.key}' failed to build`); 
+            delete this.programVariants[programName]; 
+            this.programs[programName] = null; 
+        } 
+        
+        if (this.currentProgramName === programName) { 
+            if (entry) { 
+                this.gl.useProgram(entry.program); 
+            } else { 
+                this.gl.useProgram(null); 
+                this.currentProgramName = null; 
+                console.error(`Failed rebuild active program '${programName}'.`); 
+            } 
+        } 
+        return entry ? entry.program : null; 
+    }
+    
+    /**
+     * Compile a variant in the background (parallel when KHR_parallel_shader_compile exists).
+     * @returns {Promise<boolean>} true once the variant can be bound without stalling
+     */
+    prepareVariant(geometryTypeName, projectionMethodName, features = []) { 
+        if (this.isDisposed) return Promise.resolve(false); 
+        const variant = this.buildVariantSource(geometryTypeName, projectionMethodName, features); 
+        if (!variant) return Promise.resolve(false); 
+        return this.variantCache.prepare(variant.key, variant.vertexSource, variant.fragmentSource); 
+    }
+    
+    /**
+     * Start compiling a variant unless it has already been built.
+     * @returns {?Promise<boolean>} as prepareVariant(); null when there is nothing to wait for
+     */
+    startVariant(geometryTypeName, projectionMethodName, features = []) { 
+        if (this.isDisposed) return null; 
+        const variant = this.buildVariantSource(geometryTypeName, projectionMethodName, features); 
+        if (!variant) return null; 
+        const status = this.variantCache.getStatus(variant.key, variant.fragmentSource); 
+        if (status === 'ready' || status === 'failed') return null; 
+        return this.variantCache.prepare(variant.key, variant.vertexSource, variant.fragmentSource); 
+    }
+    
+    /** 'missing' | 'pending' | 'ready' | 'failed' */
+    getVariantStatus(geometryTypeName, projectionMethodName, features = []) { 
+        const variant = this.isDisposed ? null : this.buildVariantSource(geometryTypeName, projectionMethodName, features); 
+        return variant ? this.variantCache.getStatus(variant.key, variant.fragmentSource) : 'failed'; 
+    }
+    
+    /**
+     * Precompile a set of variants, e.g. every geometry a selector can switch to.
+     * @param {Array<{geometryType: string, projectionMethod: string, features?: string[]}>} variants
+     * @returns {Promise<{ready: string[], failed: string[]}>}
+     */
+    async warmUp(variants) { 
+        const results = await Promise.all(variants.map(({ geometryType, projectionMethod, features = [] }) => 
+            this.prepareVariant(geometryType, projectionMethod, features).then(ok => ({ 
+                key: ShaderVariantCache.variantKey(geometryType, projectionMethod, features), ok 
+            })) 
+        )); 
+        return { 
+            ready: results.filter(r => r.ok).map(r => r.key), 
+            failed: results.filter(r => !r.ok).map(r => r.key) 
+        }; 
+    }
+    
+    useProgram(programName) { 
+        if (this.isDisposed) return false; 
+        if (programName === null) { 
+            if (this.currentProgramName !== null) { 
+                try { 
+                    this.gl.useProgram(null); 
+                } catch(e){} 
+                this.currentProgramName = null; 
+            } 
+            return true; 
+        } 
+        const program = this.programs[programName]; 
+        if (program) { 
+            const currentGLProgram = this.gl.getParameter(this.gl.CURRENT_PROGRAM); 
+            if (currentGLProgram !== program) { 
+                try { 
+                    this.gl.useProgram(program); 
+                } catch(e) { 
+                    console.error(`useProgram failed for ${programName}`, e); 
+                    return false;
+                } 
+            } 
+            this.currentProgramName = programName; 
+            return true; 
+        } else { 
+            console.warn(`Program '${programName}' not found or invalid.`); 
+            if (this.currentProgramName === programName) { 
+                this.currentProgramName = null; 
+                try { 
+                    this.gl.useProgram(null); 
+                } catch(e){} 
+            } 
+            return false;
+        } 
+    }
+    
+    getUniformLocation(name) { 
+        if (this.isDisposed || !this.currentProgramName || !this.programs[this.currentProgramName]) { 
+            return null; 
+        } 
+        const cache = this.uniformLocations[this.currentProgramName]; 
+        if (cache.hasOwnProperty(name)) { 
+            return cache[name]; 
+        } 
+        const loc = this.gl.getUniformLocation(this.programs[this.currentProgramName], name); 
+        cache[name] = loc; 
+        return loc; 
+    }
+    
+    getAttributeLocation(name) { 
+        if (this.isDisposed || !this.currentProgramName || !this.programs[this.currentProgramName]) { 
+            return null; 
+        } 
+        const cache = this.attributeLocations[this.currentProgramName]; 
+        if (cache.hasOwnProperty(name)) { 
+            return cache[name]; 
+        } 
+        const loc = this.gl.getAttribLocation(this.programs[this.currentProgramName], name); 
+        cache[name] = (loc === -1) ? null : loc; 
+        return cache[name]; 
+    }
+    
+    /**
+     * Release this manager's variants. Programs are shared through the
+     * per-context cache, so GL objects are only deleted once the last manager
+     * on the context lets go. Safe to call more than once; afterwards all methods are no-ops.
+     * @returns {{programs: number, shaders: number}} GL objects released
+     */
+    dispose() { 
+        const released = { programs: 0, shaders: 0 }; 
+        if (this.isDisposed) return released; 
+        try { 
+            if (this.currentProgramName !== null) this.gl.useProgram(null); 
+        } catch (e) {} 
+        Object.values(this.programVariants).forEach(entry => this.variantCache.release(entry)); 
+        Object.assign(released, this.variantCache.detach(this)); 
+        this.programs = {}; 
+        this.programVariants = {}; 
+        this.uniformLocations = {}; 
+        this.attributeLocations = {}; 
+        this.currentProgramName = null; 
+        this.isDisposed = true; 
+        return released; 
+    }
+    
+    _getBaseVertexShaderSource() { 
+        return `attribute vec2 a_position; varying vec2 v_uv; void main() { v_uv = a_position * 0.5 + 0.5; gl_Position = vec4(a_position, 0.0, 1.0); }`; 
+    }
+    
+    _getBaseFragmentShaderSource() {
+        return `
+            precision highp float;
+            uniform vec2 u_resolution; uniform float u_time;
+            uniform float u_dimension; uniform float u_morphFactor; uniform float u_rotationSpeed;
+            uniform float u_universeModifier; uniform float u_patternIntensity; uniform float u_gridDensity;
+            uniform float u_lineThickness; uniform float u_shellWidth; uniform float u_tetraThickness;
+            uniform float u_audioBass; uniform float u_audioMid; uniform float u_audioHigh;
+            uniform float u_glitchIntensity; uniform float u_colorShift; uniform vec2 u_mouse;
+            uniform mat4 u_rotation4D;
+            uniform float u_rot4DXY; uniform float u_rot4DXZ; uniform float u_rot4DYZ;
+            uniform float u_rot4DXW; uniform float u_rot4DYW; uniform float u_rot4DZW;
+            uniform vec3 u_primaryColor; uniform vec3 u_secondaryColor; uniform vec3 u_backgroundColor;
+            varying vec2 v_uv;
+            mat4 rotXW(float a){float c=cos(a),s=sin(a);return mat4(c,0,0,-s, 0,1,0,0, 0,0,1,0, s,0,0,c);} 
+            mat4 rotYW(float a){float c=cos(a),s=sin(a);return mat4(1,0,0,0, 0,c,0,-s, 0,0,1,0, 0,s,0,c);} 
+            mat4 rotZW(float a){float c=cos(a),s=sin(a);return mat4(1,0,0,0, 0,1,0,0, 0,0,c,-s, 0,0,s,c);} 
+            mat4 rotXY(float a){float c=cos(a),s=sin(a);return mat4(c,-s,0,0, s,c,0,0, 0,0,1,0, 0,0,0,1);} 
+            mat4 rotYZ(float a){float c=cos(a),s=sin(a);return mat4(1,0,0,0, 0,c,-s,0, 0,s,c,0, 0,0,0,1);} 
+            mat4 rotXZ(float a){float c=cos(a),s=sin(a);return mat4(c,0,-s,0, 0,1,0,0, s,0,c,0, 0,0,0,1);}
+            vec3 rgb2hsv(vec3 c){vec4 K=vec4(0.,-1./3.,2./3.,-1.);vec4 p=mix(vec4(c.bg,K.wz),vec4(c.gb,K.xy),step(c.b,c.g));vec4 q=mix(vec4(p.xyw,c.r),vec4(c.r,p.yzx),step(p.x,c.r));float d=q.x-min(q.w,q.y);float e=1e-10;return vec3(abs(q.z+(q.w-q.y)/(6.*d+e)),d/(q.x+e),q.x);} 
+            vec3 hsv2rgb(vec3 c){vec4 K=vec4(1.,2./3.,1./3.,3.);vec3 p=abs(fract(c.xxx+K.xyz)*6.-K.www);return c.z*mix(K.xxx,clamp(p-K.xxx,0.,1.),c.y);}
+            //__PROJECTION_CODE_INJECTION_POINT__
+            //__GEOMETRY_CODE_INJECTION_POINT__
+            float glitchHash(vec2 p){return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);}
+            vec3 shadeScene(vec2 uv) {
+                vec3 rayOrigin = vec3(0.0, 0.0, -2.5); 
+                vec3 rayDirection = normalize(vec3(uv, 1.0));
+                float camRotY = u_time * 0.05 * u_rotationSpeed + u_audioMid * 0.1; 
+                float camRotX = sin(u_time * 0.03 * u_rotationSpeed) * 0.15 + u_audioHigh * 0.1;
+                mat4 camMat = rotXY(camRotX) * rotYZ(camRotY); 
+                rayDirection = (camMat * vec4(rayDirection, 0.0)).xyz;
+                vec3 p = rayDirection * 1.5; 
+                // 4D depth: above 3D the sample point is lifted into W and turned through the XW/YW planes
+                float depth4D = clamp(u_dimension - 3.0, 0.0, 2.0) * 0.5;
+                if (depth4D > 0.0) {
+                    vec4 p4 = vec4(p, sin(u_time * 0.2 + length(p) * 2.0) * depth4D * 0.5);
+                    p4 = u_rotation4D * rotYW(depth4D * 0.6 + u_audioBass * 0.2) * p4;
+                    p = mix(p, p4.xyz, depth4D);
+                }
+                float latticeValue = calculateLattice(p);
+                vec3 color = mix(u_backgroundColor, u_primaryColor, latticeValue);
+                color = mix(color, u_secondaryColor, smoothstep(0.2, 0.7, u_audioMid) * latticeValue * 0.6);
+                if (abs(u_colorShift) > 0.01) { 
+                    vec3 hsv = rgb2hsv(color); 
+                    hsv.x = fract(hsv.x + u_colorShift * 0.5 + u_audioHigh * 0.1); 
+                    color = hsv2rgb(hsv); 
+                }
+                return color * (0.8 + u_patternIntensity * 0.7);
+            }
+            // Pointer lens: u_mouse is element-relative [0,1] with a top-left origin; negative means no pointer
+            vec2 applyPointerDistortion(vec2 uv, vec2 aspect) {
+                if (u_mouse.x < 0.0 || u_mouse.y < 0.0) return uv;
+                vec2 pointer = (vec2(u_mouse.x, 1.0 - u_mouse.y) * 2.0 - 1.0) * aspect;
+                vec2 offset = uv - pointer;
+                float dist = length(offset);
+                float lens = exp(-dist * dist * 6.0) * (0.12 + u_audioHigh * 0.08);
+                return uv - offset * lens;
+            }
+            // Post-process: RGB split, scanlines and block tearing, all scaled by u_glitchIntensity.
+            // The split costs two more scene samples, so it fades in from 0.08 to 0.16: idle
+            // timeline glitch (0.05-0.07) shades once, master/face cues and bridge clicks split
+            vec3 applyGlitch(vec2 uv) {
+                if (u_glitchIntensity <= 0.001) return shadeScene(uv);
+                float block = floor(v_uv.y * 24.0 + floor(u_time * 12.0));
+                float tear = step(1.0 - u_glitchIntensity * 0.8, glitchHash(vec2(block, floor(u_time * 8.0))));
+                uv.x += tear * (glitchHash(vec2(block, 1.7)) - 0.5) * u_glitchIntensity * 0.6;
+                vec3 color = shadeScene(uv);
+                if (u_glitchIntensity > 0.08) {
+                    float width = u_glitchIntensity * (0.04 + u_audioBass * 0.03) * smoothstep(0.08, 0.16, u_glitchIntensity);
+                    color.r = shadeScene(uv + vec2(width, 0.0)).r;
+                    color.b = shadeScene(uv - vec2(width, 0.0)).b;
+                }
+                float scanline = 0.5 + 0.5 * sin(v_uv.y * u_resolution.y * 1.5 + u_time * 30.0);
+                return color * (1.0 - u_glitchIntensity * 0.35 * scanline);
+            }
+            void main() {
+                vec2 aspect = vec2(u_resolution.x / u_resolution.y, 1.0); 
+                vec2 uv = (v_uv * 2.0 - 1.0) * aspect;
+                uv = applyPointerDistortion(uv, aspect);
+                vec3 color = applyGlitch(uv);
+                color = pow(clamp(color, 0.0, 1.5), vec3(0.9));
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `;
+    }
+}
+
+// ============================================================================
+// 📈 EASING CURVES
+// ============================================================================
+
+// Progress curves for timed changes: t in [0, 1] → eased progress
+const EASING_CURVES = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2),
+    easeInOutSine: t => (1 - Math.cos(Math.PI * t)) / 2
+};
+
+/**
+ * CSS-style cubic-bezier(x1, y1, x2, y2) as a progress curve. Solves the curve's
+ * x for t by bisection, so y1/y2 outside [0, 1] (overshoot) are fine.
+ */
+function cubicBezierCurve(x1, y1, x2, y2) {
+    const axis = (a, b, t) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
+    return progress => {
+        if (progress <= 0) return 0;
+        if (progress >= 1) return 1;
+        let low = 0, high = 1, t = progress;
+        for (let i = 0; i < 24; i++) {
+            t = (low + high) / 2;
+            if (axis(x1, x2, t) < progress) low = t; else high = t;
+        }
+        return axis(y1, y2, t);
+    };
+}
+
+// ============================================================================
+// 🔄 4D ROTATION
+// ============================================================================
+
+const ROTATION_PLANES = ['xy', 'xz', 'yz', 'xw', 'yw', 'zw'];
+const AXIS_INDEX = { x: 0, y: 1, z: 2, w: 3 };
+
+/**
+ * Compose the six plane rotations into one column-major mat4 (same convention
+ * as the shader's rotXW()...rotZW()). Applied order: zw first, xy last.
+ * @param {{xy:number, xz:number, yz:number, xw:number, yw:number, zw:number}} angles - Radians
+ * @param {Float32Array} [out]
+ * @returns {Float32Array}
+ */
+function composeRotation4D(angles, out = new Float32Array(16)) {
+    out.fill(0);
+    out[0] = out[5] = out[10] = out[15] = 1;
+    const scratch = new Float32Array(16);
+    ROTATION_PLANES.forEach(plane => {
+        const angle = angles[plane] || 0;
+        if (angle === 0) return;
+        const i = AXIS_INDEX[plane[0]], j = AXIS_INDEX[plane[1]];
+        const c = Math.cos(angle), s = Math.sin(angle);
+        // out = out * R(plane): only columns i and j change
+        scratch.set(out);
+        for (let row = 0; row < 4; row++) {
+            const a = scratch[i * 4 + row], b = scratch[j * 4 + row];
+            out[i * 4 + row] = a * c - b * s;
+            out[j * 4 + row] = a * s + b * c;
+        }
+    });
+    return out;
+}
+
+// ============================================================================
+// 🎚️ UNIFORM REGISTRY
+// ============================================================================
+
+const UNIFORM_UPLOADERS = {
+    '1f': (gl, loc, v) => gl.uniform1f(loc, v),
+    '1i': (gl, loc, v) => gl.uniform1i(loc, v),
+    '2fv': (gl, loc, v) => gl.uniform2fv(loc, v),
+    '3fv': (gl, loc, v) => gl.uniform3fv(loc, v),
+    '4fv': (gl, loc, v) => gl.uniform4fv(loc, v),
+    'mat4': (gl, loc, v) => gl.uniformMatrix4fv(loc, false, v)
+};
+
+// State path → GLSL uniform. Nested paths use dots ('audioLevels.bass').
+const DEFAULT_UNIFORMS = [
+    { path: 'time', uniform: 'u_time', type: '1f' },
+    { path: 'resolution', uniform: 'u_resolution', type: '2fv' },
+    { path: 'dimensions', uniform: 'u_dimension', type: '1f' },
+    { path: 'morphFactor', uniform: 'u_morphFactor', type: '1f' },
+    { path: 'rotationSpeed', uniform: 'u_rotationSpeed', type: '1f' },
+    { path: 'universeModifier', uniform: 'u_universeModifier', type: '1f' },
+    { path: 'patternIntensity', uniform: 'u_patternIntensity', type: '1f' },
+    { path: 'gridDensity', uniform: 'u_gridDensity', type: '1f', read: state => Math.min(state.gridDensity, state._quality.maxGridDensity) },
+    { path: 'lineThickness', uniform: 'u_lineThickness', type: '1f' },
+    { path: 'shellWidth', uniform: 'u_shellWidth', type: '1f' },
+    { path: 'tetraThickness', uniform: 'u_tetraThickness', type: '1f' },
+    { path: 'glitchIntensity', uniform: 'u_glitchIntensity', type: '1f' },
+    { path: 'colorShift', uniform: 'u_colorShift', type: '1f' },
+    { path: 'mouse', uniform: 'u_mouse', type: '2fv' },
+    { path: 'geometryBlend', uniform: 'u_geometryBlend', type: '1f' },
+    { path: '_rotationMatrix4D', uniform: 'u_rotation4D', type: 'mat4' },
+    { path: 'rotation4D.xy', uniform: 'u_rot4DXY', type: '1f' },
+    { path: 'rotation4D.xz', uniform: 'u_rot4DXZ', type: '1f' },
+    { path: 'rotation4D.yz', uniform: 'u_rot4DYZ', type: '1f' },
+    { path: 'rotation4D.xw', uniform: 'u_rot4DXW', type: '1f' },
+    { path: 'rotation4D.yw', uniform: 'u_rot4DYW', type: '1f' },
+    { path: 'rotation4D.zw', uniform: 'u_rot4DZW', type: '1f' },
+    { path: 'audioLevels.bass', uniform: 'u_audioBass', type: '1f' },
+    { path: 'audioLevels.mid', uniform: 'u_audioMid', type: '1f' },
+    { path: 'audioLevels.high', uniform: 'u_audioHigh', type: '1f' },
+    { path: 'colorScheme.primary', uniform: 'u_primaryColor', type: '3fv' },
+    { path: 'colorScheme.secondary', uniform: 'u_secondaryColor', type: '3fv' },
+    { path: 'colorScheme.background', uniform: 'u_backgroundColor', type: '3fv' }
+];
+
+/**
+ * Declarative map between HypercubeCore state and shader uniforms.
+ * Marking a path dirty resolves to its uniform(s); marking a parent path
+ * ('audioLevels') marks every child entry. An entry's optional read(state)
+ * derives the uploaded value instead of reading the path directly.
+ */
+class UniformRegistry {
+    constructor(entries = DEFAULT_UNIFORMS) {
+        this.byPath = new Map();
+        this.byUniform = new Map();
+        entries.forEach(entry => this.register(entry));
+    }
+
+    register({ path, uniform, type, upload, read }) {
+        const uploader = upload || UNIFORM_UPLOADERS[type];
+        if (!uploader) {
+            console.error(`Unknown uniform type '${type}' for ${uniform}.`);
+            return null;
+        }
+        const entry = { path, uniform, type, upload: uploader, read: read || null, segments: path.split('.') };
+        this.byPath.set(path, entry);
+        this.byUniform.set(uniform, entry);
+        return entry;
+    }
+
+    unregister(uniform) {
+        const entry = this.byUniform.get(uniform);
+        if (!entry) return false;
+        this.byUniform.delete(uniform);
+        this.byPath.delete(entry.path);
+        return true;
+    }
+
+    /** Uniform names affected by a change to `path` (exact match or any child of it). */
+    uniformsForPath(path) {
+        const exact = this.byPath.get(path);
+        if (exact) return [exact.uniform];
+        const prefix = `${path}.`;
+        const names = [];
+        this.byPath.forEach((entry, entryPath) => {
+            if (entryPath.startsWith(prefix)) names.push(entry.uniform);
+        });
+        return names;
+    }
+
+    getEntry(uniform) {
+        return this.byUniform.get(uniform) || null;
+    }
+
+    getUniformNames() {
+        return [...this.byUniform.keys()];
+    }
+
+    readValue(state, entry) {
+        if (entry.read) return entry.read(state);
+        let value = state;
+        for (const segment of entry.segments) {
+            if (value === undefined || value === null) return undefined;
+            value = value[segment];
+        }
+        return value;
+    }
+}
+
+// ============================================================================
+// 🧭 PARAMETER RESOLUTION
+// ============================================================================
+
+// Names used by the editor, bridge and demo pages → canonical state paths.
+// GLSL uniform names (u_audioBass, u_dimension...) resolve through the UniformRegistry.
+const PARAMETER_ALIASES = {
+    dimension: 'dimensions',
+    morph: 'morphFactor',
+    grid: 'gridDensity',
+    rotation: 'rotationSpeed',
+    geometry: 'geometryType',
+    projection: 'projectionMethod',
+    bass: 'audioLevels.bass',
+    mid: 'audioLevels.mid',
+    high: 'audioLevels.high'
+};
+
+const PARAMETER_RANGES = {
+    dimensions: { min: 3.0, max: 5.0 },
+    morphFactor: { min: 0.0, max: 2.0 },
+    rotationSpeed: { min: 0.0, max: 5.0 },
+    universeModifier: { min: 0.3, max: 2.5 },
+    patternIntensity: { min: 0.0, max: 5.0 },
+    gridDensity: { min: 1.0, max: 50.0 },
+    lineThickness: { min: 0.001, max: 0.2 },
+    shellWidth: { min: 0.001, max: 0.2 },
+    tetraThickness: { min: 0.001, max: 0.2 },
+    glitchIntensity: { min: 0.0, max: 1.0 },
+    colorShift: { min: -1.0, max: 1.0 },
+    geometryBlend: { min: 0.0, max: 1.0 },
+    'audioLevels.bass': { min: 0.0, max: 1.0 },
+    'audioLevels.mid': { min: 0.0, max: 1.0 },
+    'audioLevels.high': { min: 0.0, max: 1.0 },
+    'moire.baseGridDensity': { min: 1.0, max: 200.0 },
+    'moire.offsetGridDensity': { min: 1.0, max: 200.0 },
+    'moire.tertiaryGridDensity': { min: 1.0, max: 200.0 },
+    'moire.interferenceIntensity': { min: 0.0, max: 2.0 },
+    'moire.colorSeparation': { min: 0.0, max: 5.0 },
+    'moire.mix': { min: 0.0, max: 1.0 }
+};
+
+/**
+ * Turns whatever a caller passes to updateParameters into canonical state paths.
+ * Accepts state keys, aliases, uniform names and dotted paths; numeric values
+ * are clamped to PARAMETER_RANGES. Keys that resolve to nothing are reported, never guessed.
+ */
+class ParameterResolver {
+    constructor(uniformRegistry, options = {}) {
+        this.uniformRegistry = uniformRegistry;
+        this.aliases = { ...PARAMETER_ALIASES, ...(options.aliases || {}) };
+        this.ranges = { ...PARAMETER_RANGES, ...(options.ranges || {}) };
+    }
+
+    /** Canonical path for `key` against `state`, or null when it names nothing. */
+    resolveKey(key, state) {
+        let path = this.aliases[key];
+        if (!path) {
+            const entry = this.uniformRegistry.getEntry(key);
+            path = entry ? entry.path : key;
+        }
+        const [root, child, ...rest] = path.split('.');
+        if (root.startsWith('_') || !Object.hasOwnProperty.call(state, root) || rest.length > 0) return null;
+        if (child === undefined) return path;
+        const parent = state[root];
+        const isGroup = typeof parent === 'object' && parent !== null && !Array.isArray(parent);
+        return isGroup && Object.hasOwnProperty.call(parent, child) ? path : null;
+    }
+
+    /**
+     * @param {Object} params - Raw parameters from the caller
+     * @param {Object} state - Current HypercubeCore state
+     * @returns {{updates: Array<{path: string, value: *}>, unknown: string[],
+     *            clamped: Array<{key: string, value: *, clampedTo: number}>, rejected: string[]}}
+     */
+    resolve(params, state) {
+        const result = { updates: [], unknown: [], clamped: [], rejected: [] };
+        for (const key in params) {
+            const path = this.resolveKey(key, state);
+            if (!path) {
+                result.unknown.push(key);
+                continue;
+            }
+            let value = params[key];
+            const current = state[path];
+            // A bare boolean switches a group with an `enabled` flag ({ moire: false })
+            if (typeof value === 'boolean' && typeof current === 'object' && current !== null
+                && Object.hasOwnProperty.call(current, 'enabled')) {
+                value = { enabled: value };
+            }
+            // Group objects ({ audioLevels: { bass } }) expand into their dotted children
+            if (!path.includes('.') && typeof current === 'object' && current !== null && !Array.isArray(current)
+                && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                for (const child in value) {
+                    this._pushValue(result, `${key}.${child}`, this.resolveKey(`${path}.${child}`, state), value[child]);
+                }
+            } else {
+                this._pushValue(result, key, path, value);
+            }
+        }
+        return result;
+    }
+
+    _pushValue(result, key, path, value) {
+        if (!path) {
+            result.unknown.push(key);
+            return;
+        }
+        const range = this.ranges[path];
+        if (!range) {
+            result.updates.push({ path, value });
+            return;
+        }
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            result.rejected.push(key);
+            return;
+        }
+        const clamped = Math.min(range.max, Math.max(range.min, number));
+        if (clamped !== number) result.clamped.push({ key, value, clampedTo: clamped });
+        result.updates.push({ path, value: clamped });
+    }
+}
+
+// ============================================================================
+// 🛟 CONTEXT RECOVERY CONTROLLER
+// ============================================================================
+
+const DEFAULT_CONTEXT_RECOVERY = {
+    maxAttempts: 3,
+    initialDelay: 500,
+    backoffFactor: 2,
+    maxDelay: 8000
+};
+
+/**
+ * Single recovery path for a WebGL context. Both the `webglcontextlost`/
+ * `webglcontextrestored` events and in-render-loop `isContextLost()` checks
+ * funnel into handleLost()/handleRestored(); retries use exponential backoff.
+ *
+ * handlers.onLost()      - context went away (stop drawing)
+ * handlers.onRestore()   - rebuild GL resources, return false if that failed
+ * handlers.onFailed(err) - every attempt used up
+ */
+class ContextRecoveryController {
+    constructor(gl, handlers = {}, options = {}) {
+        this.gl = gl;
+        this.handlers = handlers;
+        this.options = { ...DEFAULT_CONTEXT_RECOVERY, ...options };
+        this.isLost = false;
+        this.attempts = 0;
+        this.restoreCount = 0;
+        this.timer = null;
+        this.disposed = false;
+        // Must be fetched while the context is alive
+        this.loseContextExt = gl.getExtension('WEBGL_lose_context');
+    }
+
+    handleLost(event) {
+        event?.preventDefault?.();
+        if (this.disposed || this.isLost) return;
+        this.isLost = true;
+        this.attempts = 0;
+        this.handlers.onLost?.();
+        this._scheduleAttempt();
+    }
+
+    handleRestored() {
+        if (this.disposed || !this.isLost) return;
+        this._clearTimer();
+        let restored = false;
+        try {
+            restored = this.handlers.onRestore?.() !== false;
+        } catch (error) {
+            console.error('Context restore handler failed:', error);
+        }
+        if (restored) {
+            this.isLost = false;
+            this.attempts = 0;
+            this.restoreCount++;
+        } else {
+            this._scheduleAttempt();
+        }
+    }
+
+    getNextDelay() {
+        const { initialDelay, backoffFactor, maxDelay } = this.options;
+        return Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, this.attempts));
+    }
+
+    _scheduleAttempt() {
+        if (this.disposed || this.timer !== null) return;
+        if (this.attempts >= this.options.maxAttempts) {
+            console.error(`Context recovery gave up after ${this.attempts} attempts.`);
+            this.handlers.onFailed?.(new Error('WebGL context permanently lost'));
+            return;
+        }
+        const delay = this.getNextDelay();
+        this.attempts++;
+        console.log(`Context recovery attempt ${this.attempts}/${this.options.maxAttempts} in ${delay}ms`);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._attempt();
+        }, delay);
+    }
+
+    _attempt() {
+        if (this.disposed || !this.isLost) return;
+        if (!this.gl.isContextLost()) {
+            this.handleRestored();
+            return;
+        }
+        // Only honoured when the loss came from WEBGL_lose_context; the browser restores on its own otherwise
+        try {
+            this.loseContextExt?.restoreContext();
+        } catch (e) {}
+        this._scheduleAttempt();
+    }
+
+    _clearTimer() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    dispose() {
+        this._clearTimer();
+        this.disposed = true;
+    }
+}
+
+// ============================================================================
+// 🖼️ SHARED WEBGL RENDERER (MULTI-VIEWPORT)
+// ============================================================================
+
+/**
+ * Owns a single offscreen WebGL context and draws every registered
+ * HypercubeCore into its own slot of that canvas (viewport + scissor),
+ * then copies each slot into the core's visible 2D canvas.
+ * Keeps dashboards with dozens of visualizers under the browser context limit.
+ */
+class SharedWebGLRenderer {
+    constructor(options = {}) {
+        this.options = {
+            maxAtlasSize: 4096,
+            slotPadding: 1,
+            contextAttributes: {
+                alpha: true,
+                antialias: false,
+                depth: false,
+                stencil: false,
+                preserveDrawingBuffer: false,
+                powerPreference: "default",
+                failIfMajorPerformanceCaveat: false
+            },
+            ...options
+        };
+
+        this.canvas = this.options.canvas || document.createElement('canvas');
+        this.canvas.width = 1;
+        this.canvas.height = 1;
+        this.gl = this.canvas.getContext('webgl2', this.options.contextAttributes) ||
+                  this.canvas.getContext('webgl', this.options.contextAttributes);
+        if (!this.gl) {
+            throw new Error("Failed to initialize shared WebGL context");
+        }
+
+        const maxDims = this.gl.getParameter(this.gl.MAX_VIEWPORT_DIMS);
+        this.maxAtlasSize = Math.min(this.options.maxAtlasSize, maxDims ? Math.min(maxDims[0], maxDims[1]) : this.options.maxAtlasSize);
+
+        this.cores = new Set();
+        this.animationFrameId = null;
+        this.contextLost = false;
+        this._frameCallback = this._frame.bind(this);
+
+        this.contextRecovery = new ContextRecoveryController(this.gl, {
+            onLost: () => {
+                console.warn('Shared WebGL context lost');
+                this.contextLost = true;
+                this._cancelFrame();
+                this.cores.forEach(core => core._handleContextLost());
+            },
+            onRestore: () => {
+                console.log('Shared WebGL context restored');
+                this.contextLost = false;
+                // Cores that fail to rebuild report through their own onError
+                this.cores.forEach(core => core._reinitializeAfterContextRestore());
+                this.requestFrame();
+                return true;
+            },
+            onFailed: (error) => {
+                this.cores.forEach(core => core.state.callbacks.onError?.(error));
+            }
+        }, this.options.contextRecovery);
+
+        this.canvas.addEventListener('webglcontextlost', (event) => this.contextRecovery.handleLost(event));
+        this.canvas.addEventListener('webglcontextrestored', () => this.contextRecovery.handleRestored());
+
+        console.log(`🖼️ Shared WebGL renderer ready (atlas max ${this.maxAtlasSize}px)`);
+    }
+
+    static getDefault() {
+        if (!SharedWebGLRenderer._defaultInstance) {
+            SharedWebGLRenderer._defaultInstance = new SharedWebGLRenderer();
+        }
+        return SharedWebGLRenderer._defaultInstance;
+    }
+
+    register(core) {
+        this.cores.add(core);
+    }
+
+    unregister(core) {
+        this.cores.delete(core);
+        if (this.cores.size === 0) this._cancelFrame();
+    }
+
+    requestFrame() {
+        if (this.animationFrameId === null && !this.contextLost) {
+            this.animationFrameId = requestAnimationFrame(this._frameCallback);
+        }
+    }
+
+    _cancelFrame() {
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    _frame(timestamp) {
+        this.animationFrameId = null;
+        if (this.contextLost) return;
+        if (this.gl.isContextLost()) {
+            this.contextRecovery.handleLost();
+            return;
+        }
+
+        const active = [...this.cores].filter(core => core.state.isRendering);
+        if (active.length === 0) return;
+
+        // Shelf-pack the active cores into the atlas; flush whenever it fills up
+        let batch = [];
+        let cursorX = 0, cursorY = 0, shelfHeight = 0, usedWidth = 0;
+        const pad = this.options.slotPadding;
+
+        for (const core of active) {
+            core._checkResize();
+            const width = Math.max(1, Math.min(core.canvas.width, this.maxAtlasSize));
+            const height = Math.max(1, Math.min(core.canvas.height, this.maxAtlasSize));
+
+            if (cursorX + width > this.maxAtlasSize) {
+                cursorX = 0;
+                cursorY += shelfHeight + pad;
+                shelfHeight = 0;
+            }
+            if (cursorY + height > this.maxAtlasSize) {
+                this._renderBatch(batch, usedWidth, cursorY + shelfHeight, timestamp);
+                batch = [];
+                cursorX = 0;
+                cursorY = 0;
+                shelfHeight = 0;
+                usedWidth = 0;
+            }
+
+            batch.push({ core, x: cursorX, y: cursorY, width, height });
+            cursorX += width + pad;
+            usedWidth = Math.max(usedWidth, cursorX);
+            shelfHeight = Math.max(shelfHeight, height);
+        }
+        this._renderBatch(batch, usedWidth, cursorY + shelfHeight, timestamp);
+
+        if ([...this.cores].some(core => core.state.isRendering)) {
+            this.requestFrame();
+        }
+    }
+
+    _renderBatch(batch, atlasWidth, atlasHeight, timestamp) {
+        if (batch.length === 0) return;
+        const gl = this.gl;
+
+        // Grow only, so steady-state frames never reallocate the drawing buffer
+        if (this.canvas.width < atlasWidth) this.canvas.width = Math.min(this.maxAtlasSize, atlasWidth);
+        if (this.canvas.height < atlasHeight) this.canvas.height = Math.min(this.maxAtlasSize, atlasHeight);
+
+        gl.enable(gl.SCISSOR_TEST);
+        const rendered = batch.filter(slot => {
+            // GL origin is bottom-left, atlas slots are laid out top-left
+            const glY = this.canvas.height - slot.y - slot.height;
+            gl.viewport(slot.x, glY, slot.width, slot.height);
+            gl.scissor(slot.x, glY, slot.width, slot.height);
+            return slot.core._renderFrame(timestamp);
+        });
+        gl.disable(gl.SCISSOR_TEST);
+
+        rendered.forEach(slot => {
+            const ctx = slot.core.outputContext;
+            const target = slot.core.canvas;
+            ctx.clearRect(0, 0, target.width, target.height);
+            ctx.drawImage(this.canvas, slot.x, slot.y, slot.width, slot.height, 0, 0, target.width, target.height);
+        });
+    }
+
+    getStatus() {
+        return {
+            registeredCores: this.cores.size,
+            renderingCores: [...this.cores].filter(core => core.state.isRendering).length,
+            atlasSize: [this.canvas.width, this.canvas.height],
+            contextLost: this.contextLost,
+            uniformUploadsLastFrame: [...this.cores].reduce((sum, core) => sum + core.uniformStats.lastFrameUploads, 0)
+        };
+    }
+}
+
+// ============================================================================
+// 👁️ VISIBILITY SCHEDULER
+// ============================================================================
+
+/**
+ * Suspends cores whose canvas is scrolled out of view, collapsed or in a
+ * hidden tab, and resumes them when they come back. Suspension freezes the
+ * core's clock, so u_time (and every animation driven by it) continues from
+ * where it stopped instead of jumping ahead. Cores created with
+ * alwaysRender: true keep running regardless.
+ */
+class VisibilityScheduler {
+    constructor(options = {}) {
+        this.options = {
+            rootMargin: '100px',    // start drawing slightly before a canvas scrolls into view
+            threshold: 0,
+            ...options
+        };
+        this.cores = new Map();     // core → { visible }
+        this.documentHidden = typeof document !== 'undefined' && !!document.hidden;
+        // Without IntersectionObserver every canvas counts as visible; only tab visibility applies
+        this._observer = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(entries => this._onIntersection(entries), {
+                rootMargin: this.options.rootMargin,
+                threshold: this.options.threshold
+            })
+            : null;
+        this._onVisibilityChange = () => {
+            this.documentHidden = !!document.hidden;
+            this.cores.forEach((entry, core) => this._apply(core));
+        };
+        if (typeof document !== 'undefined') {
+            document.addEventListener?.('visibilitychange', this._onVisibilityChange);
         }
-        
-        if (!projGLSL.includes('project4Dto3D')) {
-            console.error(`❌ Projection shader missing project4Dto3D function`);  
-            console.error(`❌ Projection GLSL content:`, projGLSL);
-            return null;
+    }
+
+    static getDefault() {
+        if (!VisibilityScheduler._defaultInstance) {
+            VisibilityScheduler._defaultInstance = new VisibilityScheduler();
+        }
+        return VisibilityScheduler._defaultInstance;
+    }
+
+    register(core) {
+        if (this.cores.has(core)) return;
+        this.cores.set(core, { visible: true });
+        this._observer?.observe(core.canvas);
+    }
+
+    unregister(core) {
+        if (!this.cores.delete(core)) return;
+        this._observer?.unobserve(core.canvas);
+        if (!core.isDisposed) core.resume();
+    }
+
+    /** Whether the core's canvas can currently be seen (alwaysRender cores always can). */
+    shouldRender(core) {
+        const entry = this.cores.get(core);
+        if (!entry || core.alwaysRender) return true;
+        return !this.documentHidden && entry.visible;
+    }
+
+    setAlwaysRender(core, alwaysRender) {
+        core.alwaysRender = !!alwaysRender;
+        this._apply(core);
+    }
+
+    getStatus() {
+        const cores = [...this.cores.keys()];
+        return {
+            cores: cores.length,
+            activeCores: cores.filter(core => core.state.isRendering).length,
+            suspendedCores: cores.filter(core => core.state.isSuspended).length,
+            alwaysRender: cores.filter(core => core.alwaysRender).length,
+            offscreen: [...this.cores.values()].filter(entry => !entry.visible).length,
+            documentHidden: this.documentHidden,
+            observing: !!this._observer
+        };
+    }
+
+    dispose() {
+        [...this.cores.keys()].forEach(core => this.unregister(core));
+        this._observer?.disconnect();
+        if (typeof document !== 'undefined') {
+            document.removeEventListener?.('visibilitychange', this._onVisibilityChange);
+        }
+        if (VisibilityScheduler._defaultInstance === this) VisibilityScheduler._defaultInstance = null;
+    }
+
+    _apply(core) {
+        if (core.isDisposed) return;
+        if (this.shouldRender(core)) {
+            core.resume();
+        } else {
+            core.suspend();
         }
+    }
+
+    _onIntersection(entries) {
+        entries.forEach(({ target, isIntersecting }) => {
+            this.cores.forEach((entry, core) => {
+                if (core.canvas !== target || entry.visible === isIntersecting) return;
+                entry.visible = isIntersecting;
+                this._apply(core);
+            });
+        });
+    }
+}
+
+// ============================================================================
+// 🌈 MOIRÉ COMPOSITING PASS
+// ============================================================================
+
+const MOIRE_PASS_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    varying vec2 v_uv;
+    void main() {
+        v_uv = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+// Same three-grid interference as VIB34DMoireRGBEngine, but the grids sample the
+// rendered lattice: grid lines are bent by its brightness and each colour channel
+// reads it through its own offset, so the beats come from the lattice itself
+const MOIRE_PASS_FRAGMENT_SHADER = `
+    precision mediump float;
+    
+    uniform sampler2D u_scene;
+    uniform vec2 u_resolution;
+    uniform float u_time;
+    uniform float u_gridDensity;
+    uniform float u_offsetDensity;
+    uniform float u_tertiaryDensity;
+    uniform vec2 u_redOffset;
+    uniform vec2 u_greenOffset;
+    uniform vec2 u_blueOffset;
+    uniform float u_interferenceIntensity;
+    uniform float u_colorSeparation;
+    uniform float u_mix;
+    varying vec2 v_uv;
+    
+    float moireGrid(vec2 uv, float density, vec2 offset, float phase) {
+        vec2 grid = fract((uv + offset) * density + phase);
+        vec2 edges = abs(grid - 0.5);
+        return 1.0 - smoothstep(0.0, 0.02, min(edges.x, edges.y));
+    }
+    
+    void main() {
+        vec3 scene = texture2D(u_scene, v_uv).rgb;
+        // Offsets are in the engine's grid units; scale them up to a visible fringe
+        float separation = u_colorSeparation * 10.0;
+        vec3 split = vec3(
+            texture2D(u_scene, v_uv + u_redOffset * separation).r,
+            texture2D(u_scene, v_uv + u_greenOffset * separation).g,
+            texture2D(u_scene, v_uv + u_blueOffset * separation).b
+        );
         
-        const fsName = this.options.baseFragmentShaderName; 
-        const fsInfo = this.shaderSources[fsName]; 
-        if (!fsInfo) { 
-            console.error(`❌ Base FS source '${fsName}' missing.`); 
-            return null; 
-        } 
+        vec2 p = vec2(v_uv.x * u_resolution.x / max(u_resolution.y, 1.0), v_uv.y);
+        float luminance = dot(split, vec3(0.299, 0.587, 0.114));
+        p += (luminance - 0.5) * 0.02;
         
-        console.log(`🔧 Injecting shader code into fragment shader template`);
-        let fsSource = fsInfo.source; 
-        fsSource = fsSource.replace('//__GEOMETRY_CODE_INJECTION_POINT__', geomGLSL); 
-        fsSource = fsSource.replace('//__PROJECTION_CODE_INJECTION_POINT__', projGLSL); 
+        vec3 grids = vec3(
+            moireGrid(p, u_gridDensity, u_redOffset, u_time * 0.5),
+            moireGrid(p, u_offsetDensity, u_greenOffset, u_time * 0.7),
+            moireGrid(p, u_tertiaryDensity, u_blueOffset, u_time * 0.3)
+        );
+        float interference = sin(grids.r * 6.28) * cos(grids.g * 6.28) * sin(grids.b * 6.28);
         
-        // Validate injection worked
-        if (fsSource.includes('//__GEOMETRY_CODE_INJECTION_POINT__') || fsSource.includes('//__PROJECTION_CODE_INJECTION_POINT__')) {
-            console.error(`❌ Shader code injection failed - injection points still present`);
-            return null;
+        vec3 moire = split * (1.0 + (grids - 0.5) * u_interferenceIntensity);
+        moire += split * interference * u_interferenceIntensity * 0.2;
+        gl_FragColor = vec4(mix(scene, clamp(moire, 0.0, 1.0), u_mix), 1.0);
+    }
+`;
+
+/**
+ * Post-processing pass for one HypercubeCore: begin() redirects the lattice
+ * draw into a texture, end() composites it to the real target through the
+ * moiré grids. GL objects are created on first use and sized to the canvas.
+ */
+class MoireCompositor {
+    constructor(gl) {
+        this.gl = gl;
+        this.program = null;
+        this.locations = {};
+        this.positionLocation = -1;
+        this.texture = null;
+        this.framebuffer = null;
+        this.size = [0, 0];
+        this.failed = null;
+    }
+    
+    /** @returns {boolean} false when the pass can't run; draw straight to the target then */
+    begin(width, height) {
+        if (this.failed) return false;
+        const gl = this.gl;
+        try {
+            if (!this.program) this._buildProgram();
+            if (!this.framebuffer || this.size[0] !== width || this.size[1] !== height) this._buildTarget(width, height);
+        } catch (error) {
+            this.failed = error;
+            console.error('Moiré pass disabled:', error.message);
+            return false;
         }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.disable(gl.SCISSOR_TEST);
+        gl.viewport(0, 0, width, height);
+        return true;
+    }
+    
+    /**
+     * @param {Object} target
+     * @param {WebGLFramebuffer|null} target.framebuffer
+     * @param {number[]} target.viewport - [x, y, width, height]
+     * @param {boolean} target.scissor - re-enable the scissor test (shared atlas slots)
+     * @param {Object} settings - HypercubeCore state.moire
+     * @param {number} time - seconds
+     * @param {WebGLBuffer} quadBuffer
+     */
+    end(target, settings, time, quadBuffer) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(...target.viewport);
+        if (target.scissor) gl.enable(gl.SCISSOR_TEST);
         
-        console.log(`📝 Final fragment shader length: ${fsSource.length}`);
-        console.log(`🔧 Compiling fragment shader: ${geometryTypeName}-${projectionMethodName}`);
-        
-        const fsId = `fragment-${geometryTypeName}-${projectionMethodName}`; 
-        const fs = this._compileShader(fsId, fsSource, fsInfo.type); 
-        if (!fs) {
-            console.error(`❌ Fragment shader compilation failed`);
-            console.error(`❌ Fragment shader source preview:`, fsSource.substring(0, 500));
-            return null; 
-        }
-        console.log(`✅ Fragment shader compiled successfully`);
+        gl.useProgram(this.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        const set1f = (name, value) => this.locations[name] && gl.uniform1f(this.locations[name], value);
+        const set2f = (name, value) => this.locations[name] && gl.uniform2fv(this.locations[name], value);
+        if (this.locations.u_scene) gl.uniform1i(this.locations.u_scene, 0);
+        set2f('u_resolution', this.size);
+        set1f('u_time', time);
+        set1f('u_gridDensity', settings.baseGridDensity);
+        set1f('u_offsetDensity', settings.offsetGridDensity);
+        set1f('u_tertiaryDensity', settings.tertiaryGridDensity);
+        set2f('u_redOffset', settings.redOffset);
+        set2f('u_greenOffset', settings.greenOffset);
+        set2f('u_blueOffset', settings.blueOffset);
+        set1f('u_interferenceIntensity', settings.interferenceIntensity);
+        set1f('u_colorSeparation', settings.colorSeparation);
+        set1f('u_mix', settings.mix);
         
-        console.log(`🔧 Linking shader program: ${programName}`);
-        const newProg = this._createProgram(programName, vs, fs); 
-        if (this.currentProgramName === programName) { 
-            if (newProg) { 
-                this.gl.useProgram(newProg); 
-            } else { 
-                this.gl.useProgram(null); 
-                this.currentProgramName = null; 
-                console.error(`Failed rebuild active program '${programName}'.`); 
-            } 
-        } 
-        return newProg; 
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(this.positionLocation);
+        gl.vertexAttribPointer(this.positionLocation, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.bindTexture(gl.TEXTURE_2D, null);
     }
     
-    useProgram(programName) { 
-        if (programName === null) { 
-            if (this.currentProgramName !== null) { 
-                try { 
-                    this.gl.useProgram(null); 
-                } catch(e){} 
-                this.currentProgramName = null; 
-            } 
-            return true; 
-        } 
-        const program = this.programs[programName]; 
-        if (program) { 
-            const currentGLProgram = this.gl.getParameter(this.gl.CURRENT_PROGRAM); 
-            if (currentGLProgram !== program) { 
-                try { 
-                    this.gl.useProgram(program); 
-                } catch(e) { 
-                    console.error(`useProgram failed for ${programName}`, e); 
-                    return false;
-                } 
-            } 
-            this.currentProgramName = programName; 
-            return true; 
-        } else { 
-            console.warn(`Program '${programName}' not found or invalid.`); 
-            if (this.currentProgramName === programName) { 
-                this.currentProgramName = null; 
-                try { 
-                    this.gl.useProgram(null); 
-                } catch(e){} 
-            } 
-            return false;
-        } 
+    _buildProgram() {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                const log = gl.getShaderInfoLog(shader);
+                gl.deleteShader(shader);
+                throw new Error(`moiré shader compile failed: ${log}`);
+            }
+            return shader;
+        };
+        const vertex = compile(gl.VERTEX_SHADER, MOIRE_PASS_VERTEX_SHADER);
+        const fragment = compile(gl.FRAGMENT_SHADER, MOIRE_PASS_FRAGMENT_SHADER);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+        gl.deleteShader(vertex);
+        gl.deleteShader(fragment);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(`moiré program link failed: ${log}`);
+        }
+        this.program = program;
+        this.positionLocation = gl.getAttribLocation(program, 'a_position');
+        this.locations = {};
+        ['u_scene', 'u_resolution', 'u_time', 'u_gridDensity', 'u_offsetDensity', 'u_tertiaryDensity',
+         'u_redOffset', 'u_greenOffset', 'u_blueOffset', 'u_interferenceIntensity', 'u_colorSeparation', 'u_mix']
+            .forEach(name => { this.locations[name] = gl.getUniformLocation(program, name); });
     }
     
-    getUniformLocation(name) { 
-        if (!this.currentProgramName || !this.programs[this.currentProgramName]) { 
-            return null; 
-        } 
-        const cache = this.uniformLocations[this.currentProgramName]; 
-        if (cache.hasOwnProperty(name)) { 
-            return cache[name]; 
-        } 
-        const loc = this.gl.getUniformLocation(this.programs[this.currentProgramName], name); 
-        cache[name] = loc; 
-        return loc; 
+    _buildTarget(width, height) {
+        const gl = this.gl;
+        this._releaseTarget();
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        // Canvas sizes are rarely powers of two: WebGL 1 needs clamping and no mipmaps
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (!complete) {
+            this._releaseTarget();
+            throw new Error('moiré framebuffer incomplete');
+        }
+        this.size = [width, height];
     }
     
-    getAttributeLocation(name) { 
-        if (!this.currentProgramName || !this.programs[this.currentProgramName]) { 
-            return null; 
-        } 
-        const cache = this.attributeLocations[this.currentProgramName]; 
-        if (cache.hasOwnProperty(name)) { 
-            return cache[name]; 
-        } 
-        const loc = this.gl.getAttribLocation(this.programs[this.currentProgramName], name); 
-        cache[name] = (loc === -1) ? null : loc; 
-        return cache[name]; 
+    _releaseTarget() {
+        if (this.framebuffer) this.gl.deleteFramebuffer(this.framebuffer);
+        if (this.texture) this.gl.deleteTexture(this.texture);
+        this.framebuffer = null;
+        this.texture = null;
+        this.size = [0, 0];
     }
     
-    _getBaseVertexShaderSource() { 
-        return `attribute vec2 a_position; varying vec2 v_uv; void main() { v_uv = a_position * 0.5 + 0.5; gl_Position = vec4(a_position, 0.0, 1.0); }`; 
+    /** The context was lost: its objects are gone, rebuild on the next begin(). */
+    reset() {
+        this.program = null;
+        this.texture = null;
+        this.framebuffer = null;
+        this.size = [0, 0];
+        this.failed = null;
     }
     
-    _getBaseFragmentShaderSource() {
-        return `
-            precision highp float;
-            uniform vec2 u_resolution; uniform float u_time;
-            uniform float u_dimension; uniform float u_morphFactor; uniform float u_rotationSpeed;
-            uniform float u_universeModifier; uniform float u_patternIntensity; uniform float u_gridDensity;
-            uniform float u_lineThickness; uniform float u_shellWidth; uniform float u_tetraThickness;
-            uniform float u_audioBass; uniform float u_audioMid; uniform float u_audioHigh;
-            uniform float u_glitchIntensity; uniform float u_colorShift;
-            uniform vec3 u_primaryColor; uniform vec3 u_secondaryColor; uniform vec3 u_backgroundColor;
-            varying vec2 v_uv;
-            mat4 rotXW(float a){float c=cos(a),s=sin(a);return mat4(c,0,0,-s, 0,1,0,0, 0,0,1,0, s,0,0,c);} 
-            mat4 rotYW(float a){float c=cos(a),s=sin(a);return mat4(1,0,0,0, 0,c,0,-s, 0,0,1,0, 0,s,0,c);} 
-            mat4 rotZW(float a){float c=cos(a),s=sin(a);return mat4(1,0,0,0, 0,1,0,0, 0,0,c,-s, 0,0,s,c);} 
-            mat4 rotXY(float a){float c=cos(a),s=sin(a);return mat4(c,-s,0,0, s,c,0,0, 0,0,1,0, 0,0,0,1);} 
-            mat4 rotYZ(float a){float c=cos(a),s=sin(a);return mat4(1,0,0,0, 0,c,-s,0, 0,s,c,0, 0,0,0,1);} 
-            mat4 rotXZ(float a){float c=cos(a),s=sin(a);return mat4(c,0,-s,0, 0,1,0,0, s,0,c,0, 0,0,0,1);}
-            vec3 rgb2hsv(vec3 c){vec4 K=vec4(0.,-1./3.,2./3.,-1.);vec4 p=mix(vec4(c.bg,K.wz),vec4(c.gb,K.xy),step(c.b,c.g));vec4 q=mix(vec4(p.xyw,c.r),vec4(c.r,p.yzx),step(p.x,c.r));float d=q.x-min(q.w,q.y);float e=1e-10;return vec3(abs(q.z+(q.w-q.y)/(6.*d+e)),d/(q.x+e),q.x);} 
-            vec3 hsv2rgb(vec3 c){vec4 K=vec4(1.,2./3.,1./3.,3.);vec3 p=abs(fract(c.xxx+K.xyz)*6.-K.www);return c.z*mix(K.xxx,clamp(p-K.xxx,0.,1.),c.y);}
-            //__PROJECTION_CODE_INJECTION_POINT__
-            //__GEOMETRY_CODE_INJECTION_POINT__
-            void main() {
-                vec2 aspect = vec2(u_resolution.x / u_resolution.y, 1.0); 
-                vec2 uv = (v_uv * 2.0 - 1.0) * aspect;
-                vec3 rayOrigin = vec3(0.0, 0.0, -2.5); 
-                vec3 rayDirection = normalize(vec3(uv, 1.0));
-                float camRotY = u_time * 0.05 * u_rotationSpeed + u_audioMid * 0.1; 
-                float camRotX = sin(u_time * 0.03 * u_rotationSpeed) * 0.15 + u_audioHigh * 0.1;
-                mat4 camMat = rotXY(camRotX) * rotYZ(camRotY); 
-                rayDirection = (camMat * vec4(rayDirection, 0.0)).xyz;
-                vec3 p = rayDirection * 1.5; 
-                float latticeValue = calculateLattice(p);
-                vec3 color = mix(u_backgroundColor, u_primaryColor, latticeValue);
-                color = mix(color, u_secondaryColor, smoothstep(0.2, 0.7, u_audioMid) * latticeValue * 0.6);
-                if (abs(u_colorShift) > 0.01) { 
-                    vec3 hsv = rgb2hsv(color); 
-                    hsv.x = fract(hsv.x + u_colorShift * 0.5 + u_audioHigh * 0.1); 
-                    color = hsv2rgb(hsv); 
-                }
-                color *= (0.8 + u_patternIntensity * 0.7);
-                color = pow(clamp(color, 0.0, 1.5), vec3(0.9));
-                gl_FragColor = vec4(color, 1.0);
-            }
-        `;
+    /** @returns {number} programs released */
+    dispose() {
+        const released = this.program ? 1 : 0;
+        if (!this.gl.isContextLost()) {
+            this._releaseTarget();
+            if (this.program) this.gl.deleteProgram(this.program);
+        }
+        this.reset();
+        return released;
     }
 }
 
@@ -708,26 +3003,65 @@ const DEFAULT_STATE = {
     geometryType: 'hypercube', projectionMethod: 'perspective', dimensions: 4.0,
     morphFactor: 0.5, rotationSpeed: 0.2, universeModifier: 1.0, patternIntensity: 1.0,
     gridDensity: 8.0, lineThickness: 0.03, shellWidth: 0.025, tetraThickness: 0.035,
-    glitchIntensity: 0.0, colorShift: 0.0,
+    glitchIntensity: 0.0, colorShift: 0.0, mouse: [-1.0, -1.0],
+    // Crossfade from the previous geometry while transitionTo() runs
+    geometryBlend: 0.0,
+    // Optional compositing pass: the lattice is rendered to a texture and re-sampled through
+    // three offset grids with per-channel RGB offsets (same names as VIB34DMoireRGBEngine.config)
+    moire: {
+        enabled: false, baseGridDensity: 12.0, offsetGridDensity: 11.7, tertiaryGridDensity: 12.3,
+        redOffset: [0.0, 0.0], greenOffset: [0.002, 0.001], blueOffset: [-0.001, 0.002],
+        interferenceIntensity: 0.8, colorSeparation: 0.3, mix: 1.0
+    },
+    // Plane angles (radians) and velocities (radians/second, scaled by getRotationRate())
+    rotation4D: { xy: 0, xz: 0, yz: 0, xw: 0, yw: 0, zw: 0 },
+    rotation4DVelocity: { xy: 0, xz: 0, yz: 0.31, xw: 0.33, yw: -0.22, zw: 0.25 },
     audioLevels: { bass: 0, mid: 0, high: 0 },
     colorScheme: { primary: [1.0, 0.2, 0.8], secondary: [0.2, 1.0, 1.0], background: [0.05, 0.0, 0.2] },
-    needsShaderUpdate: false, _dirtyUniforms: new Set(), isRendering: false, animationFrameId: null,
-    shaderProgramName: 'maleficarumViz',
-    callbacks: { onRender: null, onError: null }
+    needsShaderUpdate: false, _dirtyUniforms: new Set(), isRendering: false, isSuspended: false, animationFrameId: null,
+    shaderProgramName: 'maleficarumViz', shaderFeatures: [],
+    geometryUniforms: {},
+    projectionUniforms: {},
+    callbacks: { onRender: null, onError: null, onContextLost: null, onContextRestored: null }
 };
 
+// Limits an AdaptiveQualityGovernor (or the page) sets through setQuality(); the defaults change nothing
+const DEFAULT_QUALITY = { resolutionScale: 1.0, maxGridDensity: Infinity, maxIterations: Infinity };
+
+// Every constructed, not yet disposed core
+const LIVE_CORES = new Set();
+
 class HypercubeCore {
     constructor(canvas, options = {}) {
-        if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
+        // Headless GL (headless-gl, SwiftShader) has no DOM canvas: with a provided
+        // context any { width, height } object stands in for it
+        const isCanvas = typeof HTMLCanvasElement !== 'undefined' && canvas instanceof HTMLCanvasElement;
+        if (!canvas || (!isCanvas && !options.webglContext)) {
             throw new Error("Valid HTMLCanvasElement needed.");
         }
         
         this.canvas = canvas;
+        this.renderMode = options.renderMode || 'auto';
+        this.sharedRenderer = null;
+        this._requestedRenderer = options.sharedRenderer || null;
+        this.outputContext = null;
+        this._providedContext = options.webglContext || null;
+        this.isDisposed = false;
+        this._resumeAfterRecovery = false;
+        this._onContextLost = (event) => this._contextRecovery.handleLost(event);
+        this._onContextRestored = () => this._contextRecovery.handleRestored();
         this.gl = this.initWebGL();
         if (!this.gl) {
             throw new Error("Failed to initialize WebGL context");
         }
         
+        // Shared cores follow the renderer's recovery; direct cores own one
+        this._contextRecovery = this.sharedRenderer ? this.sharedRenderer.contextRecovery : new ContextRecoveryController(this.gl, {
+            onLost: () => this._handleContextLost(),
+            onRestore: () => this._reinitializeAfterContextRestore(),
+            onFailed: (error) => this.state.callbacks.onError?.(error)
+        }, options.contextRecovery);
+        
         // Initialize managers
         this.geometryManager = new GeometryManager();
         this.projectionManager = new ProjectionManager();
@@ -736,12 +3070,38 @@ class HypercubeCore {
         this.quadBuffer = null;
         this.aPositionLoc = -1;
         
+        this.uniformRegistry = new UniformRegistry(options.uniforms || DEFAULT_UNIFORMS);
+        this.uniformStats = { frames: 0, totalUploads: 0, lastFrameUploads: 0, lastFrameUniforms: [], peakUploads: 0 };
+        this.parameterResolver = new ParameterResolver(this.uniformRegistry, options.parameters);
+        this.strictParameters = options.strictParameters === true;
+        this._warnedParameters = new Set();
+        this._iterationUniforms = new Set();
+        this._pinnedCanvasSize = false;
+        this._morph = null;
+        // Geometry plugin → its manifest rotationScale, read once per instance
+        this._rotationScales = new WeakMap();
+        // Variant compiling in the background: { key, waiting }
+        this._pendingVariant = null;
+        this._moirePass = null;
+        // Background elements that must animate even when offscreen or in a hidden tab
+        this.alwaysRender = options.alwaysRender === true;
+        this.visibilityScheduler = options.visibilityScheduler === false
+            ? null
+            : options.visibilityScheduler || VisibilityScheduler.getDefault();
+        
         // Initialize state
         this.state = { 
             ...DEFAULT_STATE, 
             ...options, 
             colorScheme: { ...DEFAULT_STATE.colorScheme, ...(options.colorScheme || {}) }, 
             audioLevels: { ...DEFAULT_STATE.audioLevels, ...(options.audioLevels || {}) }, 
+            moire: { ...DEFAULT_STATE.moire, ...(options.moire || {}) }, 
+            rotation4D: { ...DEFAULT_STATE.rotation4D, ...(options.rotation4D || {}) }, 
+            rotation4DVelocity: { ...DEFAULT_STATE.rotation4DVelocity, ...(options.rotation4DVelocity || {}) }, 
+            geometryUniforms: { ...(options.geometryUniforms || {}) }, 
+            projectionUniforms: { ...(options.projectionUniforms || {}) }, 
+            _rotationMatrix4D: new Float32Array(16), 
+            _quality: { ...DEFAULT_QUALITY }, 
             callbacks: { ...DEFAULT_STATE.callbacks, ...(options.callbacks || {}) }, 
             _dirtyUniforms: new Set() 
         };
@@ -749,10 +3109,11 @@ class HypercubeCore {
         this.state.lineThickness = options.lineThickness ?? DEFAULT_STATE.lineThickness;
         this.state.shellWidth = options.shellWidth ?? DEFAULT_STATE.shellWidth;
         this.state.tetraThickness = options.tetraThickness ?? DEFAULT_STATE.tetraThickness;
+        composeRotation4D(this.state.rotation4D, this.state._rotationMatrix4D);
         
         this._markAllUniformsDirty();
         
-        if (options.geometryType) this.state.geometryType = options.geometryType;
+        if (options.geometryType) this.state.geometryType = resolveGeometryName(options.geometryType);
         if (options.projectionMethod) this.state.projectionMethod = options.projectionMethod;
         if (options.shaderProgramName) this.state.shaderProgramName = options.shaderProgramName;
         
@@ -765,9 +3126,21 @@ class HypercubeCore {
             console.error("HypercubeCore Init Error:", error);
             this.state.callbacks.onError?.(error);
         }
+        this.visibilityScheduler?.register(this);
+        LIVE_CORES.add(this);
+    }
+    
+    /** Cores that have been constructed and not disposed yet. */
+    static getLiveCores() {
+        return [...LIVE_CORES];
     }
     
     initWebGL() {
+        if (this.renderMode !== 'direct' && !this._providedContext) {
+            const sharedGL = this._initSharedRendering();
+            if (sharedGL) return sharedGL;
+        }
+        
         // Configure WebGL context attributes to prevent context loss
         const contextAttributes = {
             alpha: true,
@@ -779,25 +3152,21 @@ class HypercubeCore {
             failIfMajorPerformanceCaveat: false
         };
         
-        const gl = this.canvas.getContext('webgl2', contextAttributes) || 
+        const gl = this._providedContext ||
+                   this.canvas.getContext('webgl2', contextAttributes) || 
                    this.canvas.getContext('webgl', contextAttributes);
         
         if (!gl) {
             console.error('WebGL not supported');
             return null;
         }
+        this.renderMode = 'direct';
         
-        // Add context loss/restore event handlers
-        this.canvas.addEventListener('webglcontextlost', (event) => {
-            console.warn('WebGL context lost for', this.canvas.id);
-            event.preventDefault();
-            this.stop();
-        });
-        
-        this.canvas.addEventListener('webglcontextrestored', (event) => {
-            console.log('WebGL context restored for', this.canvas.id);
-            this._reinitializeAfterContextRestore();
-        });
+        // Add context loss/restore event handlers (same references, so re-adding is a no-op)
+        if (typeof this.canvas.addEventListener === 'function') {
+            this.canvas.addEventListener('webglcontextlost', this._onContextLost);
+            this.canvas.addEventListener('webglcontextrestored', this._onContextRestored);
+        }
         
         // Enable necessary extensions
         gl.getExtension('OES_standard_derivatives');
@@ -810,60 +3179,137 @@ class HypercubeCore {
         return gl;
     }
     
-    _reinitializeAfterContextRestore() {
+    _initSharedRendering() {
+        // Already attached (e.g. after a shared context restore)
+        if (this.sharedRenderer) return this.sharedRenderer.gl;
+        
         try {
-            this.gl = this.initWebGL();
-            if (this.gl) {
-                this._setupWebGLState();
-                this._initBuffers();
-                this.state.needsShaderUpdate = true;
-                this._updateShaderIfNeeded();
-                // Only restart if it was running before
-                if (this.state.isRendering) {
-                    this.start();
-                }
+            const renderer = this._requestedRenderer || SharedWebGLRenderer.getDefault();
+            // Fails when the canvas already owns a WebGL context; fall back to direct mode then
+            const ctx = this.canvas.getContext('2d');
+            if (!ctx) {
+                if (this.renderMode === 'shared') console.warn('Shared rendering unavailable for', this.canvas.id, '- using direct context');
+                return null;
             }
+            this.sharedRenderer = renderer;
+            this.outputContext = ctx;
+            this.renderMode = 'shared';
+            renderer.register(this);
+            return renderer.gl;
+        } catch (error) {
+            console.warn('Shared WebGL renderer unavailable:', error);
+            return null;
+        }
+    }
+    
+    _handleContextLost() {
+        if (this.isDisposed) return;
+        console.warn('WebGL context lost for', this.canvas.id);
+        this._resumeAfterRecovery = this._resumeAfterRecovery || this.state.isRendering || this.state.isSuspended;
+        this.stop();
+        // Cached programs died with the context; forget them so the restore path recompiles
+        this.shaderManager.variantCache.reset();
+        this.shaderManager.dispose();
+        this._moirePass?.reset();
+        this.state.callbacks.onContextLost?.();
+    }
+    
+    /**
+     * Rebuild everything that lived in the old context: managers, programs,
+     * the quad buffer, the a_position attribute and every uniform.
+     * @returns {boolean} true when the core is ready to draw again
+     */
+    _reinitializeAfterContextRestore() {
+        if (this.isDisposed) return false;
+        const gl = this.gl;
+        if (!gl || gl.isContextLost()) return false;
+        
+        try {
+            // Old GL objects died with the context; nothing to delete
+            this.shaderManager = new ShaderManager(gl, this.geometryManager, this.projectionManager);
+            this._pendingVariant = null;
+            this.quadBuffer = null;
+            this.aPositionLoc = -1;
+            gl.getExtension('OES_standard_derivatives');
+            this._setupWebGLState();
+            this._initBuffers();
+            this.state.needsShaderUpdate = true;
+            if (!this._updateShaderIfNeeded()) return false;
         } catch (error) {
             console.error('Failed to reinitialize after context restore:', error);
+            return false;
+        }
+        
+        console.log('✅ WebGL resources rebuilt for', this.canvas.id);
+        this.state.callbacks.onContextRestored?.();
+        if (this._resumeAfterRecovery) {
+            this._resumeAfterRecovery = false;
+            this.start();
         }
+        return true;
     }
     
     _markAllUniformsDirty() { 
-        this.state._dirtyUniforms = new Set(); 
-        for (const key in DEFAULT_STATE) { 
-            if (['_dirtyUniforms', 'isRendering', 'animationFrameId', 'callbacks', 'startTime', 'lastUpdateTime', 'deltaTime', 'needsShaderUpdate', 'geometryType', 'projectionMethod', 'shaderProgramName'].includes(key)) continue; 
-            this._markUniformDirty(key); 
-        } 
+        this.state._dirtyUniforms = new Set(this.uniformRegistry.getUniformNames()); 
     }
     
-    _markUniformDirty(stateKey) { 
-        let uniformNames = []; 
-        switch (stateKey) { 
-            case 'time': uniformNames.push('u_time'); break; 
-            case 'resolution': uniformNames.push('u_resolution'); break; 
-            case 'dimensions': uniformNames.push('u_dimension'); break; 
-            case 'morphFactor': uniformNames.push('u_morphFactor'); break; 
-            case 'rotationSpeed': uniformNames.push('u_rotationSpeed'); break; 
-            case 'universeModifier': uniformNames.push('u_universeModifier'); break; 
-            case 'patternIntensity': uniformNames.push('u_patternIntensity'); break; 
-            case 'gridDensity': uniformNames.push('u_gridDensity'); break; 
-            case 'lineThickness': uniformNames.push('u_lineThickness'); break; 
-            case 'shellWidth': uniformNames.push('u_shellWidth'); break; 
-            case 'tetraThickness': uniformNames.push('u_tetraThickness'); break; 
-            case 'glitchIntensity': uniformNames.push('u_glitchIntensity'); break; 
-            case 'colorShift': uniformNames.push('u_colorShift'); break; 
-            case 'audioLevels': uniformNames.push('u_audioBass', 'u_audioMid', 'u_audioHigh'); break; 
-            case 'colorScheme': uniformNames.push('u_primaryColor', 'u_secondaryColor', 'u_backgroundColor'); break; 
-            default: break; 
-        } 
-        uniformNames.forEach(name => this.state._dirtyUniforms.add(name)); 
+    _markUniformDirty(statePath) { 
+        this.uniformRegistry.uniformsForPath(statePath).forEach(name => this.state._dirtyUniforms.add(name)); 
+        if (statePath === 'rotation4D' || statePath.startsWith('rotation4D.')) this._rotation4DChanged = true;
+    }
+    
+    /**
+     * What plane velocities are multiplied by: rotationSpeed times the geometry's
+     * manifest rotationScale, crossfaded while a morph runs.
+     * @returns {number}
+     */
+    getRotationRate() {
+        const scale = this._geometryRotationScale(this.state.geometryType);
+        if (!this._morph) return this.state.rotationSpeed * scale;
+        const from = this._geometryRotationScale(this._morph.from);
+        return this.state.rotationSpeed * (from + (scale - from) * this.state.geometryBlend);
+    }
+    
+    _geometryRotationScale(name) {
+        const geometry = this.geometryManager.geometries[name];
+        if (!geometry) return 1;
+        let scale = this._rotationScales.get(geometry);
+        if (scale === undefined) {
+            scale = geometry.getManifest().rotationScale ?? 1;
+            this._rotationScales.set(geometry, scale);
+        }
+        return scale;
+    }
+    
+    /** Integrate plane velocities and rebuild the shared rotation matrix when any angle moved. */
+    _advanceRotation4D(deltaTime) {
+        // Restarts rewind u_time, and tab switches stall it: neither should spin the view
+        const dt = Math.min(Math.max(deltaTime, 0), 0.1) * this.getRotationRate();
+        const angles = this.state.rotation4D;
+        const velocity = this.state.rotation4DVelocity;
+        if (dt > 0) {
+            let moved = false;
+            // In place: this runs every frame
+            ROTATION_PLANES.forEach(plane => {
+                if (!velocity[plane]) return;
+                angles[plane] = (angles[plane] + velocity[plane] * dt) % (Math.PI * 2);
+                moved = true;
+            });
+            if (moved) this._markUniformDirty('rotation4D');
+        }
+        if (this._rotation4DChanged) {
+            composeRotation4D(this.state.rotation4D, this.state._rotationMatrix4D);
+            this._markUniformDirty('_rotationMatrix4D');
+            this._rotation4DChanged = false;
+        }
     }
     
     _setupWebGLState() { 
         const gl = this.gl; 
         const bg = this.state.colorScheme.background; 
         gl.clearColor(bg[0], bg[1], bg[2], 1.0); 
-        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height); 
+        // Shared mode sets the viewport per frame to this core's atlas slot
+        if (this.renderMode !== 'shared') gl.viewport(0, 0, this.canvas.width, this.canvas.height); 
         gl.disable(gl.DEPTH_TEST); 
         gl.enable(gl.BLEND); 
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA); 
@@ -879,11 +3325,33 @@ class HypercubeCore {
         gl.bindBuffer(gl.ARRAY_BUFFER, null); 
     }
     
-    _updateShaderIfNeeded() { 
+    _updateShaderIfNeeded(allowDeferred = true) { 
         if (!this.state.needsShaderUpdate) return true; 
-        const progName=this.state.shaderProgramName, geomName=this.state.geometryType, projName=this.state.projectionMethod; 
+        this._syncPluginUniforms('geometry'); 
+        this._syncPluginUniforms('projection'); 
+        const progName=this.state.shaderProgramName, projName=this.state.projectionMethod; 
+        const geomName = this._morph ? ShaderManager.morphName(this._morph.from, this._morph.to) : this.state.geometryType; 
+        const features = this.state.shaderFeatures; 
+        
+        // With parallel compile, keep drawing the current variant while the next one links.
+        // The source is built once per variant; later frames only check the flag.
+        if (allowDeferred && this.shaderManager.variantCache.parallelCompile && this.shaderManager.currentProgramName === progName) { 
+            const key = ShaderVariantCache.variantKey(geomName, projName, features); 
+            if (this._pendingVariant?.key !== key) { 
+                const pending = { key, waiting: false }; 
+                const compiling = this.shaderManager.startVariant(geomName, projName, features); 
+                if (compiling) { 
+                    pending.waiting = true; 
+                    compiling.then(() => { pending.waiting = false; }); 
+                } 
+                this._pendingVariant = pending; 
+            } 
+            if (this._pendingVariant.waiting) return true; 
+        } 
+        this._pendingVariant = null; 
+        
         console.log(`Updating shader '${progName}' (G:${geomName}, P:${projName})`); 
-        const program = this.shaderManager.createDynamicProgram(progName, geomName, projName); 
+        const program = this.shaderManager.createDynamicProgram(progName, geomName, projName, features); 
         if (!program) { 
             console.error(`Shader update failed.`); 
             this.state.callbacks.onError?.(new Error(`Shader update failed`)); 
@@ -908,50 +3376,188 @@ class HypercubeCore {
         return true; 
     }
     
-    updateParameters(newParams) {
+    /**
+     * Validate and register a geometry plugin on this core.
+     * @returns {{valid: boolean, errors: string[], warnings: string[], manifest: ?Object}}
+     */
+    registerGeometry(name, geometry) {
+        const report = this.geometryManager.registerGeometry(name, geometry);
+        if (!report.valid) return report;
+        // Registered up front so plugin parameters resolve before the geometry is active
+        this._syncPluginUniforms('geometry', name);
+        if (resolveGeometryName(name) === this.state.geometryType) {
+            this.state.needsShaderUpdate = true;
+            // Same variant key, new source
+            this._pendingVariant = null;
+        }
+        return report;
+    }
+    
+    /**
+     * Validate and register a projection plugin on this core.
+     * @returns {{valid: boolean, errors: string[], warnings: string[], manifest: ?Object}}
+     */
+    registerProjection(name, projection) {
+        const report = this.projectionManager.registerProjection(name, projection);
+        if (!report.valid) return report;
+        this._syncPluginUniforms('projection', name);
+        if (name.toLowerCase() === this.state.projectionMethod.toLowerCase()) {
+            this.state.needsShaderUpdate = true;
+            this._pendingVariant = null;
+        }
+        return report;
+    }
+    
+    /**
+     * Register a plugin's manifest uniforms (the active geometry or projection by default):
+     * values live under state.geometryUniforms / state.projectionUniforms, are clamped
+     * to the manifest range, and can be set by uniform name ('u_viewDistance') or
+     * short name ('viewDistance').
+     * @param {'geometry'|'projection'} kind
+     * @param {string} [pluginName]
+     */
+    _syncPluginUniforms(kind, pluginName) {
+        const isGeometry = kind === 'geometry';
+        const manager = isGeometry ? this.geometryManager : this.projectionManager;
+        const group = isGeometry ? 'geometryUniforms' : 'projectionUniforms';
+        const manifest = manager.getManifest(pluginName ?? (isGeometry ? this.state.geometryType : this.state.projectionMethod));
+        const uniforms = manifest ? manifest.uniforms || {} : {};
+        const values = { ...this.state[group] };
+        Object.entries(uniforms).forEach(([name, spec]) => {
+            const path = `${group}.${name}`;
+            if (!(name in values)) values[name] = spec.default;
+            const existing = this.uniformRegistry.getEntry(name);
+            const capped = spec.quality === 'iterations';
+            if (capped) this._iterationUniforms.add(name);
+            if (!existing || existing.type !== PLUGIN_UNIFORM_TYPES[spec.type] || !!existing.read !== capped) {
+                this.uniformRegistry.register({
+                    path, uniform: name, type: PLUGIN_UNIFORM_TYPES[spec.type],
+                    read: capped ? state => Math.min(state[group][name], state._quality.maxIterations) : null
+                });
+            }
+            if (spec.min !== undefined && spec.max !== undefined) {
+                this.parameterResolver.ranges[path] = { min: spec.min, max: spec.max };
+            }
+            const shortName = name.slice(2);
+            if (!(shortName in this.state) && !(shortName in this.parameterResolver.aliases)) {
+                this.parameterResolver.aliases[shortName] = path;
+            }
+        });
+        this.state[group] = values;
+    }
+    
+    /**
+     * Apply parameter changes. Keys may be state keys, aliases ('dimension'),
+     * uniform names ('u_audioBass') or dotted paths ('audioLevels.bass').
+     * The moiré pass is one group: { moire: { enabled: true, baseGridDensity: 14 } }, or { moire: false }.
+     * @param {Object} newParams
+     * @param {{strict?: boolean}} [options] - strict throws on unknown or invalid keys instead of reporting them
+     * @returns {{applied: string[], unknown: string[], clamped: Array, rejected: string[]}}
+     */
+    updateParameters(newParams, options = {}) {
+        const result = { applied: [], unknown: [], clamped: [], rejected: [] };
+        if (this.isDisposed || !newParams) return result;
+        
+        let resolved = this.parameterResolver.resolve(newParams, this.state);
+        const switches = resolved.updates.filter(({ path }) => path === 'geometryType' || path === 'projectionMethod');
+        if (switches.length > 0 && resolved.unknown.length > 0) {
+            // Plugin parameters sent along with a geometry/projection switch belong to the new plugin
+            switches.forEach(({ path, value }) => {
+                this._syncPluginUniforms(path === 'geometryType' ? 'geometry' : 'projection', value);
+            });
+            const retry = this.parameterResolver.resolve(
+                Object.fromEntries(resolved.unknown.map(key => [key, newParams[key]])), this.state);
+            resolved = {
+                updates: [...resolved.updates, ...retry.updates],
+                unknown: retry.unknown,
+                clamped: [...resolved.clamped, ...retry.clamped],
+                rejected: [...resolved.rejected, ...retry.rejected]
+            };
+        }
+        const { updates, unknown, clamped, rejected } = resolved;
+        const strict = options.strict ?? this.strictParameters;
+        if (strict && (unknown.length > 0 || rejected.length > 0)) {
+            const problems = [...unknown.map(key => `unknown '${key}'`), ...rejected.map(key => `invalid value for '${key}'`)];
+            throw new Error(`updateParameters: ${problems.join(', ')}`);
+        }
+        unknown.forEach(key => {
+            if (this._warnedParameters.has(key)) return;
+            this._warnedParameters.add(key);
+            console.warn(`updateParameters: ignoring unknown parameter '${key}'.`);
+        });
+        
         let shaderNeedsUpdate = false;
-        for (const key in newParams) {
-            if (!Object.hasOwnProperty.call(this.state, key)) continue;
-            const oldValue = this.state[key];
-            const newValue = newParams[key];
-            let changed = false;
+        updates.forEach(({ path, value }) => {
+            if (path === 'geometryType') {
+                value = resolveGeometryName(value);
+                // A hard geometry change cuts a running morph short
+                this._endMorph(false);
+            }
+            const [root, child] = path.split('.');
+            const oldValue = child ? this.state[root][child] : this.state[root];
+            if (JSON.stringify(oldValue) === JSON.stringify(value)) return;
             
-            if (typeof oldValue === 'object' && oldValue !== null && !Array.isArray(oldValue)) {
-                if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-                    this.state[key] = { ...oldValue, ...newValue };
-                    changed = true;
-                    if (key === 'colorScheme') {
-                        if (newValue.hasOwnProperty('primary')) this._markUniformDirty('colorScheme.primary');
-                        if (newValue.hasOwnProperty('secondary')) this._markUniformDirty('colorScheme.secondary');
-                        if (newValue.hasOwnProperty('background')) this._markUniformDirty('colorScheme.background');
-                    } else if (key === 'audioLevels') {
-                        if (newValue.hasOwnProperty('bass')) this._markUniformDirty('audioLevels.bass');
-                        if (newValue.hasOwnProperty('mid')) this._markUniformDirty('audioLevels.mid');
-                        if (newValue.hasOwnProperty('high')) this._markUniformDirty('audioLevels.high');
-                    }
-                }
-            } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-                this.state[key] = newValue;
-                changed = true;
-                this._markUniformDirty(key);
-                if (key === 'geometryType' || key === 'projectionMethod') {
-                    shaderNeedsUpdate = true;
-                }
+            if (child) {
+                // Copy on write: group objects may still be shared with DEFAULT_STATE
+                this.state[root] = { ...this.state[root], [child]: value };
+            } else {
+                this.state[root] = value;
             }
-        }
+            this._markUniformDirty(path);
+            result.applied.push(path);
+            if (path === 'geometryType' || path === 'projectionMethod' || path === 'shaderFeatures') {
+                shaderNeedsUpdate = true;
+            }
+        });
         
         if (shaderNeedsUpdate) {
             this.state.needsShaderUpdate = true;
         }
+        result.unknown = unknown;
+        result.clamped = clamped;
+        result.rejected = rejected;
+        return result;
     }
     
     start() {
-        if (this.state.isRendering) return;
+        if (this.isDisposed || this.state.isRendering) return;
+        this.state.time = 0;
+        // Offscreen or in a hidden tab: wait for the visibility scheduler to resume()
+        if (this.visibilityScheduler && !this.visibilityScheduler.shouldRender(this)) {
+            this.state.isSuspended = true;
+            return;
+        }
+        this._startLoop();
+    }
+    
+    /**
+     * Pause the render loop without rewinding the clock. Called by the
+     * VisibilityScheduler for offscreen canvases; resume() continues u_time
+     * from the value it had here.
+     * @returns {boolean} true when the core was rendering and is now suspended
+     */
+    suspend() {
+        if (this.isDisposed || !this.state.isRendering) return false;
+        this.stop();
+        this.state.isSuspended = true;
+        return true;
+    }
+    
+    /** @returns {boolean} true when a suspended core is rendering again */
+    resume() {
+        if (this.isDisposed || !this.state.isSuspended) return false;
+        if (this.visibilityScheduler && !this.visibilityScheduler.shouldRender(this)) return false;
+        this._startLoop();
+        return this.state.isRendering;
+    }
+    
+    _startLoop() {
         console.log(`Starting render loop.`);
+        this.state.isSuspended = false;
         this.state.isRendering = true;
-        this.state.startTime = performance.now();
-        this.state.time = 0;
-        this.state.lastUpdateTime = this.state.startTime;
+        // Offset the start so the first frame continues from state.time
+        this.state.startTime = performance.now() - this.state.time * 1000;
+        this.state.lastUpdateTime = performance.now();
         
         if (this.state.needsShaderUpdate) {
             if (!this._updateShaderIfNeeded()) {
@@ -961,18 +3567,33 @@ class HypercubeCore {
             }
         }
         
-        this._markAllUniformsDirty();
-        this.state.animationFrameId = requestAnimationFrame(this._render.bind(this));
+        if (this.renderMode === 'shared') {
+            this.sharedRenderer.requestFrame();
+        } else {
+            this.state.animationFrameId = requestAnimationFrame(this._render.bind(this));
+        }
     }
     
     _render(timestamp) {
-        if (!this.state.isRendering) return;
+        if (this.isDisposed || !this.state.isRendering) return;
+        if (!this._renderFrame(timestamp)) return;
+        this.state.animationFrameId = requestAnimationFrame(this._render.bind(this));
+    }
+    
+    /**
+     * Draw a single frame into the current viewport.
+     * Direct mode calls this from its own rAF loop; shared mode is driven by
+     * SharedWebGLRenderer after it has set the viewport/scissor to this core's slot.
+     * @returns {boolean} false when rendering had to stop
+     */
+    _renderFrame(timestamp) {
+        if (this.isDisposed) return false;
         const gl = this.gl;
         
         if (!gl || gl.isContextLost()) {
             console.warn(`Context lost - attempting recovery.`);
-            this._attemptContextRecovery();
-            return;
+            this._contextRecovery.handleLost();
+            return false;
         }
         
         if (!this.state.startTime) this.state.startTime = timestamp;
@@ -981,17 +3602,109 @@ class HypercubeCore {
         this.state.time = currentTime;
         this.state.lastUpdateTime = timestamp;
         this._markUniformDirty('time');
+        this._advanceRotation4D(this.state.deltaTime);
         
         this._checkResize();
         
         if (this.state.needsShaderUpdate) {
             if (!this._updateShaderIfNeeded()) {
-                return;
+                return false;
             }
         }
+        this._advanceMorph();
         
         this._setUniforms();
         
+        // Shared cores draw into the atlas slot the renderer set up; come back to it afterwards
+        let moireTarget = null;
+        if (this.state.moire.enabled) {
+            moireTarget = {
+                framebuffer: null,
+                viewport: gl.getParameter(gl.VIEWPORT) || [0, 0, this.canvas.width, this.canvas.height],
+                scissor: this.renderMode === 'shared'
+            };
+            if (!this._beginMoirePass(this.canvas.width, this.canvas.height)) moireTarget = null;
+        }
+        
+        if (!this._drawQuad()) {
+            if (moireTarget) gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.stop();
+            this.state.callbacks.onError?.(new Error("WebGL draw error"));
+            return false;
+        }
+        if (moireTarget) this._moirePass.end(moireTarget, this.state.moire, this.state.time, this.quadBuffer);
+        
+        this.state.callbacks.onRender?.(this.state);
+        return true;
+    }
+    
+    /**
+     * Morph to another registered geometry. Both lattices run in one program,
+     * crossfaded by u_geometryBlend; when the morph ends the target is compiled alone.
+     * A hard geometryType change or another transitionTo() cuts a running morph short.
+     * @param {Object} options
+     * @param {string} options.geometryType - Registered name or alias
+     * @param {number} [options.duration=1000] - Milliseconds of render time, counted once the morph program is live
+     * @param {string|function(number): number} [options.easing='easeInOutCubic'] - EASING_CURVES name or t → progress
+     * @returns {Promise<boolean>} true when the morph completes, false when it was cut short
+     */
+    transitionTo({ geometryType, duration = 1000, easing = 'easeInOutCubic' } = {}) {
+        if (this.isDisposed) return Promise.resolve(false);
+        const target = resolveGeometryName(geometryType);
+        if (!this.geometryManager.geometries[target]) {
+            return Promise.reject(new Error(`transitionTo: unknown geometry '${geometryType}'`));
+        }
+        const curve = typeof easing === 'function' ? easing : EASING_CURVES[easing];
+        if (!curve) {
+            return Promise.reject(new Error(`transitionTo: unknown easing '${easing}'`));
+        }
+        
+        this._endMorph(false);
+        const from = this.state.geometryType;
+        if (target === from) return Promise.resolve(true);
+        if (!(duration > 0)) {
+            this.updateParameters({ geometryType: target });
+            return Promise.resolve(true);
+        }
+        
+        return new Promise(resolve => {
+            this._morph = { from, to: target, duration: duration * 0.001, easing: curve, startTime: null, resolve };
+            this.state.geometryType = target;
+            this.state.geometryBlend = 0;
+            this._markUniformDirty('geometryBlend');
+            this._syncPluginUniforms('geometry', target);
+            this.state.needsShaderUpdate = true;
+        });
+    }
+    
+    _advanceMorph() {
+        const morph = this._morph;
+        // The clock starts on the first frame drawn with the morph program
+        if (!morph || this.state.needsShaderUpdate) return;
+        if (morph.startTime === null) morph.startTime = this.state.time;
+        const progress = Math.min(1, Math.max(0, (this.state.time - morph.startTime) / morph.duration));
+        this.state.geometryBlend = morph.easing(progress);
+        this._markUniformDirty('geometryBlend');
+        if (progress >= 1) this._endMorph(true);
+    }
+    
+    _endMorph(completed) {
+        const morph = this._morph;
+        if (!morph) return;
+        this._morph = null;
+        // Back to a single-geometry program built from the target alone
+        this.state.needsShaderUpdate = true;
+        morph.resolve(completed);
+    }
+    
+    _beginMoirePass(width, height) {
+        if (!this.state.moire.enabled) return false;
+        if (!this._moirePass) this._moirePass = new MoireCompositor(this.gl);
+        return this._moirePass.begin(width, height);
+    }
+    
+    _drawQuad() {
+        const gl = this.gl;
         const bg = this.state.colorScheme.background;
         gl.clearColor(bg[0], bg[1], bg[2], 1.0);
         gl.clear(gl.COLOR_BUFFER_BIT);
@@ -1004,21 +3717,132 @@ class HypercubeCore {
                 gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
             } catch (e) {
                 console.error("Draw error:", e);
-                this.stop();
-                this.state.callbacks.onError?.(new Error("WebGL draw error"));
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Draw exactly one frame at a fixed time into an offscreen framebuffer.
+     * Never touches the visible canvas, so it works with preserveDrawingBuffer: false
+     * and on headless contexts. The 4D pose is rotation4D advanced by its velocities
+     * over `time`, so the same state and time always give the same image.
+     * @param {Object} [options]
+     * @param {number} [options.time=0] - Seconds, fed to u_time
+     * @param {number} [options.width] - Defaults to the canvas size
+     * @param {number} [options.height]
+     * @param {'pixels'|'dataURL'} [options.format='pixels']
+     * @param {Object} [options.rotation4D] - Base pose instead of the current one
+     * @param {Object} [options.rotation4DVelocity] - Plane velocities instead of the current ones
+     * @returns {{width: number, height: number, pixels: Uint8Array}|string} RGBA rows top-down, or a PNG data URL
+     */
+    renderFrame(options = {}) {
+        if (this.isDisposed) throw new Error('renderFrame: core has been disposed');
+        const gl = this.gl;
+        if (!gl || gl.isContextLost()) throw new Error('renderFrame: WebGL context lost');
+        
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE) || 4096;
+        const width = Math.min(maxSize, Math.max(1, Math.round(options.width || this.canvas.width)));
+        const height = Math.min(maxSize, Math.max(1, Math.round(options.height || this.canvas.height)));
+        const time = options.time || 0;
+        
+        if (!this._updateShaderIfNeeded(false)) throw new Error('renderFrame: shader update failed');
+        
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        
+        const live = {
+            time: this.state.time, deltaTime: this.state.deltaTime, resolution: this.state.resolution,
+            rotation4D: this.state.rotation4D, matrix: Float32Array.from(this.state._rotationMatrix4D)
+        };
+        const pixels = new Uint8Array(width * height * 4);
+        let drawn = false;
+        try {
+            if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+                throw new Error('renderFrame: offscreen framebuffer incomplete');
             }
+            this.state.time = time;
+            this.state.deltaTime = 0;
+            this.state.resolution = [width, height];
+            this.state.rotation4D = this._rotationAt(time, options.rotation4D || live.rotation4D, options.rotation4DVelocity);
+            composeRotation4D(this.state.rotation4D, this.state._rotationMatrix4D);
+            this._markAllUniformsDirty();
+            
+            gl.disable(gl.SCISSOR_TEST);
+            gl.viewport(0, 0, width, height);
+            this._setUniforms();
+            const moire = this._beginMoirePass(width, height);
+            drawn = this._drawQuad();
+            if (drawn && moire) {
+                this._moirePass.end({ framebuffer, viewport: [0, 0, width, height], scissor: false }, this.state.moire, time, this.quadBuffer);
+            }
+            if (drawn) gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(texture);
+            if (this.renderMode !== 'shared') gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            
+            this.state.time = live.time;
+            this.state.deltaTime = live.deltaTime;
+            this.state.resolution = live.resolution;
+            this.state.rotation4D = live.rotation4D;
+            this.state._rotationMatrix4D.set(live.matrix);
+            this._markAllUniformsDirty();
         }
+        if (!drawn) throw new Error('renderFrame: draw failed');
         
-        this.state.callbacks.onRender?.(this.state);
-        this.state.animationFrameId = requestAnimationFrame(this._render.bind(this));
+        // GL rows run bottom-up; images run top-down
+        const rowBytes = width * 4;
+        const flipped = new Uint8Array(pixels.length);
+        for (let row = 0; row < height; row++) {
+            flipped.set(pixels.subarray(row * rowBytes, (row + 1) * rowBytes), (height - row - 1) * rowBytes);
+        }
+        
+        if (options.format === 'dataURL') return HypercubeCore.encodePNG({ width, height, pixels: flipped });
+        return { width, height, pixels: flipped };
+    }
+    
+    /** PNG data URL for top-down RGBA pixels; needs a DOM 2D canvas. */
+    static encodePNG({ width, height, pixels }) {
+        if (typeof document === 'undefined') {
+            throw new Error("PNG encoding needs a DOM canvas; use format 'pixels' in headless environments");
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        image.data.set(pixels);
+        ctx.putImageData(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+    
+    _rotationAt(time, base, velocity = this.state.rotation4DVelocity) {
+        const angles = {};
+        const rate = this.getRotationRate();
+        ROTATION_PLANES.forEach(plane => {
+            angles[plane] = (base[plane] || 0) + (velocity[plane] || 0) * rate * time;
+        });
+        return angles;
     }
     
     _checkResize() { 
-        const gl=this.gl, c=this.canvas, dw=c.clientWidth, dh=c.clientHeight; 
-        if(c.width!==dw || c.height!==dh){ 
+        // Canvas stand-ins without layout (headless) keep their fixed size
+        const c=this.canvas, hasLayout=c.clientWidth !== undefined, scale=hasLayout ? this.state._quality.resolutionScale : 1; 
+        const gl=this.gl, dw=Math.max(1, Math.round((c.clientWidth ?? c.width) * scale)), dh=Math.max(1, Math.round((c.clientHeight ?? c.height) * scale)); 
+        if(c.width!==dw || c.height!==dh || this.state.resolution[0]!==dw || this.state.resolution[1]!==dh){ 
             c.width=dw; 
             c.height=dh; 
-            gl.viewport(0,0,dw,dh); 
+            if (this.renderMode !== 'shared') gl.viewport(0,0,dw,dh); 
             this.state.resolution=[dw,dh]; 
             this._markUniformDirty('resolution'); 
             return true; 
@@ -1028,53 +3852,82 @@ class HypercubeCore {
     
     _setUniforms() {
         const gl = this.gl;
-        const dirty = this.state._dirtyUniforms;
         const programName = this.state.shaderProgramName;
         
         if (!this.shaderManager.useProgram(programName) || this.shaderManager.currentProgramName !== programName) return;
         
-        const timeLoc = this.shaderManager.getUniformLocation('u_time');
-        if (timeLoc) gl.uniform1f(timeLoc, this.state.time);
-        else dirty.add('u_time');
+        // Uniform values live on the program, and cached programs are shared between
+        // cores on one context: if another core drew with it last, every value is stale
+        const variant = this.shaderManager.programVariants[programName];
+        if (variant && variant.uniformOwner !== this) {
+            variant.uniformOwner = this;
+            this._markAllUniformsDirty();
+        }
         
-        const uniformsToRetry = new Set();
+        const dirty = this.state._dirtyUniforms;
+        const uploaded = [];
         dirty.forEach(name => {
-            if (name === 'u_time') return;
+            const entry = this.uniformRegistry.getEntry(name);
             const loc = this.shaderManager.getUniformLocation(name);
-            if (loc !== null) {
-                try {
-                    switch (name) {
-                        case 'u_resolution': gl.uniform2fv(loc, this.state.resolution); break;
-                        case 'u_dimension': gl.uniform1f(loc, this.state.dimensions); break;
-                        case 'u_morphFactor': gl.uniform1f(loc, this.state.morphFactor); break;
-                        case 'u_rotationSpeed': gl.uniform1f(loc, this.state.rotationSpeed); break;
-                        case 'u_universeModifier': gl.uniform1f(loc, this.state.universeModifier); break;
-                        case 'u_patternIntensity': gl.uniform1f(loc, this.state.patternIntensity); break;
-                        case 'u_gridDensity': gl.uniform1f(loc, this.state.gridDensity); break;
-                        case 'u_lineThickness': gl.uniform1f(loc, this.state.lineThickness); break;
-                        case 'u_shellWidth': gl.uniform1f(loc, this.state.shellWidth); break;
-                        case 'u_tetraThickness': gl.uniform1f(loc, this.state.tetraThickness); break;
-                        case 'u_glitchIntensity': gl.uniform1f(loc, this.state.glitchIntensity); break;
-                        case 'u_colorShift': gl.uniform1f(loc, this.state.colorShift); break;
-                        case 'u_audioBass': gl.uniform1f(loc, this.state.audioLevels.bass); break;
-                        case 'u_audioMid': gl.uniform1f(loc, this.state.audioLevels.mid); break;
-                        case 'u_audioHigh': gl.uniform1f(loc, this.state.audioLevels.high); break;
-                        case 'u_primaryColor': gl.uniform3fv(loc, this.state.colorScheme.primary); break;
-                        case 'u_secondaryColor': gl.uniform3fv(loc, this.state.colorScheme.secondary); break;
-                        case 'u_backgroundColor': gl.uniform3fv(loc, this.state.colorScheme.background); break;
-                        default: break;
-                    }
-                } catch (e) {
-                    console.error(`Error setting uniform '${name}':`, e);
-                }
-            } else {
-                uniformsToRetry.add(name);
+            // Inactive in this program (optimised out or unused by the geometry): nothing to upload
+            if (!entry || loc === null) return;
+            const value = this.uniformRegistry.readValue(this.state, entry);
+            if (value === undefined) return;
+            try {
+                entry.upload(gl, loc, value);
+                uploaded.push(name);
+            } catch (e) {
+                console.error(`Error setting uniform '${name}':`, e);
             }
         });
-        this.state._dirtyUniforms = uniformsToRetry;
+        this.state._dirtyUniforms = new Set();
+        
+        const stats = this.uniformStats;
+        stats.frames++;
+        stats.totalUploads += uploaded.length;
+        stats.lastFrameUploads = uploaded.length;
+        stats.lastFrameUniforms = uploaded;
+        stats.peakUploads = Math.max(stats.peakUploads, uploaded.length);
+    }
+    
+    /**
+     * Precompile shader variants ahead of time so switching geometry does not stall a frame.
+     * Defaults to every registered geometry with the current projection and features.
+     * @param {Array<{geometryType: string, projectionMethod?: string, features?: string[]}>} [variants]
+     * @returns {Promise<{ready: string[], failed: string[]}>}
+     */
+    warmUpShaders(variants) {
+        if (this.isDisposed) return Promise.resolve({ ready: [], failed: [] });
+        const list = (variants || this.geometryManager.getGeometryTypes().map(geometryType => ({ geometryType })))
+            .map(variant => ({
+                geometryType: variant.geometryType,
+                projectionMethod: variant.projectionMethod || this.state.projectionMethod,
+                features: variant.features || this.state.shaderFeatures
+            }));
+        return this.shaderManager.warmUp(list);
+    }
+    
+    /**
+     * Uniform upload counters for profiling large dashboards.
+     * @returns {{frames: number, totalUploads: number, lastFrameUploads: number,
+     *            lastFrameUniforms: string[], peakUploads: number, averageUploadsPerFrame: number}}
+     */
+    getUniformStats() {
+        const stats = this.uniformStats;
+        return {
+            ...stats,
+            lastFrameUniforms: stats.lastFrameUniforms.slice(),
+            averageUploadsPerFrame: stats.frames ? stats.totalUploads / stats.frames : 0
+        };
+    }
+    
+    resetUniformStats() {
+        this.uniformStats = { frames: 0, totalUploads: 0, lastFrameUploads: 0, lastFrameUniforms: [], peakUploads: 0 };
     }
     
     stop() {
+        // An explicit stop also cancels a pending resume
+        this.state.isSuspended = false;
         if (!this.state.isRendering) return;
         console.log(`Stopping render loop.`);
         if (this.state.animationFrameId) {
@@ -1084,92 +3937,685 @@ class HypercubeCore {
         this.state.animationFrameId = null;
     }
     
-    _attemptContextRecovery() {
-        if (this.state.contextRecoveryAttempts >= 3) {
-            console.error('Maximum context recovery attempts reached. Stopping render loop.');
-            this.stop();
-            this.state.callbacks.onError?.(new Error('WebGL context permanently lost'));
-            return;
-        }
-        
-        this.state.contextRecoveryAttempts = (this.state.contextRecoveryAttempts || 0) + 1;
-        console.log(`Context recovery attempt ${this.state.contextRecoveryAttempts}/3`);
+    /**
+     * Tear down every GL object and listener owned by this core.
+     * After dispose() all public methods are safe no-ops.
+     * @param {Object} [options]
+     * @param {boolean} [options.loseContext=false] - also call WEBGL_lose_context (direct mode only;
+     *        a shared context is never lost on behalf of a single core)
+     * @returns {{programs: number, shaders: number, buffers: number, listeners: number,
+     *            animationFrames: number, contextLost: boolean}} what was released
+     */
+    dispose(options = {}) {
+        const released = { programs: 0, shaders: 0, buffers: 0, listeners: 0, animationFrames: 0, contextLost: false };
+        if (this.isDisposed) return released;
+        this._endMorph(false);
         
-        // Stop current rendering
         if (this.state.animationFrameId) {
             cancelAnimationFrame(this.state.animationFrameId);
-            this.state.animationFrameId = null;
+            released.animationFrames++;
+        }
+        this.state.isRendering = false;
+        this.state.animationFrameId = null;
+        
+        if (this.sharedRenderer) {
+            this.sharedRenderer.unregister(this);
         }
+        this.state.isSuspended = false;
+        this.visibilityScheduler?.unregister(this);
+        this.visibilityScheduler = null;
         
-        // Attempt to recreate WebGL context
-        setTimeout(() => {
+        const shaderRelease = this.shaderManager?.dispose() || { programs: 0, shaders: 0 };
+        released.programs = shaderRelease.programs + (this._moirePass?.dispose() || 0);
+        this._moirePass = null;
+        released.shaders = shaderRelease.shaders;
+        
+        if (this.quadBuffer && this.gl) {
             try {
-                // Force canvas context recreation
-                const canvas = this.canvas;
-                const contextAttributes = {
-                    antialias: true,
-                    alpha: true,
-                    premultipliedAlpha: false,
-                    preserveDrawingBuffer: false,
-                    powerPreference: "default"
-                };
-                
-                // Try to get new context
-                this.gl = canvas.getContext('webgl2', contextAttributes) || 
-                         canvas.getContext('webgl', contextAttributes);
-                
-                if (this.gl && !this.gl.isContextLost()) {
-                    console.log('✅ WebGL context recovered successfully');
-                    
-                    // Reinitialize shader manager
-                    this.shaderManager = new ShaderManager(this.gl);
-                    this.shaderManager.setupShaderPrograms();
-                    
-                    // Mark all uniforms as dirty for reupload
-                    this.state._dirtyUniforms = new Set([
-                        'u_resolution', 'u_time', 'u_dimension', 'u_morphFactor', 
-                        'u_rotationSpeed', 'u_universeModifier', 'u_patternIntensity', 
-                        'u_gridDensity', 'u_lineThickness', 'u_shellWidth', 
-                        'u_tetraThickness', 'u_glitchIntensity', 'u_colorShift',
-                        'u_audioBass', 'u_audioMid', 'u_audioHigh', 'u_primaryColor'
-                    ]);
-                    
-                    // Reset recovery counter
-                    this.state.contextRecoveryAttempts = 0;
-                    
-                    // Resume rendering if it was active
-                    if (this.state.isRendering) {
-                        this.state.animationFrameId = requestAnimationFrame(this._render.bind(this));
-                    }
-                    
-                } else {
-                    throw new Error('Failed to recreate WebGL context');
-                }
-                
-            } catch (error) {
-                console.error(`Context recovery attempt ${this.state.contextRecoveryAttempts} failed:`, error);
-                
-                // Try again after longer delay if attempts remain
-                if (this.state.contextRecoveryAttempts < 3) {
-                    setTimeout(() => this._attemptContextRecovery(), 1000);
-                } else {
-                    this.stop();
-                    this.state.callbacks.onError?.(new Error('WebGL context recovery failed permanently'));
+                this.gl.deleteBuffer(this.quadBuffer);
+                released.buffers++;
+            } catch (e) {}
+        }
+        this.quadBuffer = null;
+        this.aPositionLoc = -1;
+        
+        if (this.renderMode !== 'shared') {
+            this._contextRecovery?.dispose();
+            this.canvas.removeEventListener?.('webglcontextlost', this._onContextLost);
+            this.canvas.removeEventListener?.('webglcontextrestored', this._onContextRestored);
+            released.listeners += 2;
+            
+            if (options.loseContext && this.gl && !this.gl.isContextLost()) {
+                const ext = this.gl.getExtension('WEBGL_lose_context');
+                if (ext) {
+                    ext.loseContext();
+                    released.contextLost = true;
                 }
             }
-        }, 500); // Wait 500ms before attempting recovery
+        }
+        
+        this.isDisposed = true;
+        LIVE_CORES.delete(this);
+        this.state.callbacks = { ...DEFAULT_STATE.callbacks };
+        this.state._dirtyUniforms = new Set();
+        this.gl = null;
+        this.sharedRenderer = null;
+        this.outputContext = null;
+        
+        console.log(`🧹 HypercubeCore disposed (${released.programs} programs, ${released.shaders} shaders, ${released.buffers} buffers)`);
+        return released;
+    }
+    
+    /**
+     * Rendering limits that trade detail for frame time, separate from the
+     * parameters: the drawing buffer is sized at resolutionScale × the canvas'
+     * layout size, u_gridDensity is capped at maxGridDensity, and plugin
+     * uniforms marked quality: 'iterations' at maxIterations.
+     * @param {{resolutionScale?: number, maxGridDensity?: number, maxIterations?: number}} settings
+     * @returns {{resolutionScale: number, maxGridDensity: number, maxIterations: number}} the limits now in force
+     */
+    setQuality(settings = {}) {
+        if (this.isDisposed) return { ...DEFAULT_QUALITY };
+        const quality = this.state._quality;
+        const next = { ...quality, ...settings };
+        next.resolutionScale = Math.min(1, Math.max(0.1, next.resolutionScale));
+        
+        if (next.maxGridDensity !== quality.maxGridDensity) this._markUniformDirty('gridDensity');
+        if (next.maxIterations !== quality.maxIterations) {
+            this._iterationUniforms.forEach(name => this.state._dirtyUniforms.add(name));
+        }
+        if (next.resolutionScale !== quality.resolutionScale) this._pinCanvasSize(next.resolutionScale < 1);
+        this.state._quality = next;
+        return { ...next };
+    }
+    
+    // A canvas sized only by its width/height attributes would shrink with its drawing
+    // buffer and feed back into the next scaled size; hold its layout size in CSS instead
+    _pinCanvasSize(pin) {
+        const style = this.canvas.style;
+        if (!style) return;
+        if (pin && !this._pinnedCanvasSize && !style.width && !style.height && this.canvas.clientWidth) {
+            style.width = `${this.canvas.clientWidth}px`;
+            style.height = `${this.canvas.clientHeight}px`;
+            this._pinnedCanvasSize = true;
+        } else if (!pin && this._pinnedCanvasSize) {
+            style.width = '';
+            style.height = '';
+            this._pinnedCanvasSize = false;
+        }
     }
     
     getStatus() {
         return {
             geometry: this.state.geometryType,
             projection: this.state.projectionMethod,
+            morph: this._morph ? { from: this._morph.from, to: this._morph.to, blend: this.state.geometryBlend } : null,
             isAnimating: this.state.isRendering,
+            suspended: this.state.isSuspended,
+            alwaysRender: this.alwaysRender,
             availableGeometries: this.geometryManager.getGeometryTypes(),
             availableProjections: this.projectionManager.getProjectionTypes(),
             time: this.state.time,
-            resolution: this.state.resolution
+            resolution: this.state.resolution,
+            renderMode: this.renderMode,
+            contextLost: !!this._contextRecovery?.isLost,
+            contextRestores: this._contextRecovery?.restoreCount || 0,
+            disposed: this.isDisposed,
+            quality: { ...this.state._quality },
+            moire: this.state.moire.enabled ? (this._moirePass?.failed ? 'failed' : 'on') : 'off',
+            shaderCache: this.isDisposed ? null : this.shaderManager.variantCache.getStats()
+        };
+    }
+}
+
+// ============================================================================
+// 📉 ADAPTIVE QUALITY GOVERNOR
+// ============================================================================
+
+// Highest quality first. Each step down lowers every limit a little further.
+const QUALITY_TIERS = [
+    { name: 'high', resolutionScale: 1.0, maxGridDensity: Infinity, maxIterations: Infinity, pauseOffscreen: false },
+    { name: 'medium', resolutionScale: 0.75, maxGridDensity: 24, maxIterations: 3, pauseOffscreen: true },
+    { name: 'low', resolutionScale: 0.5, maxGridDensity: 14, maxIterations: 2, pauseOffscreen: true },
+    { name: 'minimal', resolutionScale: 0.35, maxGridDensity: 8, maxIterations: 1, pauseOffscreen: true }
+];
+
+const DEFAULT_QUALITY_GOVERNOR = {
+    targetFPS: 60,
+    tiers: QUALITY_TIERS,
+    initialTier: 0,
+    autoDiscover: true,         // Govern every live HypercubeCore, not only added ones
+    sampleWindow: 500,          // ms of frame times averaged for each decision
+    minSamples: 10,
+    downgradeThreshold: 1.2,    // × frame budget: slower than this counts as over budget
+    upgradeThreshold: 1.05,     // × frame budget: at or under this counts as headroom
+    downgradeAfter: 1000,       // ms continuously over budget before stepping down
+    upgradeAfter: 5000,         // ms continuously within budget before stepping up
+    settleTime: 750,            // ms of samples ignored after a change (resizes, recompiles)
+    revertWindow: 10000,        // a downgrade this soon after an upgrade doubles the upgrade delay
+    maxUpgradeDelay: 60000,
+    refreshWindow: 2000         // ms of rAF intervals the display's refresh interval is estimated from
+};
+
+/**
+ * Watches frame times across HypercubeCores and steps every core through
+ * quality tiers (resolution scale, gridDensity cap, iteration cap, pausing
+ * offscreen canvases) to hold targetFPS. Stepping down is quick, stepping up
+ * slow, with a dead band between the two thresholds, so quality doesn't flap.
+ * Frame times are rAF intervals, so the budget is never shorter than the
+ * display's refresh interval: a 120fps target on a 60Hz screen is held to 60.
+ * Each change is reported to onTierChange and kept in getHistory().
+ */
+class AdaptiveQualityGovernor {
+    /**
+     * @param {Object} [options] - See DEFAULT_QUALITY_GOVERNOR, plus:
+     * @param {HypercubeCore[]} [options.cores]
+     * @param {function({type: string, from: string, to: string, fromTier: number, toTier: number, reason: string,
+     *         averageFrameTime: ?number, targetFrameTime: number, activeCores: number, timestamp: number})} [options.onTierChange]
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_QUALITY_GOVERNOR, ...options };
+        this.tiers = this.options.tiers;
+        if (!Array.isArray(this.tiers) || this.tiers.length === 0) {
+            throw new Error('AdaptiveQualityGovernor needs at least one quality tier');
+        }
+        this.targetFPS = this.options.targetFPS;
+        this.tier = Math.min(this.tiers.length - 1, Math.max(0, this.options.initialTier));
+        this.cores = new Map();   // core → { visible, pausedByGovernor }
+        this.samples = [];        // { time, frameTime }
+        this.intervals = [];      // { time, interval } between the governor's own rAF ticks
+        this.history = [];
+        this.isRunning = false;
+
+        this._lastFrames = new WeakMap();  // core → state.lastUpdateTime already sampled
+        this._overSince = null;
+        this._underSince = null;
+        this._settledAt = 0;
+        this._lastUpgradeAt = -Infinity;
+        this._upgradeDelay = this.options.upgradeAfter;
+        this._lastTickAt = null;
+        this._frameId = null;
+        this._tick = this._tick.bind(this);
+        this._observer = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(entries => this._onIntersection(entries))
+            : null;
+
+        (this.options.cores || []).forEach(core => this.addCore(core));
+    }
+
+    start() {
+        if (this.isRunning) return this;
+        this.isRunning = true;
+        this._settledAt = performance.now() + this.options.settleTime;
+        this._frameId = requestAnimationFrame(this._tick);
+        return this;
+    }
+
+    stop() {
+        this.isRunning = false;
+        this._lastTickAt = null;
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+        return this;
+    }
+
+    /** Stop governing and give every core back its full quality. */
+    dispose() {
+        this.stop();
+        [...this.cores.keys()].forEach(core => this.removeCore(core));
+        this._observer?.disconnect();
+    }
+
+    addCore(core) {
+        if (!core || core.isDisposed || this.cores.has(core)) return this;
+        this.cores.set(core, { visible: true, pausedByGovernor: false });
+        this._observer?.observe(core.canvas);
+        this._applyTo(core);
+        return this;
+    }
+
+    removeCore(core) {
+        const entry = this.cores.get(core);
+        if (!entry) return this;
+        this.cores.delete(core);
+        if (!core.isDisposed) {
+            this._observer?.unobserve(core.canvas);
+            core.setQuality(DEFAULT_QUALITY);
+            if (entry.pausedByGovernor) core.resume();
+        }
+        return this;
+    }
+
+    setTargetFPS(fps) {
+        if (!(fps > 0)) throw new Error(`targetFPS must be > 0, got ${fps}`);
+        this.targetFPS = fps;
+        this._resetTracking();
+        this._upgradeDelay = this.options.upgradeAfter;
+        return this;
+    }
+
+    /** Jump to a tier by index or name, e.g. from a settings menu. */
+    setTier(tier, reason = 'set manually') {
+        const index = typeof tier === 'string' ? this.tiers.findIndex(entry => entry.name === tier) : tier;
+        if (!Number.isInteger(index) || index < 0 || index >= this.tiers.length) {
+            throw new Error(`Unknown quality tier '${tier}'`);
+        }
+        this._changeTier(index, 'manual', reason);
+        return this;
+    }
+
+    getTier() {
+        return { index: this.tier, ...this.tiers[this.tier] };
+    }
+
+    getHistory() {
+        return this.history.slice();
+    }
+
+    getStatus() {
+        const average = this._averageFrameTime();
+        return {
+            tier: this.tier,
+            tierName: this.tiers[this.tier].name,
+            targetFPS: this.targetFPS,
+            frameBudget: this._frameBudget(),
+            averageFrameTime: average,
+            fps: average ? 1000 / average : null,
+            cores: this.cores.size,
+            pausedCores: [...this.cores.values()].filter(entry => entry.pausedByGovernor).length,
+            upgradeDelay: this._upgradeDelay,
+            changes: this.history.length
+        };
+    }
+
+    _tick() {
+        this._frameId = null;
+        if (!this.isRunning) return;
+        const now = performance.now();
+        this._measureRefresh(now);
+        this._discover();
+        this._sample(now);
+        this._decide(now);
+        this._frameId = requestAnimationFrame(this._tick);
+    }
+
+    _discover() {
+        this.cores.forEach((entry, core) => {
+            if (core.isDisposed) this.cores.delete(core);
+        });
+        if (this.options.autoDiscover) HypercubeCore.getLiveCores().forEach(core => this.addCore(core));
+    }
+
+    // Worst new frame among the cores that drew since the last tick
+    _sample(now) {
+        let frameTime = null;
+        this.cores.forEach((entry, core) => {
+            const state = core.state;
+            if (!state.isRendering || this._lastFrames.get(core) === state.lastUpdateTime) return;
+            this._lastFrames.set(core, state.lastUpdateTime);
+            const ms = state.deltaTime * 1000;
+            // Restarts rewind deltaTime and background tabs stall it; neither is render cost
+            if (ms > 0 && ms < 1000) frameTime = Math.max(frameTime ?? 0, ms);
+        });
+        if (frameTime !== null) this.samples.push({ time: now, frameTime });
+        while (this.samples.length > 0 && this.samples[0].time < now - this.options.sampleWindow) this.samples.shift();
+    }
+
+    _measureRefresh(now) {
+        if (this._lastTickAt !== null) {
+            const interval = now - this._lastTickAt;
+            if (interval > 0 && interval < 1000) this.intervals.push({ time: now, interval });
+        }
+        this._lastTickAt = now;
+        while (this.intervals.length > 0 && this.intervals[0].time < now - this.options.refreshWindow) this.intervals.shift();
+    }
+
+    /**
+     * ms per frame to hold: 1000 / targetFPS, but no shorter than the refresh
+     * interval, or vsync-bound frames would read as over budget forever. The
+     * interval is the 25th percentile of recent rAF intervals (jitter puts
+     * some below it), counted at most as 60Hz so a page that is slow from the
+     * start can't stretch its own budget.
+     */
+    _frameBudget() {
+        const target = 1000 / this.targetFPS;
+        if (this.intervals.length < this.options.minSamples) return target;
+        const sorted = this.intervals.map(entry => entry.interval).sort((a, b) => a - b);
+        const refresh = sorted[Math.floor(sorted.length * 0.25)];
+        return Math.max(target, Math.min(refresh, 1000 / 60));
+    }
+
+    _decide(now) {
+        const average = this._averageFrameTime();
+        if (now < this._settledAt || average === null || this.samples.length < this.options.minSamples) return;
+
+        const budget = this._frameBudget();
+        const { downgradeThreshold, upgradeThreshold, downgradeAfter } = this.options;
+        if (average > budget * downgradeThreshold) {
+            this._underSince = null;
+            this._overSince = this._overSince ?? now;
+            if (now - this._overSince >= downgradeAfter && this.tier < this.tiers.length - 1) {
+                if (now - this._lastUpgradeAt < this.options.revertWindow) {
+                    // That upgrade didn't hold: wait longer before trying again
+                    this._upgradeDelay = Math.min(this.options.maxUpgradeDelay, this._upgradeDelay * 2);
+                    this._lastUpgradeAt = -Infinity;
+                }
+                this._changeTier(this.tier + 1, 'downgrade',
+                    `average frame ${average.toFixed(1)}ms over the ${budget.toFixed(1)}ms budget (${Math.round(1000 / budget)}fps) for ${Math.round(now - this._overSince)}ms`);
+            }
+        } else if (average <= budget * upgradeThreshold) {
+            this._overSince = null;
+            this._underSince = this._underSince ?? now;
+            if (now - this._underSince >= this._upgradeDelay && this.tier > 0) {
+                this._lastUpgradeAt = now;
+                this._changeTier(this.tier - 1, 'upgrade',
+                    `average frame ${average.toFixed(1)}ms within the ${budget.toFixed(1)}ms budget (${Math.round(1000 / budget)}fps) for ${Math.round(now - this._underSince)}ms`);
+            }
+        } else {
+            // Dead band between the thresholds: hold the current tier
+            this._overSince = null;
+            this._underSince = null;
+        }
+    }
+
+    _changeTier(index, type, reason) {
+        if (index === this.tier) return;
+        const event = {
+            type,
+            from: this.tiers[this.tier].name,
+            to: this.tiers[index].name,
+            fromTier: this.tier,
+            toTier: index,
+            reason,
+            averageFrameTime: this._averageFrameTime(),
+            targetFrameTime: this._frameBudget(),
+            activeCores: [...this.cores.keys()].filter(core => core.state.isRendering).length,
+            timestamp: performance.now()
+        };
+        this.tier = index;
+        this.cores.forEach((entry, core) => this._applyTo(core));
+        this._resetTracking();
+
+        this.history.push(event);
+        if (this.history.length > 100) this.history.shift();
+        console.log(`📉 Quality ${event.from} → ${event.to}: ${reason}`);
+        this.options.onTierChange?.(event);
+    }
+
+    _resetTracking() {
+        this.samples = [];
+        this._overSince = null;
+        this._underSince = null;
+        this._settledAt = performance.now() + this.options.settleTime;
+    }
+
+    _applyTo(core) {
+        const entry = this.cores.get(core);
+        if (!entry || core.isDisposed) return;
+        const tier = this.tiers[this.tier];
+        core.setQuality({
+            resolutionScale: tier.resolutionScale ?? 1,
+            maxGridDensity: tier.maxGridDensity ?? Infinity,
+            maxIterations: tier.maxIterations ?? Infinity
+        });
+
+        const shouldPause = !!tier.pauseOffscreen && !entry.visible && !core.alwaysRender;
+        if (shouldPause && core.suspend()) {
+            entry.pausedByGovernor = true;
+        } else if (!shouldPause && entry.pausedByGovernor) {
+            entry.pausedByGovernor = false;
+            core.resume();
+        }
+    }
+
+    _onIntersection(entries) {
+        entries.forEach(({ target, isIntersecting }) => {
+            this.cores.forEach((entry, core) => {
+                if (core.canvas !== target || entry.visible === isIntersecting) return;
+                entry.visible = isIntersecting;
+                this._applyTo(core);
+            });
+        });
+    }
+
+    _averageFrameTime() {
+        if (this.samples.length === 0) return null;
+        return this.samples.reduce((sum, sample) => sum + sample.frameTime, 0) / this.samples.length;
+    }
+}
+
+// ============================================================================
+// 🎞️ PARAMETER TWEEN ENGINE
+// ============================================================================
+
+const TWEEN_MODES = ['to', 'by', 'pulse'];
+
+/**
+ * Animates numeric and vector parameters of HypercubeCores over time.
+ * Tweens on the same parameter add their offsets on top of a shared base, so
+ * overlapping responses stack instead of fighting. Changes made through
+ * updateParameters while a tween runs move the base and are kept.
+ *
+ *  - 'to':    ease from the value at start to an absolute target, then keep it
+ *  - 'by':    ease in a relative offset, then keep it
+ *  - 'pulse': ease the offset in over the first half and back out over the second
+ */
+class ParameterTweenEngine {
+    constructor() {
+        this.tweens = new Set();
+        this.tracks = new Map();  // core → Map(path → { base, written, tweens })
+        this._nextId = 1;
+        this._frameId = null;
+        this._tick = this._tick.bind(this);
+    }
+
+    /**
+     * @param {HypercubeCore} core
+     * @param {Object} spec
+     * @param {Object<string, number|number[]>} spec.parameters - Targets ('to') or amounts ('by', 'pulse'),
+     *        keyed by anything updateParameters accepts ('morphFactor', 'u_colorShift', 'audioLevels.bass')
+     * @param {number} [spec.duration=300] - Milliseconds
+     * @param {string|function(number): number} [spec.curve='easeOutCubic'] - EASING_CURVES name or t → progress
+     * @param {'to'|'by'|'pulse'} [spec.mode='to']
+     * @returns {{id: number, paths: string[], skipped: string[], finished: Promise<boolean>, cancel: function(): void}}
+     *          finished resolves true on completion and false when cancelled
+     */
+    animate(core, { parameters = {}, duration = 300, curve = 'easeOutCubic', mode = 'to' } = {}) {
+        const easing = typeof curve === 'function' ? curve : EASING_CURVES[curve];
+        if (!easing) throw new Error(`ParameterTweenEngine: unknown curve '${curve}'`);
+        if (!TWEEN_MODES.includes(mode)) throw new Error(`ParameterTweenEngine: unknown mode '${mode}'`);
+
+        const channels = [];
+        const skipped = [];
+        if (core && !core.isDisposed) {
+            Object.entries(parameters).forEach(([key, value]) => {
+                const path = core.parameterResolver.resolveKey(key, core.state);
+                const current = path ? ParameterTweenEngine._read(core, path) : undefined;
+                if (!ParameterTweenEngine._isAnimatable(current) || !ParameterTweenEngine._sameShape(current, value)) {
+                    skipped.push(key);
+                    return;
+                }
+                channels.push({ path, value });
+            });
+        } else {
+            skipped.push(...Object.keys(parameters));
+        }
+
+        let resolveFinished;
+        const tween = {
+            id: this._nextId++,
+            core, mode, easing, channels,
+            duration: Math.max(0, duration),
+            startTime: performance.now(),
+            progress: 0,
+            finished: new Promise(resolve => { resolveFinished = resolve; }),
+            resolve: null
+        };
+        tween.resolve = resolveFinished;
+        const handle = {
+            id: tween.id,
+            paths: channels.map(channel => channel.path),
+            skipped,
+            finished: tween.finished,
+            cancel: () => this._cancel(tween)
         };
+        if (channels.length === 0) {
+            tween.resolve(true);
+            return handle;
+        }
+
+        channels.forEach(channel => {
+            const track = this._track(core, channel.path);
+            // 'to' is relative to the composed value at start, so it lands on target even mid-stack
+            channel.delta = mode === 'to'
+                ? ParameterTweenEngine._combine(channel.value, ParameterTweenEngine._read(core, channel.path), -1)
+                : channel.value;
+            track.tweens.add(tween);
+        });
+        this.tweens.add(tween);
+        if (this._frameId === null) this._frameId = requestAnimationFrame(this._tick);
+        return handle;
+    }
+
+    /**
+     * One handle over several: finished resolves true only if all of them finished.
+     * @returns {{paths: string[], skipped: string[], finished: Promise<boolean>, cancel: function(): void}}
+     */
+    static combine(handles) {
+        return {
+            paths: handles.flatMap(handle => handle.paths),
+            skipped: handles.flatMap(handle => handle.skipped),
+            finished: Promise.all(handles.map(handle => handle.finished)).then(results => results.every(Boolean)),
+            cancel: () => handles.forEach(handle => handle.cancel())
+        };
+    }
+
+    /** Cancel every tween, or only those on `core`. */
+    cancelAll(core) {
+        [...this.tweens].filter(tween => !core || tween.core === core).forEach(tween => this._cancel(tween));
+    }
+
+    getActiveCount() {
+        return this.tweens.size;
+    }
+
+    _track(core, path) {
+        if (!this.tracks.has(core)) this.tracks.set(core, new Map());
+        const paths = this.tracks.get(core);
+        if (!paths.has(path)) {
+            const value = ParameterTweenEngine._read(core, path);
+            paths.set(path, { base: value, written: value, tweens: new Set() });
+        }
+        return paths.get(path);
+    }
+
+    _tick() {
+        this._frameId = null;
+        const now = performance.now();
+        const finished = [];
+        this.tweens.forEach(tween => {
+            if (tween.core.isDisposed) {
+                this._cancel(tween);
+                return;
+            }
+            tween.progress = tween.duration > 0 ? Math.min(1, (now - tween.startTime) / tween.duration) : 1;
+            if (tween.progress >= 1) finished.push(tween);
+        });
+
+        this.tracks.forEach((paths, core) => {
+            paths.forEach((track, path) => this._apply(core, path, track));
+        });
+        finished.forEach(tween => this._settle(tween, true));
+
+        if (this.tweens.size > 0) this._frameId = requestAnimationFrame(this._tick);
+    }
+
+    // Offset this tween currently contributes to one of its channels
+    _offset(tween, channel) {
+        const t = tween.progress;
+        const weight = tween.mode === 'pulse'
+            ? tween.easing(t < 0.5 ? t * 2 : 2 - t * 2)
+            : tween.easing(t);
+        return ParameterTweenEngine._scale(channel.delta, weight);
+    }
+
+    _apply(core, path, track) {
+        const current = ParameterTweenEngine._read(core, path);
+        // Someone else wrote the parameter since our last frame: keep their change
+        if (!ParameterTweenEngine._equal(current, track.written)) {
+            track.base = ParameterTweenEngine._combine(track.base, ParameterTweenEngine._combine(current, track.written, -1), 1);
+        }
+        let value = track.base;
+        track.tweens.forEach(tween => {
+            const channel = tween.channels.find(entry => entry.path === path);
+            value = ParameterTweenEngine._combine(value, this._offset(tween, channel), 1);
+        });
+        core.updateParameters({ [path]: value });
+        track.written = ParameterTweenEngine._read(core, path);
+    }
+
+    _cancel(tween) {
+        if (!this.tweens.has(tween)) return;
+        // Cancelled 'to'/'by' tweens stay where they got to; a cancelled pulse snaps back
+        if (tween.mode === 'pulse') tween.progress = 0;
+        this._settle(tween, false);
+    }
+
+    _settle(tween, completed) {
+        if (!this.tweens.has(tween)) return;
+        this.tweens.delete(tween);
+        const paths = this.tracks.get(tween.core);
+        tween.channels.forEach(channel => {
+            const track = paths?.get(channel.path);
+            if (!track) return;
+            if (tween.mode !== 'pulse') {
+                track.base = ParameterTweenEngine._combine(track.base, this._offset(tween, channel), 1);
+            }
+            track.tweens.delete(tween);
+            if (track.tweens.size === 0) {
+                if (!tween.core.isDisposed) this._apply(tween.core, channel.path, track);
+                paths.delete(channel.path);
+            }
+        });
+        if (paths && paths.size === 0) this.tracks.delete(tween.core);
+        if (this.tweens.size === 0 && this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+        tween.resolve(completed);
+    }
+
+    static _read(core, path) {
+        const [root, child] = path.split('.');
+        const value = child === undefined ? core.state[root] : core.state[root]?.[child];
+        return Array.isArray(value) ? value.slice() : value;
+    }
+
+    static _isAnimatable(value) {
+        return (typeof value === 'number' && Number.isFinite(value))
+            || (Array.isArray(value) && value.length > 0 && value.every(Number.isFinite));
+    }
+
+    static _sameShape(current, value) {
+        if (typeof current === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return Array.isArray(value) && value.length === current.length && value.every(Number.isFinite);
+    }
+
+    // a + b * sign, component-wise for vectors
+    static _combine(a, b, sign) {
+        return Array.isArray(a) ? a.map((component, i) => component + b[i] * sign) : a + b * sign;
+    }
+
+    static _scale(value, factor) {
+        return Array.isArray(value) ? value.map(component => component * factor) : value * factor;
+    }
+
+    static _equal(a, b) {
+        return Array.isArray(a)
+            ? a.length === b.length && a.every((component, i) => Math.abs(component - b[i]) < 1e-9)
+            : Math.abs(a - b) < 1e-9;
     }
 }
 
@@ -1188,15 +4634,44 @@ window.VIB34D_WorkingCore = {
     FractalGeometry,
     WaveGeometry,
     CrystalGeometry,
+    TetrahedronGeometry,
+    KleinBottleGeometry,
+    CalabiYauGeometry,
+    HyperbolicGeometry,
+    QuaternionJuliaGeometry,
+    VoronoiFoamGeometry,
+    ChromaticInterferenceGeometry,
+    MobiusGeometry,
+    LorenzAttractorGeometry,
+    HopfLinkGeometry,
+    TesseractGeometry,
+    GEOMETRY_NAME_ALIASES,
+    resolveGeometryName,
     PerspectiveProjection,
     OrthographicProjection,
     StereographicProjection,
+    HopfProjection,
+    PoincareBallProjection,
+    ObliqueProjection,
     GeometryManager,
     ProjectionManager,
+    ShaderVariantCache,
     ShaderManager,
+    ShaderPluginValidator,
+    UniformRegistry,
+    ParameterResolver,
+    composeRotation4D,
+    EASING_CURVES,
+    cubicBezierCurve,
+    QUALITY_TIERS,
+    AdaptiveQualityGovernor,
+    ParameterTweenEngine,
+    ContextRecoveryController,
+    SharedWebGLRenderer,
+    VisibilityScheduler,
     HypercubeCore
 };
 
 console.log('✅ VIB34D Working Core Architecture loaded successfully');
-console.log('📊 Available geometries:', ['hypercube', 'hypersphere', 'hypertetrahedron', 'torus', 'klein', 'fractal', 'wave', 'crystal']);
-console.log('📊 Available projections:', ['perspective', 'orthographic', 'stereographic']);
\ No newline at end of file
+console.log('📊 Available geometries:', BUILTIN_GEOMETRIES.map(([name]) => name));
+console.log('📊 Available projections:', ['perspective', 'orthographic', 'stereographic', 'hopf', 'poincare', 'oblique']);
\ No newline at end of file